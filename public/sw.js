@@ -0,0 +1,337 @@
+// CloudIt service worker: caches the app shell and recently viewed images,
+// answers /statuses and /folder reads from the last good response while
+// offline, and keeps uploads and deletes made offline in IndexedDB until
+// they can be replayed.
+
+const SHELL_CACHE = "cloudit-shell-v1";
+const IMAGE_CACHE = "cloudit-images";
+const DATA_CACHE = "cloudit-data";
+const MAX_CACHED_IMAGES = 150;
+const SHELL_FILES = ["/", "/index.html", "/manifest.webmanifest", "/icon.svg"];
+
+const SYNC_TAG = "cloudit-replay";
+const QUEUED_HEADER = "X-CloudIt-Queued";
+const DB_NAME = "cloudit-offline";
+const STORE_NAME = "operations";
+
+const DATA_PATH = /^\/(api\/)?(statuses|folder)(\/|$)/;
+const UPLOAD_PATH = /^\/(api\/)?upload(\/|$)/;
+const DELETE_PATH = /^\/(api\/)?delete(\/|$)/;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("cloudit-shell-"))
+            .filter((key) => key !== SHELL_CACHE)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => caches.match("/index.html", { cacheName: SHELL_CACHE }))
+      .then((page) => (page ? page.text().then(pruneShellAssets) : null))
+      .then(() => self.clients.claim()),
+  );
+});
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, run) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = run(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+const listOperations = () => withStore("readonly", (store) => store.getAll());
+const countOperations = () => withStore("readonly", (store) => store.count());
+const addOperation = (operation) =>
+  withStore("readwrite", (store) => store.add(operation));
+const removeOperation = (id) =>
+  withStore("readwrite", (store) => store.delete(id));
+
+async function notifyClients(message) {
+  const pending = await countOperations();
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach((client) =>
+    client.postMessage({ type: "offline-queue", pending, ...message }),
+  );
+}
+
+// Mirrors the app's fallback chains (requestWithFallback, uploadToEndpoints):
+// requests are queued under the "/api" route they were sent to, and replay
+// falls back to the bare route like the app would have.
+function getEndpointChain(url) {
+  const { origin, pathname, search } = new URL(url);
+  const barePath = pathname.startsWith("/api/")
+    ? pathname.slice("/api".length)
+    : null;
+  return barePath ? [url, `${origin}${barePath}${search}`] : [url];
+}
+
+async function enqueue(request) {
+  // Tokens expire long before some queues drain, so the bearer token is not
+  // stored; replay asks the app for a current one.
+  await addOperation({
+    urls: getEndpointChain(request.url),
+    method: request.method,
+    headers: Array.from(request.headers.entries()).filter(
+      ([name]) => name.toLowerCase() !== "authorization",
+    ),
+    authorized: request.headers.has("Authorization"),
+    body: request.method === "DELETE" ? null : await request.blob(),
+    createdAt: Date.now(),
+  });
+  if (self.registration.sync) {
+    await self.registration.sync.register(SYNC_TAG).catch(() => {});
+  }
+  await notifyClients({});
+
+  return new Response(
+    JSON.stringify({ queued: true, message: "Saved until you are online." }),
+    {
+      status: 202,
+      headers: { "Content-Type": "application/json", [QUEUED_HEADER]: "1" },
+    },
+  );
+}
+
+// Asks an open window for a fresh access token (see src/serviceWorker.js).
+// Resolves to undefined when no window answers, null when there is no session.
+async function requestAccessToken() {
+  const [client] = await self.clients.matchAll({ type: "window" });
+  if (!client) {
+    return undefined;
+  }
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timeout = setTimeout(() => resolve(undefined), 5000);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timeout);
+      resolve(event.data?.token ?? null);
+    };
+    client.postMessage({ type: "access-token" }, [channel.port2]);
+  });
+}
+
+// Tries each endpoint until one exists; 404 and 405 mean "not this route".
+async function replayOperation(operation, token) {
+  const urls = operation.urls || [operation.url];
+  const headers = new Headers(operation.headers);
+  if (operation.authorized && token) {
+    headers.set("Authorization", `Bearer ${token}`);
+  }
+  let response = null;
+  for (const url of urls) {
+    response = await fetch(url, {
+      method: operation.method,
+      headers,
+      body: operation.body,
+    });
+    if (response.status !== 404 && response.status !== 405) {
+      break;
+    }
+  }
+  return response;
+}
+
+let replaying = null;
+
+// Oldest first. Network errors stop the run so Background Sync retries it
+// later; a response from the server, even an error, settles the operation.
+function replay() {
+  if (!replaying) {
+    replaying = (async () => {
+      let replayed = 0;
+      let failed = 0;
+      try {
+        const operations = await listOperations();
+        const token = operations.some((operation) => operation.authorized)
+          ? await requestAccessToken()
+          : null;
+        // Without a window to ask, signed-in work waits for the next run.
+        if (token === undefined) {
+          throw new Error("No window to get an access token from");
+        }
+        for (const operation of operations) {
+          const response = await replayOperation(operation, token);
+          if (response.status >= 500) {
+            throw new Error(`Server error ${response.status}`);
+          }
+          await removeOperation(operation.id);
+          if (response.ok) {
+            replayed += 1;
+          } else {
+            failed += 1;
+          }
+        }
+      } finally {
+        replaying = null;
+        await notifyClients({ replayed, failed });
+      }
+    })();
+  }
+  return replaying;
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(replay());
+  }
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "replay") {
+    event.waitUntil(replay().catch(() => {}));
+  } else if (event.data?.type === "status") {
+    event.waitUntil(notifyClients({}));
+  } else if (event.data?.type === "clear-user-data") {
+    event.waitUntil(
+      Promise.all([
+        caches.delete(DATA_CACHE),
+        caches.delete(IMAGE_CACHE),
+        withStore("readwrite", (store) => store.clear()),
+      ]).then(() => notifyClients({})),
+    );
+  }
+});
+
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(
+    keys
+      .slice(0, Math.max(0, keys.length - maxEntries))
+      .map((key) => cache.delete(key)),
+  );
+}
+
+// Hashed bundles from earlier deploys would otherwise stay forever; only the
+// ones the current page links to are kept.
+async function pruneShellAssets(html) {
+  const current = new Set(html.match(/\/assets\/[^"'\s)?#]+/g) || []);
+  const cache = await caches.open(SHELL_CACHE);
+  const keys = await cache.keys();
+  await Promise.all(
+    keys
+      .filter((key) => {
+        const { pathname } = new URL(key.url);
+        return pathname.startsWith("/assets/") && !current.has(pathname);
+      })
+      .map((key) => cache.delete(key)),
+  );
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) {
+      return cached;
+    }
+    throw err;
+  }
+}
+
+async function cacheFirst(request, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  // Opaque cross-origin responses are left out: their status is unknown and
+  // browsers charge each one several MB of quota.
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    if (maxEntries) {
+      trimCache(cacheName, maxEntries);
+    }
+  }
+  return response;
+}
+
+async function updateShell(page) {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.put("/index.html", page.clone());
+  await pruneShellAssets(await page.text());
+}
+
+// A fresh page also replaces the offline copy, since the shell cache keeps
+// its name across deploys.
+async function handleNavigation(request) {
+  try {
+    const response = await fetch(request);
+    const type = response.headers.get("Content-Type") || "";
+    if (response.ok && type.includes("text/html")) {
+      updateShell(response.clone()).catch(() => {});
+    }
+    return response;
+  } catch (err) {
+    const cache = await caches.open(SHELL_CACHE);
+    return (await cache.match("/index.html")) || Response.error();
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== "GET") {
+    const isQueueable =
+      (request.method === "POST" && UPLOAD_PATH.test(url.pathname)) ||
+      (request.method === "DELETE" && DELETE_PATH.test(url.pathname));
+    if (isQueueable) {
+      const copy = request.clone();
+      event.respondWith(fetch(request).catch(() => enqueue(copy)));
+    }
+    return;
+  }
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+  } else if (DATA_PATH.test(url.pathname)) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  } else if (
+    url.origin === self.location.origin &&
+    url.pathname.startsWith("/assets/")
+  ) {
+    // Vite's hashed bundles never change under the same name.
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (request.destination === "image") {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_CACHED_IMAGES));
+  }
+});
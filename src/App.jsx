@@ -1,10 +1,157 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import axios from "axios";
-
-const TABS = {
-  ALL_PHOTOS: "allPhotos",
-  FOLDERS: "folders",
-};
+import {
+  canDeleteAttachments,
+  copyStatus,
+  getStatusKey,
+  updatePhotoDetails,
+  createFolder,
+  createShareLink,
+  deleteFolder,
+  deletePhoto,
+  deletePhotos,
+  fetchSharedContent,
+  getBackendMessage,
+  listShareLinks,
+  mergeFolders,
+  moveStatus,
+  renameFolder,
+  revokeShareLink,
+  runForStatuses,
+} from "./api";
+import {
+  parseAttachment,
+  parseAttachmentList,
+  parseJsonTolerant,
+  reportDiagnostic,
+  setDiagnosticsHandler,
+  validateAttachment,
+  validateStatus,
+} from "./attachmentParser";
+import {
+  buildUploadFields,
+  getPhotoAltText,
+  htmlToText,
+  normalizeTag,
+  normalizeTags,
+  textToHtml,
+} from "./captions";
+import {
+  completeLogin,
+  fetchCurrentUser,
+  getSession,
+  getValidAccessToken,
+  installAuthInterceptors,
+  isAuthCallback,
+  isAuthEnabled,
+  logout,
+  setUnauthorizedHandler,
+  startLogin,
+} from "./auth";
+import { downloadPhoto, downloadPhotosAsZip } from "./downloads";
+import {
+  computeDHash,
+  findExactDuplicates,
+  groupNearDuplicates,
+  hashFileContents,
+  loadContentIndex,
+  loadDHashCache,
+  recordUploads,
+  saveDHashCache,
+} from "./duplicates";
+import {
+  collectDroppedFiles,
+  getPastedFiles,
+  hasDraggedFiles,
+} from "./dropFiles";
+import {
+  getFolderAncestors,
+  getFolderLabel,
+  getSubfolders,
+  isInFolder,
+  joinFolderPath,
+  replaceFolderPrefix,
+  resolveFolderPaths,
+} from "./folderTree";
+import {
+  MEDIA_TYPES,
+  UPLOAD_ACCEPT,
+  assertUploadSize,
+  formatDuration,
+  getFileMediaType,
+  getMediaType,
+  getUploadSizeError,
+} from "./mediaTypes";
+import { PAGE_SIZE, fetchStatusPage, mergePhotos } from "./pagination";
+import { getPhotoId } from "./photoIds";
+import {
+  fetchQuery,
+  getQueryData,
+  invalidateQueries,
+  clearQueryCache,
+  isQueryStale,
+  setQueryData,
+  subscribeToQuery,
+} from "./queryCache";
+import { loadPhotoInfo, normalizeAttachmentMeta } from "./photoInfo";
+import {
+  DEFAULT_PHOTO_FILTERS,
+  SORT_ORDERS,
+  filterAndSortPhotos,
+  getFileTypeOptions,
+  hasActiveFilters,
+} from "./photoFilters";
+import {
+  TABS,
+  buildPath,
+  getCurrentPath,
+  parseLocation,
+  parseShareToken,
+} from "./routes";
+import {
+  SHARE_TYPES,
+  describeShareTarget,
+  getDefaultExpiryDate,
+  isShareExpired,
+  normalizeShareLink,
+  toExpiryTimestamp,
+} from "./shareLinks";
+import {
+  clearOfflineData,
+  isQueuedResponse,
+  replayOfflineQueue,
+  setAccessTokenProvider,
+  subscribeToOfflineQueue,
+} from "./serviceWorker";
+import {
+  TIMELINE_GROUPINGS,
+  TIMELINE_ROW_TYPES,
+  getScrubberYears,
+  getTimelineRows,
+  groupPhotosByDate,
+  sortPhotosByDate,
+} from "./timeline";
+import {
+  TRASH_RETENTION_DAYS,
+  addToTrash,
+  getDaysUntilPurge,
+  getExpiredTrash,
+  loadTrash,
+  removeFromTrash,
+  saveTrash,
+} from "./trash";
+import {
+  OUTPUT_FORMATS,
+  loadImageProcessingOptions,
+  processImageFile,
+  saveImageProcessingOptions,
+} from "./imageProcessing";
+import {
+  UPLOAD_STATUS,
+  createUploadQueue,
+  getUploadConcurrency,
+  summarizeUploads,
+} from "./uploadQueue";
 
 const API_BASE_URL = (import.meta.env.VITE_API_URL || "").replace(/\/+$/, "");
 const shouldSendNgrokBypassHeader = API_BASE_URL.includes("ngrok");
@@ -17,92 +164,126 @@ if (shouldSendNgrokBypassHeader) {
   axios.defaults.headers.common["ngrok-skip-browser-warning"] = "true";
 }
 
+if (isAuthEnabled()) {
+  installAuthInterceptors(axios);
+  setAccessTokenProvider(getValidAccessToken);
+}
+
+function reportIssues(issues, record) {
+  issues.forEach((issue) => reportDiagnostic(issue, record));
+}
+
 function normalizePhotos(payload) {
-  if (!Array.isArray(payload)) {
+  const items =
+    typeof payload === "string" ? parseJsonTolerant(payload).value : payload;
+  if (!Array.isArray(items)) {
+    if (payload !== undefined && payload !== null && payload !== "") {
+      reportDiagnostic("Photo list is not an array", payload);
+    }
     return [];
   }
 
-  function parseAttachmentString(raw) {
-    if (typeof raw !== "string") {
-      return null;
+  // Supports both direct photo arrays and Mastodon-style status arrays with media_attachments.
+  return items.flatMap((item) => {
+    reportIssues(validateStatus(item), item);
+    if (!item || typeof item !== "object") {
+      return [];
     }
 
-    const idMatch = raw.match(/id=([^,\]\s]+)/);
-    const typeMatch = raw.match(/type=([^,\]\s]+)/);
-    const urlMatch = raw.match(/url=([^,\]\s]+)/);
-    const previewMatch = raw.match(/preview_url=([^,\]\s]+)/);
-
-    return {
-      id: idMatch?.[1] || "",
-      type: typeMatch?.[1] && typeMatch[1] !== "null" ? typeMatch[1] : null,
-      url: urlMatch?.[1] && urlMatch[1] !== "null" ? urlMatch[1] : "",
-      preview_url:
-        previewMatch?.[1] && previewMatch[1] !== "null" ? previewMatch[1] : "",
-    };
-  }
-
-  function toAttachment(attachment) {
-    return typeof attachment === "string"
-      ? parseAttachmentString(attachment)
-      : attachment;
-  }
-
-  // Supports both direct photo arrays and Mastodon-style status arrays with media_attachments.
-  return payload.flatMap((item) => {
-    if (Array.isArray(item?.media_attachments)) {
+    if (item.media_attachments !== undefined) {
       const createdAt = item.created_at || item.uploadedAt || "";
       const folder = item.folder || "";
-      return item.media_attachments
-        .map((attachment) => toAttachment(attachment))
-        .filter(Boolean)
-        .filter((attachment) => !attachment.type || attachment.type === "image")
-        .map((attachment, index) => ({
-          id: String(item.id ? `${item.id}-${index}` : crypto.randomUUID()),
-          statusId: String(item.id || attachment.id || ""),
-          url: attachment.preview_url || attachment.url || "",
-          uploadedAt: createdAt,
-          folder,
-          size: attachment.size || item.size || "N/A",
-        }))
-        .filter((photo) => photo.url);
+      const usedIds = new Set();
+      const rawAttachments = parseAttachmentList(item.media_attachments, item);
+      // Deleting a status takes every attachment, including the ones that are
+      // skipped here, so the count has to include them.
+      const attachmentCount = rawAttachments.length;
+      return rawAttachments
+        .map((raw) => parseAttachment(raw, item))
+        .filter((attachment) => {
+          if (!attachment) {
+            return false;
+          }
+          reportIssues(validateAttachment(attachment), {
+            attachment,
+            status: item,
+          });
+          return Boolean(
+            getMediaType(attachment.type) &&
+            (attachment.url || attachment.preview_url),
+          );
+        })
+        .map((attachment, index) => {
+          const statusId = item.id ? String(item.id) : "";
+          const attachmentId = attachment.id ? String(attachment.id) : "";
+          const originalUrl = attachment.url || attachment.preview_url || "";
+          let id = getPhotoId({
+            statusId,
+            attachmentId,
+            url: originalUrl,
+            uploadedAt: createdAt,
+          });
+          // The same file attached twice still needs two keys.
+          if (usedIds.has(id)) {
+            id = `${id}-${index}`;
+          }
+          usedIds.add(id);
+
+          return {
+            id,
+            statusId,
+            attachmentId,
+            attachmentCount,
+            mediaType: getMediaType(attachment.type),
+            // Only images can stand in as their own thumbnail.
+            url:
+              attachment.preview_url ||
+              (getMediaType(attachment.type) === MEDIA_TYPES.IMAGE
+                ? attachment.url
+                : "") ||
+              "",
+            originalUrl,
+            uploadedAt: createdAt,
+            folder,
+            size: attachment.size || item.size || null,
+            meta: normalizeAttachmentMeta(attachment.meta),
+            description: attachment.description || "",
+            content: item.content || "",
+            tags: normalizeTags(item.tags),
+          };
+        });
     }
 
+    reportIssues(validateAttachment(item), item);
+    const url = item.url || item.preview_url || "";
+    const uploadedAt = item.uploadedAt || item.created_at || "";
     return [
       {
-        id: String(item?.id || crypto.randomUUID()),
-        statusId: String(item?.id || ""),
-        url: item?.url || item?.preview_url || "",
-        uploadedAt: item?.uploadedAt || item?.created_at || "",
-        folder: item?.folder || "",
-        size: item?.size || "N/A",
+        id: item.id
+          ? String(item.id)
+          : getPhotoId({ statusId: "", attachmentId: "", url, uploadedAt }),
+        statusId: item.id ? String(item.id) : "",
+        url,
+        originalUrl: url,
+        uploadedAt,
+        folder: item.folder || "",
+        size: item.size || null,
+        meta: normalizeAttachmentMeta(item.meta),
+        attachmentId: "",
+        attachmentCount: 1,
+        mediaType: getMediaType(item.type) || MEDIA_TYPES.IMAGE,
+        description: item.description || "",
+        content: item.content || "",
+        tags: normalizeTags(item.tags),
       },
     ].filter((photo) => photo.url);
   });
 }
 
-function DownloadButton({ url, className = "", isDarkMode = false }) {
+function DownloadButton({ photo, className = "", isDarkMode = false }) {
   async function handleDownload(event) {
     event.stopPropagation();
-    try {
-      const response = await axios.get(url, { responseType: "blob" });
-      const blobUrl = URL.createObjectURL(response.data);
-      const link = document.createElement("a");
-      link.href = blobUrl;
-      link.download = `photo-${Date.now()}.jpg`;
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
-      URL.revokeObjectURL(blobUrl);
-    } catch (error) {
-      const fallbackLink = document.createElement("a");
-      fallbackLink.href = url;
-      fallbackLink.download = "";
-      fallbackLink.target = "_blank";
-      fallbackLink.rel = "noreferrer";
-      document.body.appendChild(fallbackLink);
-      fallbackLink.click();
-      fallbackLink.remove();
-    }
+    await downloadPhoto(photo);
   }
 
   return (
@@ -122,6 +303,541 @@ function DownloadButton({ url, className = "", isDarkMode = false }) {
   );
 }
 
+function useFileDrop(onDropFiles) {
+  const [isDragOver, setIsDragOver] = useState(false);
+  const dragDepthRef = useRef(0);
+
+  if (!onDropFiles) {
+    return { isDragOver: false, dropHandlers: {} };
+  }
+
+  return {
+    isDragOver,
+    dropHandlers: {
+      onDragEnter(event) {
+        if (!hasDraggedFiles(event.dataTransfer)) {
+          return;
+        }
+        event.preventDefault();
+        dragDepthRef.current += 1;
+        setIsDragOver(true);
+      },
+      onDragOver(event) {
+        if (!hasDraggedFiles(event.dataTransfer)) {
+          return;
+        }
+        event.preventDefault();
+        event.dataTransfer.dropEffect = "copy";
+      },
+      onDragLeave() {
+        dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+        if (!dragDepthRef.current) {
+          setIsDragOver(false);
+        }
+      },
+      async onDrop(event) {
+        if (!hasDraggedFiles(event.dataTransfer)) {
+          return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+        dragDepthRef.current = 0;
+        setIsDragOver(false);
+        const files = await collectDroppedFiles(event.dataTransfer);
+        if (files.length) {
+          onDropFiles(files);
+        }
+      },
+    },
+  };
+}
+
+const MAX_PHOTO_LOOKUP_PAGES = 10;
+
+// The lightbox route names the status and, so one photo of a multi-image
+// status can be linked to, the attachment. Statuses without an id of their
+// own are already named by their attachment.
+function getPhotoRoute(photo) {
+  return {
+    photoStatusId: getStatusKey(photo) || null,
+    photoAttachmentId: (photo?.statusId && photo.attachmentId) || null,
+  };
+}
+
+function getPendingPhoto(route) {
+  return route.photoStatusId
+    ? { statusId: route.photoStatusId, attachmentId: route.photoAttachmentId }
+    : null;
+}
+
+const INITIAL_PAGING = {
+  next: null,
+  isLoading: false,
+  error: "",
+};
+
+const FOLDERS_QUERY_KEY = "folders";
+const FEED_QUERY_PREFIX = "statuses:";
+
+function getFeedQueryKey(path) {
+  return `${FEED_QUERY_PREFIX}${path}`;
+}
+
+function getFolderFeedPath(folderName) {
+  return `/statuses/${encodeURIComponent(folderName)}`;
+}
+
+// Holds one paginated /statuses feed, backed by the query cache so a feed
+// seen before shows at once and refreshes in the background. Each reset()
+// starts a new generation so pages that arrive for a feed the user already
+// left are dropped.
+function usePagedPhotos() {
+  const [photos, setPhotos] = useState([]);
+  const [paging, setPaging] = useState(INITIAL_PAGING);
+  const photosRef = useRef(photos);
+  const feedRef = useRef({
+    path: null,
+    normalize: normalizePhotos,
+    generation: 0,
+    next: null,
+    newestId: null,
+    pendingPage: null,
+    unsubscribe: null,
+  });
+  photosRef.current = photos;
+
+  useEffect(() => {
+    const feed = feedRef.current;
+    return () => {
+      feed.unsubscribe?.();
+      feed.unsubscribe = null;
+    };
+  }, []);
+
+  // Shows a feed snapshot and keeps the cached copy in step with it.
+  function commit(snapshot) {
+    const feed = feedRef.current;
+    feed.next = snapshot.next;
+    feed.newestId = snapshot.newestId;
+    photosRef.current = snapshot.photos;
+    setPhotos(snapshot.photos);
+    setQueryData(getFeedQueryKey(feed.path), snapshot);
+  }
+
+  async function loadFirstPage(generation) {
+    const feed = feedRef.current;
+    const { path, normalize } = feed;
+    const snapshot = await fetchQuery(getFeedQueryKey(path), async () => {
+      const page = await fetchStatusPage(path);
+      return {
+        photos: normalize(page.items),
+        next: page.next,
+        newestId: page.newestId,
+      };
+    });
+    if (generation !== feed.generation) {
+      return;
+    }
+
+    commit(snapshot);
+    setPaging({ ...INITIAL_PAGING, next: snapshot.next });
+  }
+
+  // Starts over from the first page and waits for it.
+  async function refetch() {
+    const feed = feedRef.current;
+    if (!feed.path) {
+      return;
+    }
+    feed.generation += 1;
+    feed.pendingPage = null;
+    await loadFirstPage(feed.generation);
+  }
+
+  // Only a feed that was never loaded waits for the network; a cached one is
+  // shown right away and revalidated in the background once stale.
+  async function reset(path, normalize = normalizePhotos) {
+    const feed = feedRef.current;
+    feed.generation += 1;
+    const generation = feed.generation;
+    feed.unsubscribe?.();
+    Object.assign(feed, {
+      path,
+      normalize,
+      next: null,
+      newestId: null,
+      pendingPage: null,
+      unsubscribe: subscribeToQuery(getFeedQueryKey(path), refetch),
+    });
+
+    const cached = getQueryData(getFeedQueryKey(path));
+    if (!cached) {
+      await loadFirstPage(generation);
+      return;
+    }
+
+    commit(cached);
+    setPaging({ ...INITIAL_PAGING, next: cached.next });
+    if (isQueryStale(getFeedQueryKey(path))) {
+      loadFirstPage(generation).catch(() => {});
+    }
+  }
+
+  function clear() {
+    const feed = feedRef.current;
+    feed.generation += 1;
+    feed.unsubscribe?.();
+    Object.assign(feed, {
+      path: null,
+      next: null,
+      newestId: null,
+      pendingPage: null,
+      unsubscribe: null,
+    });
+    photosRef.current = [];
+    setPhotos([]);
+    setPaging(INITIAL_PAGING);
+  }
+
+  // Callers share the page in flight. Resolves to false if it failed or the
+  // feed changed meanwhile.
+  function loadMore() {
+    const feed = feedRef.current;
+    if (!feed.path || !feed.next) {
+      return Promise.resolve(true);
+    }
+    if (!feed.pendingPage) {
+      feed.pendingPage = loadNextPage(feed.generation);
+    }
+    return feed.pendingPage;
+  }
+
+  async function loadNextPage(generation) {
+    const feed = feedRef.current;
+    setPaging((previous) => ({ ...previous, isLoading: true, error: "" }));
+
+    try {
+      const page = await fetchStatusPage(feed.path, { cursor: feed.next });
+      if (generation !== feed.generation) {
+        return false;
+      }
+
+      const incoming = feed.normalize(page.items);
+      const knownIds = new Set(photosRef.current.map((photo) => photo.id));
+      const hasFreshPhotos = incoming.some((photo) => !knownIds.has(photo.id));
+      // A page with nothing new means the backend ignored the cursor.
+      const next = hasFreshPhotos ? page.next : null;
+      commit({
+        photos: mergePhotos(photosRef.current, incoming),
+        next,
+        newestId: feed.newestId,
+      });
+      setPaging({ ...INITIAL_PAGING, next });
+      return true;
+    } catch (err) {
+      if (generation === feed.generation) {
+        setPaging((previous) => ({
+          ...previous,
+          isLoading: false,
+          error: "Could not load more photos.",
+        }));
+      }
+      return false;
+    } finally {
+      if (generation === feed.generation) {
+        feed.pendingPage = null;
+      }
+    }
+  }
+
+  // Pages through the rest of the feed and resolves with every photo in it.
+  async function loadAll() {
+    const feed = feedRef.current;
+    const generation = feed.generation;
+    while (feed.next) {
+      const loaded = await loadMore();
+      if (!loaded || generation !== feed.generation) {
+        throw new Error("Could not load every photo.");
+      }
+    }
+    return photosRef.current;
+  }
+
+  async function loadNewer() {
+    const feed = feedRef.current;
+    if (!feed.path) {
+      return;
+    }
+    if (!feed.newestId) {
+      await refetch();
+      return;
+    }
+
+    const generation = feed.generation;
+    const page = await fetchStatusPage(feed.path, { sinceId: feed.newestId });
+    if (generation !== feed.generation) {
+      return;
+    }
+
+    // A full page may leave a gap between it and what we have, so start over.
+    if (page.items.length >= PAGE_SIZE) {
+      await refetch();
+      return;
+    }
+    if (!page.items.length) {
+      return;
+    }
+
+    commit({
+      photos: mergePhotos(photosRef.current, feed.normalize(page.items), {
+        prepend: true,
+      }),
+      next: feed.next,
+      newestId: page.newestId,
+    });
+  }
+
+  // Local edits (optimistic updates, rollbacks) go to the cache too, so a
+  // feed reopened later does not flash the old state.
+  function updatePhotos(updater) {
+    const feed = feedRef.current;
+    const next =
+      typeof updater === "function" ? updater(photosRef.current) : updater;
+    photosRef.current = next;
+    setPhotos(next);
+    if (feed.path) {
+      setQueryData(getFeedQueryKey(feed.path), (data) =>
+        data ? { ...data, photos: next } : data,
+      );
+    }
+  }
+
+  return {
+    photos,
+    paging,
+    reset,
+    clear,
+    loadMore,
+    loadAll,
+    loadNewer,
+    updatePhotos,
+  };
+}
+
+// Tracks connectivity and the service worker's queue of offline uploads and
+// deletes; `onReplayed` runs after queued work reached the server.
+function useOfflineQueue(onReplayed) {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [queue, setQueue] = useState({ pending: 0, failed: 0 });
+  const onReplayedRef = useRef(onReplayed);
+  onReplayedRef.current = onReplayed;
+
+  useEffect(() => {
+    function handleOnline() {
+      setIsOnline(true);
+      replayOfflineQueue();
+    }
+
+    function handleOffline() {
+      setIsOnline(false);
+    }
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    const unsubscribe = subscribeToOfflineQueue(
+      ({ pending, replayed, failed }) => {
+        setQueue((previous) => ({
+          pending,
+          failed: previous.failed + (failed || 0),
+        }));
+        if (replayed || failed) {
+          onReplayedRef.current?.({ replayed, failed });
+        }
+      },
+    );
+
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+      unsubscribe();
+    };
+  }, []);
+
+  return {
+    isOnline,
+    pendingCount: queue.pending,
+    replay: replayOfflineQueue,
+  };
+}
+
+const AUTH_STATUS = {
+  DISABLED: "disabled",
+  CHECKING: "checking",
+  SIGNED_OUT: "signedOut",
+  SIGNED_IN: "signedIn",
+};
+
+// Finishes an OAuth callback if we are on one, then loads the signed-in
+// account. Any 401 the interceptors cannot recover from signs the user out.
+function useAuth() {
+  const [auth, setAuth] = useState(() => ({
+    status: isAuthEnabled() ? AUTH_STATUS.CHECKING : AUTH_STATUS.DISABLED,
+    user: null,
+    message: "",
+  }));
+
+  function forgetLibrary() {
+    clearQueryCache();
+    clearOfflineData();
+  }
+
+  useEffect(() => {
+    if (!isAuthEnabled()) {
+      return undefined;
+    }
+
+    let isCancelled = false;
+
+    async function restoreSession() {
+      try {
+        if (isAuthCallback(window.location)) {
+          const returnTo = await completeLogin(window.location);
+          window.history.replaceState(null, "", returnTo);
+        }
+        if (!getSession()) {
+          if (!isCancelled) {
+            setAuth({
+              status: AUTH_STATUS.SIGNED_OUT,
+              user: null,
+              message: "",
+            });
+          }
+          return;
+        }
+        const user = await fetchCurrentUser();
+        if (!isCancelled) {
+          setAuth({ status: AUTH_STATUS.SIGNED_IN, user, message: "" });
+        }
+      } catch (err) {
+        if (isAuthCallback(window.location)) {
+          window.history.replaceState(null, "", "/");
+        }
+        if (!isCancelled) {
+          setAuth({
+            status: AUTH_STATUS.SIGNED_OUT,
+            user: null,
+            message: err?.response ? "" : err?.message || "",
+          });
+        }
+      }
+    }
+
+    restoreSession();
+    const removeHandler = setUnauthorizedHandler(() => {
+      forgetLibrary();
+      setAuth({
+        status: AUTH_STATUS.SIGNED_OUT,
+        user: null,
+        message: "Your session has expired. Please sign in again.",
+      });
+    });
+
+    return () => {
+      isCancelled = true;
+      removeHandler();
+    };
+  }, []);
+
+  async function signOut() {
+    forgetLibrary();
+    setAuth({ status: AUTH_STATUS.SIGNED_OUT, user: null, message: "" });
+    await logout();
+  }
+
+  return {
+    ...auth,
+    signIn: () => startLogin(getCurrentPath()),
+    signOut,
+  };
+}
+
+// `itemCount` is how many photos the feed holds; observing again after each
+// page re-checks a sentinel that is still on screen, since the observer only
+// reports changes.
+function LoadMoreFooter({ paging, itemCount, onLoadMore, isDarkMode }) {
+  const sentinelRef = useRef(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+  onLoadMoreRef.current = onLoadMore;
+  const canLoadMore = Boolean(paging.next) && !paging.error;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (
+      !sentinel ||
+      !canLoadMore ||
+      paging.isLoading ||
+      typeof IntersectionObserver === "undefined"
+    ) {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          onLoadMoreRef.current();
+        }
+      },
+      { rootMargin: "600px 0px" },
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [canLoadMore, paging.isLoading, itemCount]);
+
+  const mutedText = isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]";
+
+  return (
+    <div
+      ref={sentinelRef}
+      className="mt-6 flex min-h-[48px] items-center justify-center"
+    >
+      {paging.isLoading ? (
+        <p
+          role="status"
+          className={`text-xs font-semibold uppercase tracking-[0.2em] ${mutedText}`}
+        >
+          Loading more
+        </p>
+      ) : paging.error ? (
+        <button
+          type="button"
+          onClick={onLoadMore}
+          className={`border-2 px-4 py-2 text-xs font-semibold uppercase tracking-wide ${
+            isDarkMode
+              ? "border-[#d0d0d0] text-[#f2f2f2] hover:bg-[#4a4a4a]"
+              : "border-black text-black hover:bg-black hover:text-white"
+          }`}
+        >
+          {paging.error} Retry
+        </button>
+      ) : paging.next ? (
+        <button
+          type="button"
+          onClick={onLoadMore}
+          className={`text-xs font-semibold uppercase tracking-[0.2em] ${mutedText}`}
+        >
+          Load more
+        </button>
+      ) : (
+        <p
+          className={`text-xs font-semibold uppercase tracking-[0.2em] ${mutedText}`}
+        >
+          You have reached the end
+        </p>
+      )}
+    </div>
+  );
+}
+
 function ViewLoader() {
   return (
     <div className="flex min-h-[280px] items-center justify-center border-2 border-black bg-white">
@@ -172,7 +888,7 @@ function ErrorAlert({ message }) {
   );
 }
 
-function SuccessAlert({ message }) {
+function SuccessAlert({ title, message }) {
   if (!message) {
     return null;
   }
@@ -188,7 +904,7 @@ function SuccessAlert({ message }) {
         </div>
         <div>
           <p className="text-sm font-semibold uppercase tracking-wide">
-            Uploaded successfully
+            {title}
           </p>
           <p className="mt-1 text-sm">{message}</p>
         </div>
@@ -197,50 +913,335 @@ function SuccessAlert({ message }) {
   );
 }
 
-function MoonIcon({ className = "" }) {
+function DataIssuesNotice({ count, onDismiss, isDarkMode }) {
+  if (!count) {
+    return null;
+  }
+
   return (
-    <svg viewBox="0 0 24 24" aria-hidden="true" className={className}>
-      <path
-        d="M20 14.5A8.5 8.5 0 1 1 9.5 4a7 7 0 1 0 10.5 10.5Z"
-        fill="none"
-        stroke="currentColor"
-        strokeWidth="1.8"
-        strokeLinecap="round"
-        strokeLinejoin="round"
-      />
-    </svg>
+    <div
+      role="status"
+      className={`mb-6 flex items-center justify-between gap-3 border-2 border-dashed px-4 py-2 text-sm ${
+        isDarkMode
+          ? "border-[#cfcfcf] text-[#d8d8d8]"
+          : "border-black text-[#555555]"
+      }`}
+    >
+      <span>
+        {count} photo record{count !== 1 ? "s" : ""} from the server{" "}
+        {count !== 1 ? "were" : "was"} malformed and had to be repaired or
+        skipped.
+      </span>
+      <button
+        type="button"
+        onClick={onDismiss}
+        aria-label="Dismiss"
+        className="text-lg leading-none"
+      >
+        ×
+      </button>
+    </div>
   );
 }
 
-function SunIcon({ className = "" }) {
+const UNDO_TIMEOUT_MS = 6000;
+
+function UndoToast({ message, onUndo, onDismiss, isDarkMode }) {
   return (
-    <svg viewBox="0 0 24 24" aria-hidden="true" className={className}>
-      <circle
-        cx="12"
-        cy="12"
-        r="4"
-        fill="none"
-        stroke="currentColor"
-        strokeWidth="1.8"
-      />
-      <path
-        d="M12 2.5V5M12 19v2.5M21.5 12H19M5 12H2.5M18.7 5.3l-1.8 1.8M7.1 16.9l-1.8 1.8M18.7 18.7l-1.8-1.8M7.1 7.1 5.3 5.3"
-        fill="none"
-        stroke="currentColor"
-        strokeWidth="1.8"
-        strokeLinecap="round"
-      />
-    </svg>
+    <div
+      role="status"
+      className={`fixed bottom-4 left-1/2 z-30 flex -translate-x-1/2 items-center gap-4 border-2 px-4 py-3 text-sm ${
+        isDarkMode
+          ? "border-[#cfcfcf] bg-[#333333] text-[#f2f2f2]"
+          : "border-black bg-white text-black"
+      }`}
+    >
+      <span className="font-semibold">{message}</span>
+      <button
+        type="button"
+        onClick={onUndo}
+        className={`border-2 px-3 py-1 text-xs font-semibold uppercase tracking-wide ${
+          isDarkMode
+            ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b] hover:bg-transparent hover:text-[#f2f2f2]"
+            : "border-black bg-black text-white hover:bg-white hover:text-black"
+        }`}
+      >
+        Undo
+      </button>
+      <button
+        type="button"
+        onClick={onDismiss}
+        aria-label="Dismiss"
+        className="text-lg leading-none"
+      >
+        ×
+      </button>
+    </div>
   );
 }
 
-function DownloadIcon({ className = "" }) {
-  return (
-    <svg viewBox="0 0 24 24" aria-hidden="true" className={className}>
-      <path
-        d="M12 4v10m0 0-4-4m4 4 4-4M5 18h14"
-        fill="none"
-        stroke="currentColor"
+function UserMenu({ user, onSignOut, isDarkMode }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+  const name = user.displayName || user.username;
+
+  useEffect(() => {
+    if (!isOpen) {
+      return undefined;
+    }
+
+    function handlePointerDown(event) {
+      if (!menuRef.current?.contains(event.target)) {
+        setIsOpen(false);
+      }
+    }
+
+    function handleKeyDown(event) {
+      if (event.key === "Escape") {
+        setIsOpen(false);
+      }
+    }
+
+    window.addEventListener("pointerdown", handlePointerDown);
+    window.addEventListener("keydown", handleKeyDown);
+    return () => {
+      window.removeEventListener("pointerdown", handlePointerDown);
+      window.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [isOpen]);
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen((previous) => !previous)}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        aria-label={`Account menu for ${name}`}
+        className={`flex h-11 w-11 items-center justify-center overflow-hidden rounded-full border-2 text-sm font-bold uppercase ${
+          isDarkMode
+            ? "border-[#d0d0d0] bg-[#3b3b3b] text-[#f2f2f2]"
+            : "border-black bg-white text-black"
+        }`}
+      >
+        {user.avatar ? (
+          <img
+            src={user.avatar}
+            alt=""
+            className="h-full w-full object-cover"
+          />
+        ) : (
+          name.slice(0, 1)
+        )}
+      </button>
+      {isOpen ? (
+        <div
+          role="menu"
+          className={`absolute right-0 z-30 mt-2 w-56 border-2 ${
+            isDarkMode
+              ? "border-[#d0d0d0] bg-[#2b2b2b] text-[#f2f2f2]"
+              : "border-black bg-white text-black"
+          }`}
+        >
+          <div
+            className={`border-b-2 px-4 py-3 ${
+              isDarkMode ? "border-[#555555]" : "border-black"
+            }`}
+          >
+            <p className="truncate text-sm font-semibold">{name}</p>
+            {user.username ? (
+              <p
+                className={`truncate text-xs ${
+                  isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]"
+                }`}
+              >
+                @{user.username}
+              </p>
+            ) : null}
+          </div>
+          <button
+            type="button"
+            role="menuitem"
+            onClick={() => {
+              setIsOpen(false);
+              onSignOut();
+            }}
+            className={`w-full px-4 py-3 text-left text-sm font-semibold uppercase tracking-wide ${
+              isDarkMode ? "hover:bg-[#3b3b3b]" : "hover:bg-[#ececec]"
+            }`}
+          >
+            Sign out
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function SignInScreen({ message, isBusy, onSignIn }) {
+  const isDarkMode = window.localStorage.getItem("theme") === "dark";
+
+  return (
+    <div
+      className={`flex min-h-screen items-center justify-center px-4 ${
+        isDarkMode ? "bg-[#2b2b2b] text-[#f2f2f2]" : "bg-[#f5f5f5] text-black"
+      }`}
+    >
+      <div
+        className={`w-full max-w-sm border-2 p-8 text-center ${
+          isDarkMode ? "border-[#cfcfcf] bg-[#303030]" : "border-black bg-white"
+        }`}
+      >
+        <h1 className="text-4xl font-black tracking-tight">CloudIt</h1>
+        <p
+          className={`mt-3 text-sm ${
+            isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]"
+          }`}
+        >
+          {isBusy ? "Signing you in…" : "Sign in to see your photo library."}
+        </p>
+        {message ? (
+          <p role="alert" className="mt-4 text-sm font-semibold text-red-600">
+            {message}
+          </p>
+        ) : null}
+        <button
+          type="button"
+          onClick={onSignIn}
+          disabled={isBusy}
+          className={`mt-6 w-full border-2 px-6 py-3 text-sm font-semibold uppercase tracking-wide disabled:opacity-60 ${
+            isDarkMode
+              ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b] enabled:hover:bg-transparent enabled:hover:text-[#f2f2f2]"
+              : "border-black bg-black text-white enabled:hover:bg-white enabled:hover:text-black"
+          }`}
+        >
+          Sign in
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function OfflineStatus({ isOnline, pendingCount, onReplay, isDarkMode }) {
+  if (isOnline && !pendingCount) {
+    return null;
+  }
+
+  const label = isOnline
+    ? `${pendingCount} pending`
+    : pendingCount
+      ? `Offline · ${pendingCount} pending`
+      : "Offline";
+
+  return (
+    <button
+      type="button"
+      onClick={onReplay}
+      disabled={!isOnline}
+      aria-live="polite"
+      title={
+        isOnline
+          ? "Send uploads and deletes saved while offline"
+          : "Showing saved photos. Uploads and deletes will be sent when you are back online."
+      }
+      className={`flex items-center gap-2 border-2 px-3 py-3 text-xs font-semibold uppercase tracking-wide disabled:cursor-default ${
+        isDarkMode
+          ? "border-[#d0d0d0] text-[#f2f2f2] enabled:hover:bg-[#3b3b3b]"
+          : "border-black text-black enabled:hover:bg-[#ececec]"
+      }`}
+    >
+      <span
+        className={`h-2.5 w-2.5 rounded-full ${
+          isOnline ? "bg-amber-500" : "bg-red-600"
+        }`}
+      />
+      {label}
+    </button>
+  );
+}
+
+function ActionFailuresAlert({ title, failures, onDismiss }) {
+  if (!failures?.length) {
+    return null;
+  }
+
+  return (
+    <div
+      role="alert"
+      className="mb-6 border-2 border-red-700 bg-white px-4 py-3"
+    >
+      <div className="flex items-start justify-between gap-3">
+        <p className="text-sm font-semibold uppercase tracking-wide text-red-700">
+          {title}
+        </p>
+        <button
+          type="button"
+          onClick={onDismiss}
+          className="border-2 border-black px-2 py-1 text-[10px] font-semibold uppercase tracking-wide text-black hover:bg-black hover:text-white"
+        >
+          Dismiss
+        </button>
+      </div>
+      <ul className="mt-3 max-h-56 space-y-2 overflow-y-auto">
+        {failures.map(({ photo, message }) => (
+          <li key={photo.id} className="flex items-center gap-3">
+            <img
+              src={photo.url}
+              alt=""
+              className="h-10 w-10 flex-none border-2 border-black object-cover"
+            />
+            <p className="text-sm text-[#555555]">{message}</p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function MoonIcon({ className = "" }) {
+  return (
+    <svg viewBox="0 0 24 24" aria-hidden="true" className={className}>
+      <path
+        d="M20 14.5A8.5 8.5 0 1 1 9.5 4a7 7 0 1 0 10.5 10.5Z"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.8"
+        strokeLinecap="round"
+        strokeLinejoin="round"
+      />
+    </svg>
+  );
+}
+
+function SunIcon({ className = "" }) {
+  return (
+    <svg viewBox="0 0 24 24" aria-hidden="true" className={className}>
+      <circle
+        cx="12"
+        cy="12"
+        r="4"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.8"
+      />
+      <path
+        d="M12 2.5V5M12 19v2.5M21.5 12H19M5 12H2.5M18.7 5.3l-1.8 1.8M7.1 16.9l-1.8 1.8M18.7 18.7l-1.8-1.8M7.1 7.1 5.3 5.3"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.8"
+        strokeLinecap="round"
+      />
+    </svg>
+  );
+}
+
+function DownloadIcon({ className = "" }) {
+  return (
+    <svg viewBox="0 0 24 24" aria-hidden="true" className={className}>
+      <path
+        d="M12 4v10m0 0-4-4m4 4 4-4M5 18h14"
+        fill="none"
+        stroke="currentColor"
         strokeWidth="1.8"
         strokeLinecap="round"
         strokeLinejoin="round"
@@ -249,6 +1250,20 @@ function DownloadIcon({ className = "" }) {
   );
 }
 
+function FolderIcon({ className = "" }) {
+  return (
+    <svg viewBox="0 0 24 24" aria-hidden="true" className={className}>
+      <path
+        d="M3.5 7.5V18a1 1 0 0 0 1 1h15a1 1 0 0 0 1-1V9a1 1 0 0 0-1-1h-8l-2-2.5h-5a1 1 0 0 0-1 1Z"
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.8"
+        strokeLinejoin="round"
+      />
+    </svg>
+  );
+}
+
 function TrashIcon({ className = "" }) {
   return (
     <svg viewBox="0 0 24 24" aria-hidden="true" className={className}>
@@ -287,135 +1302,3888 @@ function PhotoActionButton({
   );
 }
 
-function PhotoCard({ photo, onClick, onDelete, isDarkMode }) {
+const MEDIA_BADGE_LABELS = {
+  [MEDIA_TYPES.VIDEO]: "▶ Video",
+  [MEDIA_TYPES.GIFV]: "GIF",
+  [MEDIA_TYPES.AUDIO]: "♪ Audio",
+};
+
+function MediaBadge({ photo }) {
+  if (!MEDIA_BADGE_LABELS[photo.mediaType]) {
+    return null;
+  }
+
+  const duration =
+    photo.mediaType === MEDIA_TYPES.GIFV
+      ? ""
+      : formatDuration(photo.meta?.duration);
   return (
-    <button
-      type="button"
-      onClick={() => onClick(photo)}
-      className="group relative overflow-hidden border-2 border-black bg-white text-left transition"
-    >
-      <img
-        src={photo.url}
-        alt={`Photo ${photo.id}`}
-        className="h-56 w-full object-cover sm:h-64"
-        loading="lazy"
-      />
-      <div className="pointer-events-none absolute inset-0 bg-black opacity-0 transition group-hover:opacity-30" />
-      <div className="absolute bottom-4 right-4 flex items-center gap-2 opacity-0 transition group-hover:opacity-100">
-        <DownloadButton url={photo.url} isDarkMode={isDarkMode} />
-        <PhotoActionButton
-          onClick={(event) => {
-            event.stopPropagation();
-            onDelete(photo);
-          }}
-          className={
-            isDarkMode
-              ? "border-red-300 bg-red-300 text-[#2a2a2a] hover:bg-transparent hover:text-red-200"
-              : "border-red-700 bg-red-700 text-white hover:bg-white hover:text-red-700"
-          }
-          ariaLabel="Delete photo"
-          title="Delete"
-        >
-          <TrashIcon className="h-4 w-4" />
-        </PhotoActionButton>
-      </div>
-    </button>
+    <span className="pointer-events-none absolute bottom-4 left-4 border-2 border-black bg-black px-2 py-0.5 text-[10px] font-semibold uppercase tracking-wide text-white">
+      {MEDIA_BADGE_LABELS[photo.mediaType]}
+      {duration ? ` · ${duration}` : ""}
+    </span>
   );
 }
 
-function PhotoGrid({
-  photos,
-  emptyMessage,
-  onPhotoClick,
-  onDeletePhoto,
-  isDarkMode,
-}) {
-  if (!photos.length) {
+function LightboxMedia({ photo }) {
+  const className = "max-h-[70vh] w-full object-contain";
+
+  if (photo.mediaType === MEDIA_TYPES.VIDEO) {
     return (
-      <div className="border-2 border-black bg-white p-12 text-center text-[#555555]">
-        {emptyMessage}
-      </div>
+      <video
+        key={photo.id}
+        src={photo.originalUrl}
+        poster={photo.url || undefined}
+        controls
+        autoPlay
+        playsInline
+        aria-label={getPhotoAltText(photo)}
+        className={`${className} bg-black`}
+      />
     );
   }
 
-  return (
-    <section className="grid grid-cols-1 gap-6 sm:grid-cols-2 xl:grid-cols-3">
-      {photos.map((photo) => (
-        <PhotoCard
+  // GIFV is Mastodon's name for short silent clips that play like GIFs.
+  if (photo.mediaType === MEDIA_TYPES.GIFV) {
+    return (
+      <video
+        key={photo.id}
+        src={photo.originalUrl}
+        poster={photo.url || undefined}
+        autoPlay
+        loop
+        muted
+        playsInline
+        aria-label={getPhotoAltText(photo)}
+        className={className}
+      />
+    );
+  }
+
+  if (photo.mediaType === MEDIA_TYPES.AUDIO) {
+    return (
+      <div className="flex flex-col items-center gap-4 py-6">
+        {photo.url ? (
+          <img
+            src={photo.url}
+            alt={getPhotoAltText(photo)}
+            className="max-h-[50vh] object-contain"
+          />
+        ) : (
+          <span aria-hidden="true" className="text-7xl">
+            ♪
+          </span>
+        )}
+        <audio
           key={photo.id}
-          photo={photo}
-          onClick={onPhotoClick}
-          onDelete={onDeletePhoto}
-          isDarkMode={isDarkMode}
+          src={photo.originalUrl}
+          controls
+          autoPlay
+          aria-label={getPhotoAltText(photo)}
+          className="w-full max-w-xl"
         />
-      ))}
-    </section>
+      </div>
+    );
+  }
+
+  return (
+    <img src={photo.url} alt={getPhotoAltText(photo)} className={className} />
   );
 }
 
-function FolderCard({ name, count, onClick, isDarkMode }) {
-  const symbols = ["*", "#", "%", "&", "$", "@", "+"];
-  const randomSymbol = symbols[Math.floor(Math.random() * symbols.length)];
-
+function PhotoCard({
+  photo,
+  onClick,
+  onDelete,
+  onMoveCopy,
+  isSelecting = false,
+  isSelected = false,
+  onToggleSelect,
+  isDarkMode,
+}) {
   return (
     <button
-      onClick={onClick}
-      className={`border-2 p-6 text-left transition ${
-        isDarkMode
-          ? "border-[#cfcfcf] bg-[#333333] text-[#f2f2f2] hover:bg-[#454545]"
-          : "border-black bg-white text-black hover:bg-black hover:text-white"
-      }`}
       type="button"
+      onClick={(event) =>
+        isSelecting ? onToggleSelect(photo, event) : onClick(photo)
+      }
+      aria-pressed={isSelecting ? isSelected : undefined}
+      className={`group relative overflow-hidden border-2 border-black bg-white text-left transition ${
+        isSelected ? "outline outline-4 outline-offset-2 outline-black" : ""
+      }`}
     >
-      <div className="mb-4 flex h-12 w-12 items-center justify-center rounded-full border-2 border-current text-sm font-bold">
-        {randomSymbol}
-      </div>
-      <h3 className="text-lg font-semibold">{name}</h3>
-      <p
-        className={`mt-1 text-sm ${isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]"}`}
-      >
-        {count} photo{count !== 1 ? "s" : ""}
-      </p>
-      <div className="mt-4 border-t-2 border-current pt-3 text-sm">
-        <div className="flex items-center justify-between">
-          <span>Rating: 5.0</span>
-          <span>{count}+ sessions</span>
+      {photo.url ? (
+        <img
+          src={photo.url}
+          alt={getPhotoAltText(photo)}
+          className="h-56 w-full object-cover sm:h-64"
+          loading="lazy"
+        />
+      ) : (
+        <div
+          role="img"
+          aria-label={getPhotoAltText(photo)}
+          className="flex h-56 w-full items-center justify-center bg-[#f2f2f2] text-5xl text-[#555555] sm:h-64"
+        >
+          {photo.mediaType === MEDIA_TYPES.AUDIO ? "♪" : "▶"}
         </div>
+      )}
+      <MediaBadge photo={photo} />
+      <div
+        className={`pointer-events-none absolute inset-0 bg-black transition ${
+          isSelected ? "opacity-30" : "opacity-0 group-hover:opacity-30"
+        }`}
+      />
+      {isSelecting ? (
+        <span
+          aria-hidden="true"
+          className={`absolute left-4 top-4 flex h-7 w-7 items-center justify-center border-2 border-black text-sm font-bold ${
+            isSelected ? "bg-black text-white" : "bg-white text-black"
+          }`}
+        >
+          {isSelected ? "✓" : ""}
+        </span>
+      ) : null}
+      <div
+        className={`absolute bottom-4 right-4 flex items-center gap-2 opacity-0 transition group-hover:opacity-100 ${
+          isSelecting ? "hidden" : ""
+        }`}
+      >
+        <DownloadButton photo={photo} isDarkMode={isDarkMode} />
+        {onMoveCopy ? (
+          <PhotoActionButton
+            onClick={(event) => {
+              event.stopPropagation();
+              onMoveCopy(photo);
+            }}
+            className={
+              isDarkMode
+                ? "border-[#cfcfcf] bg-[#cfcfcf] text-[#2a2a2a] hover:bg-transparent hover:text-[#e9e9e9]"
+                : "border-black bg-black text-white hover:bg-white hover:text-black"
+            }
+            ariaLabel="Move or copy to folder"
+            title="Move or copy"
+          >
+            <FolderIcon className="h-4 w-4" />
+          </PhotoActionButton>
+        ) : null}
+        {onDelete ? (
+          <PhotoActionButton
+            onClick={(event) => {
+              event.stopPropagation();
+              onDelete(photo);
+            }}
+            className={
+              isDarkMode
+                ? "border-red-300 bg-red-300 text-[#2a2a2a] hover:bg-transparent hover:text-red-200"
+                : "border-red-700 bg-red-700 text-white hover:bg-white hover:text-red-700"
+            }
+            ariaLabel="Move photo to trash"
+            title="Move to trash on this device"
+          >
+            <TrashIcon className="h-4 w-4" />
+          </PhotoActionButton>
+        ) : null}
       </div>
     </button>
   );
 }
 
-export default function App() {
-  const [photos, setPhotos] = useState([]);
-  const [folders, setFolders] = useState([]);
-  const [folderPhotoCounts, setFolderPhotoCounts] = useState({});
-  const [activeTab, setActiveTab] = useState(TABS.ALL_PHOTOS);
-  const [selectedFolder, setSelectedFolder] = useState(null);
-  const [selectedFolderPhotos, setSelectedFolderPhotos] = useState([]);
-  const [isDarkMode, setIsDarkMode] = useState(false);
-  const [loading, setLoading] = useState(true);
-  const [viewLoading, setViewLoading] = useState(false);
-  const [error, setError] = useState("");
-  const [successMessage, setSuccessMessage] = useState("");
-  const [activePhoto, setActivePhoto] = useState(null);
-  const [deletingPhotoId, setDeletingPhotoId] = useState("");
-  const [isCreateFolderModalOpen, setIsCreateFolderModalOpen] = useState(false);
-  const [newFolderName, setNewFolderName] = useState("");
-  const transitionTimeoutRef = useRef(null);
-  const successTimeoutRef = useRef(null);
-  const popStateRef = useRef(false);
-  const fileInputRef = useRef(null);
-  const folderFileInputRef = useRef(null);
+// Mirrors the sm/xl breakpoints the grid used before it was virtualized.
+const GRID_COLUMN_QUERIES = [
+  { query: "(min-width: 1280px)", columns: 3 },
+  { query: "(min-width: 640px)", columns: 2 },
+];
+const GRID_COLUMN_CLASSES = {
+  1: "grid-cols-1",
+  2: "grid-cols-2",
+  3: "grid-cols-3",
+};
+const GRID_GAP = 24;
+const GRID_OVERSCAN = 800;
+
+function getGridColumns() {
+  const match = GRID_COLUMN_QUERIES.find(
+    ({ query }) => window.matchMedia(query).matches,
+  );
+  return match ? match.columns : 1;
+}
+
+function useGridColumns() {
+  const [columns, setColumns] = useState(getGridColumns);
 
   useEffect(() => {
+    const mediaQueries = GRID_COLUMN_QUERIES.map(({ query }) =>
+      window.matchMedia(query),
+    );
+    function handleChange() {
+      setColumns(getGridColumns());
+    }
+
+    mediaQueries.forEach((mediaQuery) =>
+      mediaQuery.addEventListener("change", handleChange),
+    );
     return () => {
-      if (transitionTimeoutRef.current) {
-        clearTimeout(transitionTimeoutRef.current);
-      }
-      if (successTimeoutRef.current) {
-        clearTimeout(successTimeoutRef.current);
-      }
+      mediaQueries.forEach((mediaQuery) =>
+        mediaQuery.removeEventListener("change", handleChange),
+      );
+    };
+  }, []);
+
+  return columns;
+}
+
+// Index of the last row that starts at or above `y`.
+function findRowAt(rowOffsets, y) {
+  let low = 0;
+  let high = Math.max(0, rowOffsets.length - 2);
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (rowOffsets[middle] <= y) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+}
+
+// Window-scrolled row virtualization: only rows near the viewport are mounted,
+// with spacers above and below standing in for the rest. `rowOffsets` is the
+// top of each row followed by the total height; `first` is the row at the top
+// of the viewport.
+function useVirtualRows(containerRef, rowOffsets) {
+  const [range, setRange] = useState({ start: 0, end: 0, first: 0 });
+
+  useEffect(() => {
+    let frame = 0;
+    const rowCount = rowOffsets.length - 1;
+
+    function measure() {
+      frame = 0;
+      const container = containerRef.current;
+      if (!container) {
+        return;
+      }
+
+      const top = -container.getBoundingClientRect().top;
+      const start = findRowAt(rowOffsets, top - GRID_OVERSCAN);
+      const end = Math.min(
+        rowCount,
+        findRowAt(rowOffsets, top + window.innerHeight + GRID_OVERSCAN) + 1,
+      );
+      const first = findRowAt(rowOffsets, top);
+      setRange((previous) =>
+        previous.start === start &&
+        previous.end === end &&
+        previous.first === first
+          ? previous
+          : { start, end, first },
+      );
+    }
+
+    function schedule() {
+      if (!frame) {
+        frame = window.requestAnimationFrame(measure);
+      }
+    }
+
+    measure();
+    window.addEventListener("scroll", schedule, { passive: true });
+    window.addEventListener("resize", schedule);
+    return () => {
+      window.removeEventListener("scroll", schedule);
+      window.removeEventListener("resize", schedule);
+      if (frame) {
+        window.cancelAnimationFrame(frame);
+      }
+    };
+  }, [containerRef, rowOffsets]);
+
+  return range;
+}
+
+const TIMELINE_HEADING_HEIGHT = 48;
+
+function TimelineHeading({ group, isDarkMode }) {
+  return (
+    <h3
+      className={`flex items-end overflow-hidden whitespace-nowrap border-b-2 pb-2 text-lg font-semibold ${
+        isDarkMode
+          ? "border-[#cfcfcf] bg-[#303030] text-[#f2f2f2]"
+          : "border-black bg-white text-black"
+      }`}
+      style={{ height: TIMELINE_HEADING_HEIGHT }}
+    >
+      {group.label}
+      <span
+        className={`ml-3 text-sm font-normal ${
+          isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]"
+        }`}
+      >
+        {group.photos.length} photo
+        {group.photos.length !== 1 ? "s" : ""}
+      </span>
+    </h3>
+  );
+}
+
+// With `groups` (from groupPhotosByDate) the grid becomes the timeline: one
+// virtualized list where each group starts with a heading row, and the
+// heading of the group at the top stays pinned. `jumpRequest` scrolls to a
+// group's heading.
+function PhotoGrid({
+  photos,
+  groups = null,
+  jumpRequest = null,
+  onActiveGroupChange,
+  emptyMessage,
+  onPhotoClick,
+  onDeletePhoto,
+  onMoveCopyPhoto,
+  onDropFiles,
+  isSelecting = false,
+  selectedIds,
+  onToggleSelect,
+  activePhotoId = null,
+  isDarkMode,
+}) {
+  const { isDragOver, dropHandlers } = useFileDrop(onDropFiles);
+  const columns = useGridColumns();
+  const containerRef = useRef(null);
+  const firstRowRef = useRef(null);
+  const lastActivePhotoIdRef = useRef(null);
+  const onActiveGroupChangeRef = useRef(onActiveGroupChange);
+  onActiveGroupChangeRef.current = onActiveGroupChange;
+  const [rowHeight, setRowHeight] = useState(260);
+  const rows = useMemo(() => {
+    if (groups) {
+      return getTimelineRows(groups, columns);
+    }
+    const photoRows = [];
+    for (let index = 0; index < photos.length; index += columns) {
+      photoRows.push({
+        type: TIMELINE_ROW_TYPES.PHOTOS,
+        key: String(index),
+        photos: photos.slice(index, index + columns),
+      });
+    }
+    return photoRows;
+  }, [photos, groups, columns]);
+  const rowOffsets = useMemo(() => {
+    const offsets = [0];
+    rows.forEach((row) => {
+      const height =
+        row.type === TIMELINE_ROW_TYPES.HEADING
+          ? TIMELINE_HEADING_HEIGHT
+          : rowHeight;
+      offsets.push(offsets[offsets.length - 1] + height + GRID_GAP);
+    });
+    return offsets;
+  }, [rows, rowHeight]);
+  const { start, end, first } = useVirtualRows(containerRef, rowOffsets);
+  const activeGroup = groups ? rows[first]?.group || null : null;
+  const dropOutline = isDragOver
+    ? "outline-dashed outline-4 outline-offset-4 outline-black"
+    : "";
+
+  useEffect(() => {
+    const row = firstRowRef.current;
+    if (!row || typeof ResizeObserver === "undefined") {
+      return undefined;
+    }
+
+    const observer = new ResizeObserver(() => {
+      if (row.offsetHeight) {
+        setRowHeight(row.offsetHeight);
+      }
+    });
+    observer.observe(row);
+    return () => observer.disconnect();
+  }, [start, end, columns]);
+
+  useEffect(() => {
+    onActiveGroupChangeRef.current?.(activeGroup?.key || null);
+  }, [activeGroup?.key]);
+
+  function scrollToRow(index, align = "start") {
+    const container = containerRef.current;
+    if (index < 0 || !container) {
+      return;
+    }
+
+    const rowTop =
+      container.getBoundingClientRect().top +
+      window.scrollY +
+      rowOffsets[index];
+    if (align === "start") {
+      window.scrollTo({ top: rowTop });
+      return;
+    }
+    const isVisible =
+      rowTop >= window.scrollY &&
+      rowTop + rowHeight <= window.scrollY + window.innerHeight;
+    if (!isVisible) {
+      window.scrollTo({
+        top: rowTop - (window.innerHeight - rowHeight) / 2,
+      });
+    }
+  }
+
+  useEffect(() => {
+    if (jumpRequest) {
+      scrollToRow(
+        rows.findIndex(
+          (row) =>
+            row.type === TIMELINE_ROW_TYPES.HEADING &&
+            row.group.key === jumpRequest.groupKey,
+        ),
+      );
+    }
+  }, [jumpRequest]);
+
+  // When the lightbox closes, bring the photo it ended on back into view.
+  useEffect(() => {
+    if (activePhotoId) {
+      lastActivePhotoIdRef.current = activePhotoId;
+      return;
+    }
+
+    const lastId = lastActivePhotoIdRef.current;
+    lastActivePhotoIdRef.current = null;
+    if (lastId) {
+      scrollToRow(
+        rows.findIndex((row) =>
+          row.photos?.some((photo) => photo.id === lastId),
+        ),
+        "center",
+      );
+    }
+  }, [activePhotoId]);
+
+  if (!photos.length) {
+    return (
+      <div
+        {...dropHandlers}
+        className={`border-2 border-black bg-white p-12 text-center text-[#555555] ${dropOutline}`}
+      >
+        {isDragOver ? "Drop to upload." : emptyMessage}
+      </div>
+    );
+  }
+
+  const visibleEnd = Math.max(end, Math.min(rows.length, start + 1));
+  let hasPhotoRow = false;
+
+  return (
+    <section
+      ref={containerRef}
+      {...dropHandlers}
+      className={dropOutline}
+      style={{
+        paddingTop: rowOffsets[start],
+        paddingBottom: rowOffsets[rows.length] - rowOffsets[visibleEnd],
+      }}
+    >
+      {activeGroup ? (
+        <div className="sticky top-0 z-10 h-0">
+          <TimelineHeading group={activeGroup} isDarkMode={isDarkMode} />
+        </div>
+      ) : null}
+      {rows.slice(start, visibleEnd).map((row, offset) => {
+        const style = { marginTop: offset === 0 ? 0 : GRID_GAP };
+        if (row.type === TIMELINE_ROW_TYPES.HEADING) {
+          return (
+            <div key={row.key} style={style}>
+              <TimelineHeading group={row.group} isDarkMode={isDarkMode} />
+            </div>
+          );
+        }
+
+        const isFirstPhotoRow = !hasPhotoRow;
+        hasPhotoRow = true;
+        return (
+          <div
+            key={row.key}
+            ref={isFirstPhotoRow ? firstRowRef : undefined}
+            className={`grid gap-6 ${GRID_COLUMN_CLASSES[columns]}`}
+            style={style}
+          >
+            {row.photos.map((photo) => (
+              <PhotoCard
+                key={photo.id}
+                photo={photo}
+                onClick={onPhotoClick}
+                onDelete={onDeletePhoto}
+                onMoveCopy={onMoveCopyPhoto}
+                isSelecting={isSelecting}
+                isSelected={Boolean(selectedIds?.has(photo.id))}
+                onToggleSelect={onToggleSelect}
+                isDarkMode={isDarkMode}
+              />
+            ))}
+          </div>
+        );
+      })}
+    </section>
+  );
+}
+
+function loadTimelineGrouping() {
+  const stored = window.localStorage.getItem("timelineGrouping");
+  return Object.values(TIMELINE_GROUPINGS).includes(stored)
+    ? stored
+    : TIMELINE_GROUPINGS.DAY;
+}
+
+// Only months with loaded photos are listed; "Older" pages further back
+// until an earlier month turns up.
+function TimelineScrubber({
+  years,
+  activeGroupKey,
+  onJump,
+  hasMore,
+  isLoadingMore,
+  onLoadOlder,
+  isDarkMode,
+}) {
+  const activeMonthKey = activeGroupKey?.slice(0, 7);
+  const mutedText = isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]";
+
+  return (
+    <nav
+      aria-label="Jump to date"
+      className={`sticky top-4 max-h-[calc(100vh-2rem)] w-24 flex-none self-start overflow-y-auto border-2 p-2 text-sm ${
+        isDarkMode ? "border-[#cfcfcf]" : "border-black"
+      }`}
+    >
+      <ol className="space-y-3">
+        {years.map((year) => (
+          <li key={year.year}>
+            <button
+              type="button"
+              onClick={() => onJump(year.groupKey)}
+              className="font-semibold hover:underline"
+            >
+              {year.year}
+            </button>
+            <ol className="mt-1 space-y-1">
+              {year.months.map((month) => {
+                const isActive = month.monthKey === activeMonthKey;
+                return (
+                  <li key={month.monthKey}>
+                    <button
+                      type="button"
+                      onClick={() => onJump(month.groupKey)}
+                      aria-current={isActive ? "true" : undefined}
+                      className={`w-full px-1 text-left text-xs uppercase tracking-wide ${
+                        isActive
+                          ? isDarkMode
+                            ? "bg-[#d0d0d0] text-[#2b2b2b]"
+                            : "bg-black text-white"
+                          : `${mutedText} hover:underline`
+                      }`}
+                    >
+                      {month.label}
+                    </button>
+                  </li>
+                );
+              })}
+            </ol>
+          </li>
+        ))}
+      </ol>
+      {hasMore ? (
+        <button
+          type="button"
+          onClick={onLoadOlder}
+          disabled={isLoadingMore}
+          className={`mt-3 w-full px-1 text-left text-xs font-semibold uppercase tracking-wide hover:underline disabled:cursor-wait disabled:opacity-60 ${mutedText}`}
+        >
+          {isLoadingMore ? "Loading…" : "Older"}
+        </button>
+      ) : null}
+    </nav>
+  );
+}
+
+// `paging` and `onLoadMore` are the feed's, for loading older months.
+function PhotoTimeline({
+  photos,
+  paging,
+  onLoadMore,
+  emptyMessage,
+  isDarkMode,
+  ...gridProps
+}) {
+  const [grouping, setGrouping] = useState(loadTimelineGrouping);
+  const [activeGroupKey, setActiveGroupKey] = useState(null);
+  const [jumpRequest, setJumpRequest] = useState(null);
+  // The month count when "Older" was pressed; null when not looking.
+  const [olderFromMonthCount, setOlderFromMonthCount] = useState(null);
+  const groups = useMemo(
+    () => groupPhotosByDate(photos, grouping),
+    [photos, grouping],
+  );
+  const years = useMemo(() => getScrubberYears(groups), [groups]);
+  const monthCount = years.reduce(
+    (count, year) => count + year.months.length,
+    0,
+  );
+
+  useEffect(() => {
+    window.localStorage.setItem("timelineGrouping", grouping);
+  }, [grouping]);
+
+  useEffect(() => {
+    if (olderFromMonthCount === null || paging.isLoading) {
+      return;
+    }
+    if (monthCount > olderFromMonthCount) {
+      setOlderFromMonthCount(null);
+      const oldestMonths = years[years.length - 1].months;
+      jumpTo(oldestMonths[oldestMonths.length - 1].groupKey);
+    } else if (!paging.next || paging.error) {
+      setOlderFromMonthCount(null);
+    } else {
+      onLoadMore();
+    }
+  }, [olderFromMonthCount, monthCount, paging]);
+
+  function jumpTo(groupKey) {
+    setJumpRequest({ groupKey });
+  }
+
+  if (!photos.length) {
+    return (
+      <PhotoGrid
+        photos={photos}
+        emptyMessage={emptyMessage}
+        isDarkMode={isDarkMode}
+        {...gridProps}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div
+        role="radiogroup"
+        aria-label="Group by"
+        className="flex items-center justify-end gap-2"
+      >
+        {Object.values(TIMELINE_GROUPINGS).map((value) => (
+          <button
+            key={value}
+            type="button"
+            role="radio"
+            aria-checked={grouping === value}
+            onClick={() => setGrouping(value)}
+            className={`border-2 px-3 py-1 text-xs font-semibold uppercase tracking-wide ${
+              grouping === value
+                ? isDarkMode
+                  ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b]"
+                  : "border-black bg-black text-white"
+                : isDarkMode
+                  ? "border-[#d0d0d0] text-[#f2f2f2]"
+                  : "border-black text-black"
+            }`}
+          >
+            By {value}
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-6">
+        <div className="min-w-0 flex-1">
+          <PhotoGrid
+            photos={photos}
+            groups={groups}
+            jumpRequest={jumpRequest}
+            onActiveGroupChange={setActiveGroupKey}
+            emptyMessage={emptyMessage}
+            isDarkMode={isDarkMode}
+            {...gridProps}
+          />
+        </div>
+        {years.length ? (
+          <div className="hidden sm:block">
+            <TimelineScrubber
+              years={years}
+              activeGroupKey={activeGroupKey}
+              onJump={jumpTo}
+              hasMore={Boolean(paging.next) && !paging.error}
+              isLoadingMore={olderFromMonthCount !== null}
+              onLoadOlder={() => setOlderFromMonthCount(monthCount)}
+              isDarkMode={isDarkMode}
+            />
+          </div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+const SORT_LABELS = {
+  [SORT_ORDERS.NEWEST]: "Newest first",
+  [SORT_ORDERS.OLDEST]: "Oldest first",
+  [SORT_ORDERS.SIZE]: "Largest first",
+  [SORT_ORDERS.FOLDER]: "By folder",
+};
+
+function PhotoFilterBar({
+  filters,
+  onChange,
+  sortOrders = Object.values(SORT_ORDERS),
+  folders,
+  typeOptions,
+  matchCount,
+  totalCount,
+  isComplete = true,
+  isDarkMode,
+}) {
+  const isFiltered = hasActiveFilters(filters);
+  const fieldClassName = `border-2 px-3 py-2 text-sm outline-none ${
+    isDarkMode
+      ? "border-[#cfcfcf] bg-[#2b2b2b] text-[#f2f2f2] placeholder:text-[#a8a8a8] [color-scheme:dark]"
+      : "border-black bg-white text-black placeholder:text-[#777777]"
+  }`;
+  const labelClassName = `flex flex-col gap-1 text-xs font-semibold uppercase tracking-wide ${
+    isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]"
+  }`;
+
+  function update(field, value) {
+    onChange({ ...filters, [field]: value });
+  }
+
+  return (
+    <div
+      className={`mb-4 space-y-3 border-2 p-3 ${
+        isDarkMode ? "border-[#cfcfcf]" : "border-black"
+      }`}
+    >
+      <div className="flex flex-wrap items-end gap-3">
+        <label className={`${labelClassName} min-w-[12rem] flex-1`}>
+          Search
+          <input
+            type="search"
+            value={filters.query}
+            onChange={(event) => update("query", event.target.value)}
+            placeholder="Captions, #tags and file names"
+            className={fieldClassName}
+          />
+        </label>
+        {folders ? (
+          <label className={labelClassName}>
+            Folder
+            <select
+              value={filters.folder}
+              onChange={(event) => update("folder", event.target.value)}
+              className={fieldClassName}
+            >
+              <option value="">All folders</option>
+              {folders.map((folder) => (
+                <option key={folder} value={folder}>
+                  {folder}
+                </option>
+              ))}
+            </select>
+          </label>
+        ) : null}
+        <label className={labelClassName}>
+          Type
+          <select
+            value={filters.type}
+            onChange={(event) => update("type", event.target.value)}
+            className={fieldClassName}
+          >
+            <option value="">Any type</option>
+            {typeOptions.map((type) => (
+              <option key={type} value={type}>
+                {type.toUpperCase()}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className={labelClassName}>
+          Sort
+          <select
+            value={filters.sort}
+            onChange={(event) => update("sort", event.target.value)}
+            className={fieldClassName}
+          >
+            {sortOrders.map((sort) => (
+              <option key={sort} value={sort}>
+                {SORT_LABELS[sort]}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="flex flex-wrap items-end gap-3">
+        <label className={labelClassName}>
+          From
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(event) => update("from", event.target.value)}
+            className={fieldClassName}
+          />
+        </label>
+        <label className={labelClassName}>
+          To
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(event) => update("to", event.target.value)}
+            className={fieldClassName}
+          />
+        </label>
+        <label className={labelClassName}>
+          Min MB
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={filters.minMb}
+            onChange={(event) => update("minMb", event.target.value)}
+            className={`${fieldClassName} w-24`}
+          />
+        </label>
+        <label className={labelClassName}>
+          Max MB
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={filters.maxMb}
+            onChange={(event) => update("maxMb", event.target.value)}
+            className={`${fieldClassName} w-24`}
+          />
+        </label>
+        <button
+          type="button"
+          onClick={() => onChange(DEFAULT_PHOTO_FILTERS)}
+          disabled={!isFiltered && filters.sort === DEFAULT_PHOTO_FILTERS.sort}
+          className={`border-2 px-3 py-2 text-xs font-semibold uppercase tracking-wide disabled:cursor-not-allowed disabled:opacity-40 ${
+            isDarkMode
+              ? "border-[#d0d0d0] text-[#f2f2f2] hover:bg-[#4a4a4a]"
+              : "border-black text-black hover:bg-black hover:text-white"
+          }`}
+        >
+          Reset
+        </button>
+        {isFiltered ? (
+          <p
+            role="status"
+            className={`ml-auto self-center text-sm ${
+              isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]"
+            }`}
+          >
+            {matchCount} of {totalCount} {isComplete ? "" : "loaded "}photo
+            {totalCount !== 1 ? "s" : ""} match
+            {isComplete ? "" : ", loading the rest"}
+          </p>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+function SelectionToolbar({
+  isSelecting,
+  selectedCount,
+  totalCount,
+  folders,
+  busyAction,
+  onStart,
+  onSelectAll,
+  onClear,
+  onDownload,
+  onMove,
+  onDelete,
+  onExit,
+  isDarkMode,
+}) {
+  const [targetFolder, setTargetFolder] = useState("");
+  const buttonClassName = `border-2 px-3 py-2 text-xs font-semibold uppercase tracking-wide disabled:cursor-not-allowed disabled:opacity-40 ${
+    isDarkMode
+      ? "border-[#d0d0d0] text-[#f2f2f2] hover:bg-[#4a4a4a]"
+      : "border-black text-black hover:bg-black hover:text-white"
+  }`;
+
+  if (!isSelecting) {
+    return totalCount ? (
+      <div className="mb-4 flex justify-end">
+        <button type="button" onClick={onStart} className={buttonClassName}>
+          Select
+        </button>
+      </div>
+    ) : null;
+  }
+
+  const isBusy = Boolean(busyAction);
+  const hasSelection = selectedCount > 0;
+
+  return (
+    <div
+      role="toolbar"
+      aria-label="Selection"
+      className={`sticky top-0 z-20 mb-4 flex flex-wrap items-center gap-2 border-2 px-4 py-3 ${
+        isDarkMode
+          ? "border-[#cfcfcf] bg-[#333333] text-[#f2f2f2]"
+          : "border-black bg-white text-black"
+      }`}
+    >
+      <p className="mr-auto text-sm font-semibold uppercase tracking-wide">
+        {selectedCount} of {totalCount} selected
+      </p>
+      <button
+        type="button"
+        onClick={selectedCount === totalCount ? onClear : onSelectAll}
+        disabled={isBusy}
+        className={buttonClassName}
+      >
+        {selectedCount === totalCount ? "Clear" : "Select all"}
+      </button>
+      <button
+        type="button"
+        onClick={onDownload}
+        disabled={isBusy || !hasSelection}
+        className={buttonClassName}
+      >
+        {busyAction === "download" ? "Downloading…" : "Download selected"}
+      </button>
+      <select
+        value={targetFolder}
+        onChange={(event) => setTargetFolder(event.target.value)}
+        disabled={isBusy}
+        aria-label="Move to folder"
+        className={`border-2 px-2 py-2 text-xs font-semibold uppercase tracking-wide ${
+          isDarkMode
+            ? "border-[#d0d0d0] bg-[#2b2b2b] text-[#f2f2f2]"
+            : "border-black bg-white text-black"
+        }`}
+      >
+        <option value="">Move to…</option>
+        {folders.map((folder) => (
+          <option key={folder} value={folder}>
+            {folder}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={() => onMove(targetFolder)}
+        disabled={isBusy || !hasSelection || !targetFolder}
+        className={buttonClassName}
+      >
+        {busyAction === "move" ? "Moving…" : "Move"}
+      </button>
+      <button
+        type="button"
+        onClick={onDelete}
+        disabled={isBusy || !hasSelection}
+        title="Move to trash on this device"
+        className={`border-2 px-3 py-2 text-xs font-semibold uppercase tracking-wide disabled:cursor-not-allowed disabled:opacity-40 ${
+          isDarkMode
+            ? "border-red-300 bg-red-300 text-[#2a2a2a] hover:bg-transparent hover:text-red-200"
+            : "border-red-700 bg-red-700 text-white hover:bg-white hover:text-red-700"
+        }`}
+      >
+        {busyAction === "delete" ? "Deleting…" : "Delete"}
+      </button>
+      <button
+        type="button"
+        onClick={onExit}
+        disabled={isBusy}
+        className={buttonClassName}
+      >
+        Done
+      </button>
+    </div>
+  );
+}
+
+function TrashView({ entries, onRestore, onDelete, isBusy, isDarkMode }) {
+  const [isConfirmingEmpty, setIsConfirmingEmpty] = useState(false);
+  const mutedText = isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]";
+  const buttonClassName = `border-2 px-3 py-2 text-xs font-semibold uppercase tracking-wide disabled:cursor-not-allowed disabled:opacity-40 ${
+    isDarkMode
+      ? "border-[#d0d0d0] bg-transparent text-[#f2f2f2] hover:bg-[#3d3d3d]"
+      : "border-black bg-white text-black hover:bg-black hover:text-white"
+  }`;
+  const dangerClassName = `border-2 px-3 py-2 text-xs font-semibold uppercase tracking-wide disabled:cursor-not-allowed disabled:opacity-40 ${
+    isDarkMode
+      ? "border-red-300 bg-red-300 text-[#2a2a2a] hover:bg-transparent hover:text-red-200"
+      : "border-red-700 bg-red-700 text-white hover:bg-white hover:text-red-700"
+  }`;
+
+  if (!entries.length) {
+    return (
+      <p className={`py-12 text-center text-sm ${mutedText}`}>
+        Trash is empty. Deleted photos stay here for {TRASH_RETENTION_DAYS}{" "}
+        days. The trash is kept on this device only.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className={`text-sm ${mutedText}`}>
+          {entries.length} photo{entries.length !== 1 ? "s" : ""} in trash.
+          Photos are deleted permanently after {TRASH_RETENTION_DAYS} days, the
+          next time CloudIt is opened on this device. Until then other devices
+          still show them, and clearing the browser data here brings them back.
+        </p>
+        <div className="flex items-center gap-2">
+          {isConfirmingEmpty ? (
+            <>
+              <span className="text-sm font-semibold">
+                Delete everything forever?
+              </span>
+              <button
+                type="button"
+                onClick={() => setIsConfirmingEmpty(false)}
+                disabled={isBusy}
+                className={buttonClassName}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={async () => {
+                  await onDelete(entries);
+                  setIsConfirmingEmpty(false);
+                }}
+                disabled={isBusy}
+                className={dangerClassName}
+              >
+                {isBusy ? "Deleting…" : "Empty trash"}
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                type="button"
+                onClick={() => onRestore(entries)}
+                disabled={isBusy}
+                className={buttonClassName}
+              >
+                Restore all
+              </button>
+              <button
+                type="button"
+                onClick={() => setIsConfirmingEmpty(true)}
+                disabled={isBusy}
+                className={dangerClassName}
+              >
+                Empty trash
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="grid gap-6 sm:grid-cols-2 xl:grid-cols-3">
+        {entries.map((entry) => (
+          <div
+            key={entry.photo.id}
+            className={`border-2 ${
+              isDarkMode
+                ? "border-[#cfcfcf] bg-[#333333]"
+                : "border-black bg-white"
+            }`}
+          >
+            {entry.photo.url ? (
+              <img
+                src={entry.photo.url}
+                alt={getPhotoAltText(entry.photo)}
+                className="h-48 w-full object-cover opacity-70"
+                loading="lazy"
+              />
+            ) : (
+              <div
+                role="img"
+                aria-label={getPhotoAltText(entry.photo)}
+                className="flex h-48 w-full items-center justify-center bg-[#f2f2f2] text-5xl text-[#555555]"
+              >
+                {entry.photo.mediaType === MEDIA_TYPES.AUDIO ? "♪" : "▶"}
+              </div>
+            )}
+            <div className="flex items-center justify-between gap-2 p-3">
+              <div className="min-w-0">
+                <p className="truncate text-sm font-semibold">
+                  {entry.photo.folder || "No folder"}
+                </p>
+                <p className={`text-xs ${mutedText}`}>
+                  Deleted forever in {getDaysUntilPurge(entry)} day
+                  {getDaysUntilPurge(entry) !== 1 ? "s" : ""}
+                </p>
+              </div>
+              <div className="flex shrink-0 items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => onRestore([entry])}
+                  disabled={isBusy}
+                  className={buttonClassName}
+                >
+                  Restore
+                </button>
+                <PhotoActionButton
+                  onClick={() => onDelete([entry])}
+                  disabled={isBusy}
+                  ariaLabel="Delete photo forever"
+                  title="Delete forever"
+                  className={
+                    isDarkMode
+                      ? "border-red-300 bg-red-300 text-[#2a2a2a] hover:bg-transparent hover:text-red-200"
+                      : "border-red-700 bg-red-700 text-white hover:bg-white hover:text-red-700"
+                  }
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </PhotoActionButton>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const DUPLICATE_CHOICES = {
+  UPLOAD_ALL: "uploadAll",
+  SKIP: "skip",
+  CANCEL: "cancel",
+};
+
+function DuplicateUploadModal({
+  duplicates,
+  totalCount,
+  onChoose,
+  isDarkMode,
+}) {
+  const mutedText = isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]";
+  const canSkip = duplicates.length < totalCount;
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 px-4"
+      onClick={() => onChoose(DUPLICATE_CHOICES.CANCEL)}
+    >
+      <div
+        className={`w-full max-w-md space-y-4 border-2 p-6 ${
+          isDarkMode
+            ? "border-[#cfcfcf] bg-[#333333] text-[#f2f2f2]"
+            : "border-black bg-white text-black"
+        }`}
+        onClick={(event) => event.stopPropagation()}
+        onKeyDown={(event) => {
+          if (event.key === "Escape") {
+            onChoose(DUPLICATE_CHOICES.CANCEL);
+          }
+        }}
+      >
+        <div>
+          <h3 className="text-xl font-semibold">
+            Already Uploaded From This Device
+          </h3>
+          <p className={`mt-1 text-sm ${mutedText}`}>
+            {duplicates.length === 1
+              ? duplicates[0].match.inBatch
+                ? "This file is in this upload twice."
+                : "This file is identical to one you uploaded from this device before."
+              : `${duplicates.length} files are identical to ones you uploaded from this device before or to others in this upload.`}
+          </p>
+          <p className={`mt-1 text-xs ${mutedText}`}>
+            Only uploads made from this browser are checked, and the original
+            may since have been deleted.
+          </p>
+        </div>
+
+        <ul className="max-h-48 space-y-1 overflow-y-auto text-sm">
+          {duplicates.map(({ file, match }) => (
+            <li key={`${file.name}-${file.lastModified}`} className="truncate">
+              <span className="font-semibold">{file.name}</span>
+              <span className={mutedText}>
+                {match.inBatch
+                  ? ` · same as ${match.name} in this upload`
+                  : ` · uploaded as ${match.name}${match.folder ? ` to "${match.folder}"` : ""}`}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex flex-wrap items-center justify-end gap-2">
+          <button
+            type="button"
+            onClick={() => onChoose(DUPLICATE_CHOICES.CANCEL)}
+            className={`border-2 px-4 py-2 text-xs font-semibold uppercase tracking-wide ${
+              isDarkMode
+                ? "border-[#d0d0d0] bg-transparent text-[#f2f2f2] hover:bg-[#3d3d3d]"
+                : "border-black bg-white text-black hover:bg-black hover:text-white"
+            }`}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => onChoose(DUPLICATE_CHOICES.UPLOAD_ALL)}
+            className={`border-2 px-4 py-2 text-xs font-semibold uppercase tracking-wide ${
+              isDarkMode
+                ? "border-[#d0d0d0] bg-transparent text-[#f2f2f2] hover:bg-[#3d3d3d]"
+                : "border-black bg-white text-black hover:bg-black hover:text-white"
+            }`}
+          >
+            Upload anyway
+          </button>
+          {canSkip ? (
+            <button
+              type="button"
+              onClick={() => onChoose(DUPLICATE_CHOICES.SKIP)}
+              autoFocus
+              className={`border-2 px-4 py-2 text-xs font-semibold uppercase tracking-wide ${
+                isDarkMode
+                  ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b] hover:bg-transparent hover:text-[#f2f2f2]"
+                  : "border-black bg-black text-white"
+              }`}
+            >
+              Skip duplicates
+            </button>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const DHASH_BATCH_SIZE = 32;
+
+// Hashes thumbnails one at a time in the background; results are cached by
+// photo id so a revisit only hashes new photos. Results are applied in
+// batches, so the library is regrouped once per batch rather than per photo.
+function useNearDuplicates(photos, ownerId) {
+  const [hashes, setHashes] = useState(() => loadDHashCache(ownerId));
+  const [pending, setPending] = useState(0);
+  const failedIdsRef = useRef(new Set());
+
+  useEffect(() => {
+    saveDHashCache(ownerId, hashes);
+  }, [hashes]);
+
+  useEffect(() => {
+    const queue = photos.filter(
+      (photo) =>
+        photo.mediaType === MEDIA_TYPES.IMAGE &&
+        photo.url &&
+        !hashes[photo.id] &&
+        !failedIdsRef.current.has(photo.id),
+    );
+    if (!queue.length) {
+      return undefined;
+    }
+
+    let isCurrent = true;
+    let batch = {};
+    let batchSize = 0;
+
+    function flush() {
+      if (batchSize) {
+        const found = batch;
+        setHashes((current) => ({ ...current, ...found }));
+        batch = {};
+        batchSize = 0;
+      }
+    }
+
+    async function run() {
+      setPending(queue.length);
+      for (const [index, photo] of queue.entries()) {
+        try {
+          batch[photo.id] = await computeDHash(photo.url);
+          batchSize += 1;
+        } catch (err) {
+          failedIdsRef.current.add(photo.id);
+        }
+        // A newer run takes over, but what was hashed so far is kept.
+        if (!isCurrent) {
+          flush();
+          return;
+        }
+        if (batchSize >= DHASH_BATCH_SIZE) {
+          flush();
+          setPending(queue.length - index - 1);
+        }
+      }
+      flush();
+      setPending(0);
+    }
+
+    run();
+    return () => {
+      isCurrent = false;
+    };
+  }, [photos]);
+
+  const groups = useMemo(
+    () => groupNearDuplicates(photos, hashes),
+    [photos, hashes],
+  );
+  return { groups, pending, failed: failedIdsRef.current.size };
+}
+
+function DuplicatesView({
+  photos,
+  ownerId,
+  onKeep,
+  footer = null,
+  isDarkMode,
+}) {
+  const { groups, pending, failed } = useNearDuplicates(photos, ownerId);
+  const mutedText = isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]";
+
+  return (
+    <div className="space-y-6">
+      <p className={`text-sm ${mutedText}`}>
+        {pending
+          ? `Comparing photos… ${pending} left to check.`
+          : `Checked ${photos.length} loaded photo${photos.length !== 1 ? "s" : ""}. ${
+              groups.length
+                ? `Found ${groups.length} set${groups.length !== 1 ? "s" : ""} of look-alikes.`
+                : "No duplicates found."
+            }`}
+        {failed ? ` ${failed} could not be read and were skipped.` : ""}
+      </p>
+
+      {groups.map((group) => (
+        <section
+          key={group.map((photo) => photo.id).join("|")}
+          className={`border-2 p-4 ${
+            isDarkMode ? "border-[#555555]" : "border-black"
+          }`}
+        >
+          <h3 className="mb-3 text-sm font-semibold uppercase tracking-wide">
+            {group.length} similar photos
+          </h3>
+          <div className="flex gap-4 overflow-x-auto pb-2">
+            {group.map((photo) => (
+              <div
+                key={photo.id}
+                className={`w-56 shrink-0 border-2 ${
+                  isDarkMode
+                    ? "border-[#cfcfcf] bg-[#333333]"
+                    : "border-black bg-white"
+                }`}
+              >
+                <img
+                  src={photo.url}
+                  alt={getPhotoAltText(photo)}
+                  className="h-40 w-full object-cover"
+                  loading="lazy"
+                />
+                <div className="space-y-2 p-3 text-xs">
+                  <p className="truncate font-semibold">
+                    {photo.folder || "No folder"}
+                  </p>
+                  <p className={mutedText}>
+                    {photo.uploadedAt
+                      ? new Date(photo.uploadedAt).toLocaleString()
+                      : "Unknown date"}
+                    {photo.size ? ` · ${formatBytes(photo.size)}` : ""}
+                  </p>
+                  <button
+                    type="button"
+                    onClick={() => onKeep(photo, group)}
+                    className={`w-full border-2 px-3 py-2 font-semibold uppercase tracking-wide ${
+                      isDarkMode
+                        ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b] hover:bg-transparent hover:text-[#f2f2f2]"
+                        : "border-black bg-black text-white hover:bg-white hover:text-black"
+                    }`}
+                  >
+                    Keep this one
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </section>
+      ))}
+
+      {footer}
+    </div>
+  );
+}
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) {
+    return "";
+  }
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+const UPLOAD_STATUS_LABELS = {
+  [UPLOAD_STATUS.QUEUED]: "Queued",
+  [UPLOAD_STATUS.PROCESSING]: "Optimizing",
+  [UPLOAD_STATUS.UPLOADING]: "Uploading",
+  [UPLOAD_STATUS.SUCCEEDED]: "Done",
+  [UPLOAD_STATUS.FAILED]: "Failed",
+  [UPLOAD_STATUS.CANCELLED]: "Cancelled",
+};
+
+function UploadQueueItem({ item, onRetry, onCancel, isDarkMode }) {
+  const isPending =
+    item.status === UPLOAD_STATUS.QUEUED ||
+    item.status === UPLOAD_STATUS.PROCESSING ||
+    item.status === UPLOAD_STATUS.UPLOADING;
+  const canRetry =
+    item.canRetry &&
+    (item.status === UPLOAD_STATUS.FAILED ||
+      item.status === UPLOAD_STATUS.CANCELLED);
+  const barColor =
+    item.status === UPLOAD_STATUS.FAILED
+      ? "bg-red-700"
+      : item.status === UPLOAD_STATUS.SUCCEEDED
+        ? "bg-green-700"
+        : isDarkMode
+          ? "bg-[#d0d0d0]"
+          : "bg-black";
+  const buttonClassName = `border-2 px-2 py-1 text-[10px] font-semibold uppercase tracking-wide ${
+    isDarkMode
+      ? "border-[#d0d0d0] text-[#f2f2f2] hover:bg-[#4a4a4a]"
+      : "border-black text-black hover:bg-black hover:text-white"
+  }`;
+
+  return (
+    <li className="py-2">
+      <div className="flex items-center justify-between gap-2">
+        <p
+          className="min-w-0 flex-1 truncate text-sm font-semibold"
+          title={item.name}
+        >
+          {item.name}
+        </p>
+        <span
+          className={`text-[10px] font-semibold uppercase tracking-wide ${
+            item.status === UPLOAD_STATUS.FAILED ? "text-red-700" : ""
+          }`}
+        >
+          {item.status === UPLOAD_STATUS.UPLOADING
+            ? `${Math.round(item.progress * 100)}%`
+            : UPLOAD_STATUS_LABELS[item.status]}
+        </span>
+        {isPending ? (
+          <button
+            type="button"
+            onClick={() => onCancel(item.id)}
+            className={buttonClassName}
+          >
+            Cancel
+          </button>
+        ) : null}
+        {canRetry ? (
+          <button
+            type="button"
+            onClick={() => onRetry(item.id)}
+            className={buttonClassName}
+          >
+            Retry
+          </button>
+        ) : null}
+      </div>
+      <div
+        className={`mt-1 h-1.5 w-full border ${
+          isDarkMode ? "border-[#d0d0d0]" : "border-black"
+        }`}
+      >
+        <div
+          className={`h-full transition-all ${barColor}`}
+          style={{ width: `${Math.round(item.progress * 100)}%` }}
+        />
+      </div>
+      {item.prepared && item.size < item.originalSize ? (
+        <p
+          className={`mt-1 text-xs ${isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]"}`}
+        >
+          {formatBytes(item.originalSize)} → {formatBytes(item.size)}
+        </p>
+      ) : null}
+      {item.error ? (
+        <p className="mt-1 text-xs text-red-700">{item.error}</p>
+      ) : null}
+    </li>
+  );
+}
+
+function UploadQueuePanel({ items, onRetry, onCancel, onClear, isDarkMode }) {
+  if (!items.length) {
+    return null;
+  }
+
+  const summary = summarizeUploads(items);
+  const pendingCount =
+    summary.total -
+    summary.succeeded.length -
+    summary.failed.length -
+    summary.cancelled.length;
+
+  return (
+    <aside
+      aria-label="Upload queue"
+      className={`fixed bottom-4 right-4 z-30 w-[calc(100%-2rem)] max-w-sm border-2 ${
+        isDarkMode
+          ? "border-[#cfcfcf] bg-[#333333] text-[#f2f2f2]"
+          : "border-black bg-white text-black"
+      }`}
+    >
+      <div className="flex items-center justify-between border-b-2 border-current px-4 py-3">
+        <div>
+          <p className="text-sm font-semibold uppercase tracking-wide">
+            {pendingCount
+              ? `Uploading ${pendingCount} file${pendingCount !== 1 ? "s" : ""}`
+              : "Uploads finished"}
+          </p>
+          <p
+            role="status"
+            className={`text-xs ${isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]"}`}
+          >
+            {summary.succeeded.length} succeeded · {summary.failed.length}{" "}
+            failed · {summary.cancelled.length} cancelled
+            {summary.savedBytes
+              ? ` · ${formatBytes(summary.savedBytes)} saved`
+              : ""}
+          </p>
+        </div>
+        {!pendingCount ? (
+          <button
+            type="button"
+            onClick={onClear}
+            className={`border-2 px-3 py-1 text-xs font-semibold uppercase tracking-wide ${
+              isDarkMode
+                ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b] hover:bg-transparent hover:text-[#f2f2f2]"
+                : "border-black bg-black text-white"
+            }`}
+          >
+            Clear
+          </button>
+        ) : null}
+      </div>
+      <ul className="max-h-72 divide-y divide-current overflow-y-auto px-4">
+        {items.map((item) => (
+          <UploadQueueItem
+            key={item.id}
+            item={item}
+            onRetry={onRetry}
+            onCancel={onCancel}
+            isDarkMode={isDarkMode}
+          />
+        ))}
+      </ul>
+    </aside>
+  );
+}
+
+function ArchiveProgressPanel({ job, onCancel, isDarkMode }) {
+  if (!job) {
+    return null;
+  }
+
+  const progress = job.total ? job.done / job.total : 0;
+
+  return (
+    <aside
+      aria-label="ZIP download"
+      className={`fixed bottom-4 left-4 z-30 w-[calc(100%-2rem)] max-w-sm border-2 px-4 py-3 ${
+        isDarkMode
+          ? "border-[#cfcfcf] bg-[#333333] text-[#f2f2f2]"
+          : "border-black bg-white text-black"
+      }`}
+    >
+      <div className="flex items-center justify-between gap-3">
+        <div className="min-w-0">
+          <p
+            className="truncate text-sm font-semibold uppercase tracking-wide"
+            title={job.name}
+          >
+            Zipping {job.name}
+          </p>
+          <p
+            role="status"
+            className={`text-xs ${isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]"}`}
+          >
+            {job.done} of {job.total} photos · {formatBytes(job.bytes)}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onCancel}
+          className={`border-2 px-3 py-1 text-xs font-semibold uppercase tracking-wide ${
+            isDarkMode
+              ? "border-[#d0d0d0] text-[#f2f2f2] hover:bg-[#4a4a4a]"
+              : "border-black text-black hover:bg-black hover:text-white"
+          }`}
+        >
+          Cancel
+        </button>
+      </div>
+      <div
+        className={`mt-2 h-1.5 w-full border ${
+          isDarkMode ? "border-[#d0d0d0]" : "border-black"
+        }`}
+      >
+        <div
+          className={`h-full transition-all ${isDarkMode ? "bg-[#d0d0d0]" : "bg-black"}`}
+          style={{ width: `${Math.round(progress * 100)}%` }}
+        />
+      </div>
+    </aside>
+  );
+}
+
+function UploadSettingsModal({ options, onChange, onClose, isDarkMode }) {
+  const mutedText = isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]";
+  const fieldClassName = `mt-1 w-full border-2 px-3 py-2 text-sm outline-none disabled:opacity-40 ${
+    isDarkMode
+      ? "border-[#cfcfcf] bg-[#2b2b2b] text-[#f2f2f2]"
+      : "border-black bg-white text-black"
+  }`;
+
+  function update(patch) {
+    onChange({ ...options, ...patch });
+  }
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 px-4"
+      onClick={onClose}
+    >
+      <div
+        className={`w-full max-w-md border-2 p-6 ${
+          isDarkMode
+            ? "border-[#cfcfcf] bg-[#333333] text-[#f2f2f2]"
+            : "border-black bg-white text-black"
+        }`}
+        onClick={(event) => event.stopPropagation()}
+        onKeyDown={(event) => {
+          if (event.key === "Escape") {
+            onClose();
+          }
+        }}
+      >
+        <h3 className="text-xl font-semibold">Upload Settings</h3>
+        <p className={`mt-2 text-sm ${mutedText}`}>
+          Optimize images in your browser before they are uploaded.
+        </p>
+
+        <label className="mt-4 flex items-center gap-2 text-sm font-semibold">
+          <input
+            type="checkbox"
+            checked={options.enabled}
+            onChange={(event) => update({ enabled: event.target.checked })}
+            autoFocus
+          />
+          Optimize images before upload
+        </label>
+
+        <label className="mt-4 block text-xs font-semibold uppercase tracking-wide">
+          Max edge (px, 0 keeps full size)
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={options.maxEdge}
+            disabled={!options.enabled}
+            onChange={(event) =>
+              update({ maxEdge: Math.max(0, Number(event.target.value) || 0) })
+            }
+            className={fieldClassName}
+          />
+        </label>
+
+        <label className="mt-4 block text-xs font-semibold uppercase tracking-wide">
+          Format
+          <select
+            value={options.format}
+            disabled={!options.enabled}
+            onChange={(event) => update({ format: event.target.value })}
+            className={fieldClassName}
+          >
+            <option value={OUTPUT_FORMATS.ORIGINAL}>Keep original</option>
+            <option value={OUTPUT_FORMATS.JPEG}>JPEG</option>
+            <option value={OUTPUT_FORMATS.WEBP}>WebP</option>
+          </select>
+        </label>
+
+        <label className="mt-4 block text-xs font-semibold uppercase tracking-wide">
+          Quality: {Math.round(options.quality * 100)}
+          <input
+            type="range"
+            min="0.4"
+            max="1"
+            step="0.05"
+            value={options.quality}
+            disabled={!options.enabled}
+            onChange={(event) =>
+              update({ quality: Number(event.target.value) })
+            }
+            className="mt-1 w-full disabled:opacity-40"
+          />
+        </label>
+
+        <label className="mt-4 flex items-center gap-2 text-sm font-semibold">
+          <input
+            type="checkbox"
+            checked={options.stripGps}
+            disabled={!options.enabled}
+            onChange={(event) => update({ stripGps: event.target.checked })}
+          />
+          Remove GPS location
+        </label>
+        <p className={`mt-1 text-xs ${mutedText}`}>
+          Resized or converted images never keep their metadata.
+        </p>
+
+        <div className="mt-5 flex items-center justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className={`border-2 px-4 py-2 text-xs font-semibold uppercase tracking-wide ${
+              isDarkMode
+                ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b] hover:bg-transparent hover:text-[#f2f2f2]"
+                : "border-black bg-black text-white"
+            }`}
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function FolderCard({
+  name,
+  count,
+  subfolderCount = 0,
+  onClick,
+  onDropFiles,
+  onRename,
+  onMerge,
+  onDelete,
+  onShare,
+  isDarkMode,
+}) {
+  const symbols = ["*", "#", "%", "&", "$", "@", "+"];
+  const randomSymbol = symbols[Math.floor(Math.random() * symbols.length)];
+  const { isDragOver, dropHandlers } = useFileDrop(onDropFiles);
+  const actionClassName = `border-2 px-2 py-1 text-[10px] font-semibold uppercase tracking-wide ${
+    isDarkMode
+      ? "border-[#cfcfcf] bg-[#333333] text-[#f2f2f2] hover:bg-[#cfcfcf] hover:text-[#2b2b2b]"
+      : "border-black bg-white text-black hover:bg-black hover:text-white"
+  }`;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={onClick}
+        {...dropHandlers}
+        className={`w-full border-2 p-6 text-left transition ${
+          isDarkMode
+            ? "border-[#cfcfcf] bg-[#333333] text-[#f2f2f2] hover:bg-[#454545]"
+            : "border-black bg-white text-black hover:bg-black hover:text-white"
+        } ${isDragOver ? "outline-dashed outline-4 outline-offset-4 outline-current" : ""}`}
+        type="button"
+      >
+        <div className="mb-4 flex h-12 w-12 items-center justify-center rounded-full border-2 border-current text-sm font-bold">
+          {randomSymbol}
+        </div>
+        <h3 className="text-lg font-semibold">{name}</h3>
+        <p
+          className={`mt-1 text-sm ${isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]"}`}
+        >
+          {count} photo{count !== 1 ? "s" : ""}
+          {subfolderCount
+            ? ` · ${subfolderCount} subfolder${subfolderCount !== 1 ? "s" : ""}`
+            : ""}
+        </p>
+        <div className="mt-4 border-t-2 border-current pt-3 text-sm">
+          <div className="flex items-center justify-between">
+            <span>Rating: 5.0</span>
+            <span>{count}+ sessions</span>
+          </div>
+        </div>
+      </button>
+      <div className="absolute right-4 top-4 flex items-center gap-1">
+        {onShare ? (
+          <button
+            type="button"
+            onClick={() => onShare(name)}
+            aria-label={`Share folder ${name}`}
+            className={actionClassName}
+          >
+            Share
+          </button>
+        ) : null}
+        <button
+          type="button"
+          onClick={() => onRename(name)}
+          aria-label={`Rename folder ${name}`}
+          className={actionClassName}
+        >
+          Rename
+        </button>
+        <button
+          type="button"
+          onClick={() => onMerge(name)}
+          aria-label={`Merge folder ${name}`}
+          className={actionClassName}
+        >
+          Merge
+        </button>
+        <button
+          type="button"
+          onClick={() => onDelete(name)}
+          aria-label={`Delete folder ${name}`}
+          className={actionClassName}
+        >
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function FolderBreadcrumbs({ folder, onNavigate, isDarkMode }) {
+  const ancestors = getFolderAncestors(folder);
+  const linkClassName = `underline-offset-4 hover:underline ${
+    isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]"
+  }`;
+
+  return (
+    <nav aria-label="Breadcrumb">
+      <ol className="flex flex-wrap items-center gap-2 text-2xl font-semibold">
+        <li>
+          <button
+            type="button"
+            onClick={() => onNavigate(null)}
+            className={linkClassName}
+          >
+            Folders
+          </button>
+        </li>
+        {ancestors.map((path, index) => {
+          const isCurrent = index === ancestors.length - 1;
+          return (
+            <li key={path} className="flex items-center gap-2">
+              <span aria-hidden="true" className={linkClassName}>
+                /
+              </span>
+              {isCurrent ? (
+                <h2 aria-current="page">{getFolderLabel(path)}</h2>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => onNavigate(path)}
+                  className={linkClassName}
+                >
+                  {getFolderLabel(path)}
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </nav>
+  );
+}
+
+function TagInput({ tags, onChange, isDarkMode }) {
+  const [draft, setDraft] = useState("");
+
+  function addDraft() {
+    const tag = normalizeTag(draft);
+    setDraft("");
+    if (tag && !tags.includes(tag)) {
+      onChange([...tags, tag]);
+    }
+  }
+
+  return (
+    <div
+      className={`flex flex-wrap items-center gap-2 border-2 px-2 py-2 ${
+        isDarkMode ? "border-[#cfcfcf] bg-[#2b2b2b]" : "border-black bg-white"
+      }`}
+    >
+      {tags.map((tag) => (
+        <TagChip
+          key={tag}
+          tag={tag}
+          onRemove={() => onChange(tags.filter((item) => item !== tag))}
+          isDarkMode={isDarkMode}
+        />
+      ))}
+      <input
+        type="text"
+        value={draft}
+        onChange={(event) => setDraft(event.target.value)}
+        onKeyDown={(event) => {
+          if (event.key === "Enter" || event.key === ",") {
+            event.preventDefault();
+            addDraft();
+          } else if (event.key === "Backspace" && !draft && tags.length) {
+            onChange(tags.slice(0, -1));
+          }
+        }}
+        onBlur={addDraft}
+        placeholder={tags.length ? "" : "Add tags"}
+        aria-label="Add tag"
+        className={`min-w-[6rem] flex-1 bg-transparent text-sm outline-none ${
+          isDarkMode
+            ? "text-[#f2f2f2] placeholder:text-[#a8a8a8]"
+            : "text-black placeholder:text-[#777777]"
+        }`}
+      />
+    </div>
+  );
+}
+
+function TagChip({ tag, onRemove, isDarkMode }) {
+  return (
+    <span
+      className={`inline-flex items-center gap-1 border-2 px-2 py-0.5 text-xs font-semibold ${
+        isDarkMode
+          ? "border-[#cfcfcf] text-[#f2f2f2]"
+          : "border-black text-black"
+      }`}
+    >
+      #{tag}
+      {onRemove ? (
+        <button
+          type="button"
+          onClick={onRemove}
+          aria-label={`Remove tag ${tag}`}
+          className="leading-none"
+        >
+          ×
+        </button>
+      ) : null}
+    </span>
+  );
+}
+
+function PhotoDetailsPanel({ photo, onSave, isDarkMode }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState("");
+  const [caption, setCaption] = useState("");
+  const [description, setDescription] = useState("");
+  const [tags, setTags] = useState([]);
+  const captionText = htmlToText(photo.content);
+  const mutedText = isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]";
+  const fieldClassName = `mt-1 w-full border-2 px-3 py-2 text-sm normal-case tracking-normal outline-none ${
+    isDarkMode
+      ? "border-[#cfcfcf] bg-[#2b2b2b] text-[#f2f2f2]"
+      : "border-black bg-white text-black"
+  }`;
+  const buttonClassName = `border-2 px-3 py-2 text-xs font-semibold uppercase tracking-wide disabled:cursor-not-allowed disabled:opacity-40 ${
+    isDarkMode
+      ? "border-[#d0d0d0] bg-[#4a4a4a] text-[#f2f2f2]"
+      : "border-black bg-white text-black"
+  }`;
+
+  useEffect(() => {
+    setIsEditing(false);
+    setSaveError("");
+  }, [photo.id]);
+
+  function startEditing() {
+    setCaption(captionText);
+    setDescription(photo.description || "");
+    setTags(photo.tags || []);
+    setSaveError("");
+    setIsEditing(true);
+  }
+
+  async function save() {
+    setIsSaving(true);
+    setSaveError("");
+    try {
+      await onSave(photo, { caption, description, tags });
+      setIsEditing(false);
+    } catch (err) {
+      setSaveError(
+        getBackendMessage(err) || "Could not save the details. Try again.",
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  if (!isEditing) {
+    return (
+      <div className="mt-3 flex items-start justify-between gap-4 px-1">
+        <div className="min-w-0 space-y-2 text-sm">
+          <p className="whitespace-pre-line">
+            {captionText || <span className={mutedText}>No caption</span>}
+          </p>
+          <p className={mutedText}>
+            Alt text: {photo.description || "none yet"}
+          </p>
+          {photo.tags?.length ? (
+            <div className="flex flex-wrap gap-2">
+              {photo.tags.map((tag) => (
+                <TagChip key={tag} tag={tag} isDarkMode={isDarkMode} />
+              ))}
+            </div>
+          ) : null}
+        </div>
+        <button
+          type="button"
+          onClick={startEditing}
+          className={buttonClassName}
+        >
+          Edit details
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      className="mt-3 space-y-3 px-1"
+      onKeyDown={(event) => {
+        // Keep typing from stepping or closing the lightbox.
+        event.stopPropagation();
+        if (event.key === "Escape") {
+          setIsEditing(false);
+        }
+      }}
+      onSubmit={(event) => {
+        event.preventDefault();
+        save();
+      }}
+    >
+      <label
+        className={`block text-xs font-semibold uppercase tracking-wide ${mutedText}`}
+      >
+        Caption
+        <textarea
+          value={caption}
+          onChange={(event) => setCaption(event.target.value)}
+          rows={2}
+          autoFocus
+          className={fieldClassName}
+        />
+      </label>
+      <label
+        className={`block text-xs font-semibold uppercase tracking-wide ${mutedText}`}
+      >
+        Alt text
+        <input
+          type="text"
+          value={description}
+          onChange={(event) => setDescription(event.target.value)}
+          placeholder="Describe the photo for screen readers"
+          className={fieldClassName}
+        />
+      </label>
+      <div
+        className={`text-xs font-semibold uppercase tracking-wide ${mutedText}`}
+      >
+        Tags
+        <div className="mt-1 normal-case tracking-normal">
+          <TagInput tags={tags} onChange={setTags} isDarkMode={isDarkMode} />
+        </div>
+      </div>
+      {saveError ? (
+        <p role="alert" className="text-sm text-red-600">
+          {saveError}
+        </p>
+      ) : null}
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={() => setIsEditing(false)}
+          className={buttonClassName}
+        >
+          Cancel
+        </button>
+        <button type="submit" disabled={isSaving} className={buttonClassName}>
+          {isSaving ? "Saving…" : "Save"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function formatDimensions(dimensions) {
+  return dimensions
+    ? `${dimensions.width} × ${dimensions.height} px`
+    : "Unknown";
+}
+
+function formatExposure(exif) {
+  const parts = [];
+  if (exif.exposureTime) {
+    parts.push(
+      exif.exposureTime < 1
+        ? `1/${Math.round(1 / exif.exposureTime)} s`
+        : `${exif.exposureTime} s`,
+    );
+  }
+  if (exif.fNumber) {
+    parts.push(`f/${Number(exif.fNumber.toFixed(1))}`);
+  }
+  if (exif.iso) {
+    parts.push(`ISO ${exif.iso}`);
+  }
+  if (exif.focalLength) {
+    parts.push(`${Math.round(exif.focalLength)} mm`);
+  }
+  return parts.join(" · ");
+}
+
+function formatCamera(exif) {
+  const make = exif.make || "";
+  const model = exif.model || "";
+  // Many cameras already repeat the make in the model name.
+  return model.toLowerCase().startsWith(make.toLowerCase())
+    ? model
+    : `${make} ${model}`.trim();
+}
+
+// EXIF dates look like "2026:03:14 09:26:53" and carry no time zone.
+function formatExifDate(value) {
+  const match = String(value || "").match(
+    /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/,
+  );
+  if (!match) {
+    return value || "";
+  }
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  return new Date(
+    year,
+    month - 1,
+    day,
+    hours,
+    minutes,
+    seconds,
+  ).toLocaleString();
+}
+
+function PhotoInfoPanel({ photo, isDarkMode }) {
+  const [state, setState] = useState({ status: "loading", info: null });
+  const mutedText = isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]";
+
+  useEffect(() => {
+    let isCurrent = true;
+    setState({ status: "loading", info: null });
+    loadPhotoInfo(photo).then(
+      (info) => {
+        if (isCurrent) {
+          setState({ status: "ready", info });
+        }
+      },
+      () => {
+        if (isCurrent) {
+          setState({ status: "error", info: null });
+        }
+      },
+    );
+    return () => {
+      isCurrent = false;
+    };
+  }, [photo.id]);
+
+  const { info, status } = state;
+  const exif = info?.exif;
+  const gps = exif?.gps;
+  const pending = status === "loading" ? "Loading…" : "Unknown";
+  const uploadedAt = new Date(photo.uploadedAt);
+  const rows = [
+    [
+      "Dimensions",
+      info?.dimensions || photo.meta?.original
+        ? formatDimensions(info?.dimensions || photo.meta.original)
+        : pending,
+    ],
+    photo.meta?.small ? ["Preview", formatDimensions(photo.meta.small)] : null,
+    [
+      "File size",
+      info?.bytes ? formatBytes(info.bytes) : info ? "Unknown" : pending,
+    ],
+    ["Type", info?.mimeType || pending],
+    [
+      "Uploaded",
+      photo.uploadedAt && !Number.isNaN(uploadedAt.getTime())
+        ? uploadedAt.toLocaleString()
+        : "Unknown",
+    ],
+    ["Folder", photo.folder || "None"],
+    ["Status id", photo.statusId || "Unknown"],
+    photo.attachmentId ? ["Attachment id", photo.attachmentId] : null,
+    exif?.make || exif?.model ? ["Camera", formatCamera(exif)] : null,
+    exif?.lens ? ["Lens", exif.lens] : null,
+    exif && formatExposure(exif) ? ["Exposure", formatExposure(exif)] : null,
+    exif?.takenAt ? ["Taken", formatExifDate(exif.takenAt)] : null,
+    gps
+      ? [
+          "Location",
+          <a
+            href={`https://www.openstreetmap.org/?mlat=${gps.latitude}&mlon=${gps.longitude}#map=15/${gps.latitude}/${gps.longitude}`}
+            target="_blank"
+            rel="noreferrer"
+            className="underline underline-offset-4"
+          >
+            {gps.latitude.toFixed(5)}, {gps.longitude.toFixed(5)}
+            {gps.altitude !== null ? ` · ${Math.round(gps.altitude)} m` : ""}
+          </a>,
+        ]
+      : null,
+  ].filter(Boolean);
+
+  return (
+    <aside
+      aria-label="Photo info"
+      className={`w-full flex-none border-2 p-4 text-sm lg:w-72 ${
+        isDarkMode
+          ? "border-[#cfcfcf] text-[#f2f2f2]"
+          : "border-black text-black"
+      }`}
+    >
+      <h3 className="mb-3 text-xs font-semibold uppercase tracking-wide">
+        Info
+      </h3>
+      <dl className="space-y-2">
+        {rows.map(([label, value]) => (
+          <div key={label}>
+            <dt
+              className={`text-[10px] font-semibold uppercase tracking-wide ${mutedText}`}
+            >
+              {label}
+            </dt>
+            <dd className="break-words">{value}</dd>
+          </div>
+        ))}
+      </dl>
+      {status === "ready" && !exif ? (
+        <p className={`mt-3 text-xs ${mutedText}`}>No EXIF data found.</p>
+      ) : null}
+      {status === "error" ? (
+        <p className={`mt-3 text-xs ${mutedText}`}>
+          Could not read the original file.
+        </p>
+      ) : null}
+    </aside>
+  );
+}
+
+function UploadDetailsModal({ files, folder, onSubmit, onClose, isDarkMode }) {
+  const [caption, setCaption] = useState("");
+  const [description, setDescription] = useState("");
+  const [tags, setTags] = useState([]);
+  const mutedText = isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]";
+  const fieldClassName = `mt-1 w-full border-2 px-3 py-2 text-sm normal-case tracking-normal outline-none ${
+    isDarkMode
+      ? "border-[#cfcfcf] bg-[#2b2b2b] text-[#f2f2f2] placeholder:text-[#a8a8a8]"
+      : "border-black bg-white text-black placeholder:text-[#777777]"
+  }`;
+  const labelClassName = `block text-xs font-semibold uppercase tracking-wide ${mutedText}`;
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 px-4"
+      onClick={onClose}
+    >
+      <form
+        className={`w-full max-w-md space-y-4 border-2 p-6 ${
+          isDarkMode
+            ? "border-[#cfcfcf] bg-[#333333] text-[#f2f2f2]"
+            : "border-black bg-white text-black"
+        }`}
+        onClick={(event) => event.stopPropagation()}
+        onKeyDown={(event) => {
+          if (event.key === "Escape") {
+            onClose();
+          }
+        }}
+        onSubmit={(event) => {
+          event.preventDefault();
+          onSubmit({ caption, description, tags });
+        }}
+      >
+        <div>
+          <h3 className="text-xl font-semibold">Upload details</h3>
+          <p className={`mt-1 text-sm ${mutedText}`}>
+            {files.length} file{files.length !== 1 ? "s" : ""}
+            {folder ? ` to "${folder}"` : ""}. Everything here is optional and
+            applies to each file.
+          </p>
+        </div>
+        <label className={labelClassName}>
+          Caption
+          <textarea
+            value={caption}
+            onChange={(event) => setCaption(event.target.value)}
+            rows={2}
+            autoFocus
+            className={fieldClassName}
+          />
+        </label>
+        <label className={labelClassName}>
+          Alt text
+          <input
+            type="text"
+            value={description}
+            onChange={(event) => setDescription(event.target.value)}
+            placeholder="Describe the photo for screen readers"
+            className={fieldClassName}
+          />
+        </label>
+        <div className={labelClassName}>
+          Tags
+          <div className="mt-1 normal-case tracking-normal">
+            <TagInput tags={tags} onChange={setTags} isDarkMode={isDarkMode} />
+          </div>
+        </div>
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className={`border-2 px-4 py-2 text-xs font-semibold uppercase tracking-wide ${
+              isDarkMode
+                ? "border-[#d0d0d0] bg-transparent text-[#f2f2f2] hover:bg-[#3d3d3d]"
+                : "border-black bg-white text-black hover:bg-black hover:text-white"
+            }`}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className={`border-2 px-4 py-2 text-xs font-semibold uppercase tracking-wide ${
+              isDarkMode
+                ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b] hover:bg-transparent hover:text-[#f2f2f2]"
+                : "border-black bg-black text-white"
+            }`}
+          >
+            Upload
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+const INITIAL_ZOOM = { scale: 1, x: 0, y: 0 };
+const MAX_ZOOM = 5;
+const ZOOM_STEP = 1.5;
+const SWIPE_DISTANCE = 50;
+
+// Keeps the zoomed image covering the frame: it can be panned up to its
+// overflow on each side and no further.
+function clampZoom({ scale, x, y }, frame) {
+  const nextScale = Math.min(MAX_ZOOM, Math.max(1, scale));
+  if (nextScale === 1 || !frame) {
+    return INITIAL_ZOOM;
+  }
+  const maxX = ((nextScale - 1) * frame.width) / 2;
+  const maxY = ((nextScale - 1) * frame.height) / 2;
+  return {
+    scale: nextScale,
+    x: Math.min(maxX, Math.max(-maxX, x)),
+    y: Math.min(maxY, Math.max(-maxY, y)),
+  };
+}
+
+// Scales around `point` (relative to the frame centre) so whatever is under
+// the cursor or between the fingers stays put.
+function zoomAround(zoom, nextScale, point = { x: 0, y: 0 }) {
+  const ratio = nextScale / zoom.scale;
+  return {
+    scale: nextScale,
+    x: point.x - (point.x - zoom.x) * ratio,
+    y: point.y - (point.y - zoom.y) * ratio,
+  };
+}
+
+// Mouse wheel and pinch zoom, drag to pan once zoomed, and a horizontal
+// swipe (touch or pen, at normal size) to change photos. The preview is shown
+// until the original has loaded; originals the browser cannot decode never
+// replace it.
+function ZoomableImage({ photo, zoom, onZoomChange, onSwipe, className }) {
+  const frameRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef(null);
+  const zoomRef = useRef(zoom);
+  zoomRef.current = zoom;
+  const originalUrl = photo.originalUrl || photo.url;
+  const [loadedUrl, setLoadedUrl] = useState(null);
+
+  useEffect(() => {
+    if (originalUrl === photo.url) {
+      return undefined;
+    }
+    const image = new Image();
+    image.onload = () => setLoadedUrl(originalUrl);
+    image.src = originalUrl;
+    return () => {
+      image.onload = null;
+    };
+  }, [originalUrl, photo.url]);
+
+  function getFrame() {
+    return frameRef.current?.getBoundingClientRect();
+  }
+
+  function toFramePoint(clientX, clientY) {
+    const frame = getFrame();
+    return {
+      x: clientX - frame.left - frame.width / 2,
+      y: clientY - frame.top - frame.height / 2,
+    };
+  }
+
+  function applyZoom(next) {
+    onZoomChange(clampZoom(next, getFrame()));
+  }
+
+  // React registers wheel listeners as passive, so preventDefault needs a
+  // native one.
+  useEffect(() => {
+    const frame = frameRef.current;
+    function handleWheel(event) {
+      event.preventDefault();
+      const current = zoomRef.current;
+      const nextScale = current.scale * Math.exp(-event.deltaY * 0.002);
+      applyZoom(
+        zoomAround(
+          current,
+          nextScale,
+          toFramePoint(event.clientX, event.clientY),
+        ),
+      );
+    }
+    frame.addEventListener("wheel", handleWheel, { passive: false });
+    return () => frame.removeEventListener("wheel", handleWheel);
+  }, []);
+
+  function startGesture() {
+    const points = Array.from(pointersRef.current.values());
+    if (points.length === 2) {
+      const [a, b] = points;
+      gestureRef.current = {
+        type: "pinch",
+        distance: Math.hypot(a.x - b.x, a.y - b.y),
+        zoom: zoomRef.current,
+        center: toFramePoint((a.x + b.x) / 2, (a.y + b.y) / 2),
+      };
+    } else if (points.length === 1) {
+      gestureRef.current = {
+        type: "drag",
+        start: points[0],
+        zoom: zoomRef.current,
+      };
+    } else {
+      gestureRef.current = null;
+    }
+  }
+
+  function handlePointerDown(event) {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    pointersRef.current.set(event.pointerId, {
+      x: event.clientX,
+      y: event.clientY,
+      pointerType: event.pointerType,
+    });
+    startGesture();
+  }
+
+  function handlePointerMove(event) {
+    if (!pointersRef.current.has(event.pointerId)) {
+      return;
+    }
+    pointersRef.current.set(event.pointerId, {
+      ...pointersRef.current.get(event.pointerId),
+      x: event.clientX,
+      y: event.clientY,
+    });
+    const gesture = gestureRef.current;
+    const points = Array.from(pointersRef.current.values());
+
+    if (gesture?.type === "pinch" && points.length === 2) {
+      const [a, b] = points;
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      applyZoom(
+        zoomAround(
+          gesture.zoom,
+          (gesture.zoom.scale * distance) / gesture.distance,
+          gesture.center,
+        ),
+      );
+    } else if (gesture?.type === "drag" && gesture.zoom.scale > 1) {
+      applyZoom({
+        ...gesture.zoom,
+        x: gesture.zoom.x + event.clientX - gesture.start.x,
+        y: gesture.zoom.y + event.clientY - gesture.start.y,
+      });
+    }
+  }
+
+  function handlePointerUp(event) {
+    const gesture = gestureRef.current;
+    pointersRef.current.delete(event.pointerId);
+
+    if (
+      gesture?.type === "drag" &&
+      gesture.zoom.scale === 1 &&
+      gesture.start.pointerType !== "mouse"
+    ) {
+      const dx = event.clientX - gesture.start.x;
+      const dy = event.clientY - gesture.start.y;
+      if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+        onSwipe(dx < 0 ? 1 : -1);
+      }
+    }
+    startGesture();
+  }
+
+  function handleDoubleClick(event) {
+    const current = zoomRef.current;
+    applyZoom(
+      current.scale > 1
+        ? INITIAL_ZOOM
+        : zoomAround(current, 2.5, toFramePoint(event.clientX, event.clientY)),
+    );
+  }
+
+  const isZoomed = zoom.scale > 1;
+
+  return (
+    <div
+      ref={frameRef}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onDoubleClick={handleDoubleClick}
+      className={`touch-none select-none overflow-hidden ${
+        isZoomed ? "cursor-grab active:cursor-grabbing" : "cursor-zoom-in"
+      }`}
+    >
+      <img
+        src={loadedUrl === originalUrl ? originalUrl : photo.url}
+        alt={getPhotoAltText(photo)}
+        draggable={false}
+        className={className}
+        style={{
+          transform: `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`,
+          transition: gestureRef.current ? "none" : "transform 150ms ease-out",
+        }}
+      />
+    </div>
+  );
+}
+
+const SLIDESHOW_INTERVALS = [2, 3, 5, 10];
+const DEFAULT_SLIDESHOW_INTERVAL = 3;
+const PRELOAD_RADIUS = 2;
+const FILMSTRIP_RADIUS = 25;
+
+function loadSlideshowInterval() {
+  const stored = Number(window.localStorage.getItem("slideshowInterval"));
+  return SLIDESHOW_INTERVALS.includes(stored)
+    ? stored
+    : DEFAULT_SLIDESHOW_INTERVAL;
+}
+
+function isTypingTarget(target) {
+  return (
+    target instanceof HTMLElement &&
+    (target.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+  );
+}
+
+// Warms the browser cache with the originals the lightbox shows, so stepping
+// through photos shows them at once.
+function usePreloadNeighbours(photos, index) {
+  useEffect(() => {
+    for (let offset = -PRELOAD_RADIUS; offset <= PRELOAD_RADIUS; offset += 1) {
+      const neighbour = photos[index + offset];
+      const url = neighbour?.originalUrl || neighbour?.url;
+      if (offset && url && neighbour.mediaType === MEDIA_TYPES.IMAGE) {
+        new Image().src = url;
+      }
+    }
+  }, [photos, index]);
+}
+
+function Filmstrip({ photos, index, onSelect, isDarkMode }) {
+  const activeRef = useRef(null);
+  const start = Math.max(0, index - FILMSTRIP_RADIUS);
+  const visible = photos.slice(start, index + FILMSTRIP_RADIUS + 1);
+
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: "nearest", inline: "center" });
+  }, [index]);
+
+  return (
+    <div className="mt-3 flex gap-2 overflow-x-auto pb-1">
+      {visible.map((photo, offset) => {
+        const isActive = start + offset === index;
+        return (
+          <button
+            key={photo.id}
+            ref={isActive ? activeRef : undefined}
+            type="button"
+            onClick={() => onSelect(photo)}
+            aria-label={getPhotoAltText(photo)}
+            aria-current={isActive ? "true" : undefined}
+            className={`h-14 w-14 shrink-0 overflow-hidden border-2 ${
+              isActive
+                ? isDarkMode
+                  ? "border-[#f2f2f2]"
+                  : "border-black"
+                : "border-transparent opacity-60 hover:opacity-100"
+            }`}
+          >
+            {photo.url ? (
+              <img
+                src={photo.url}
+                alt=""
+                loading="lazy"
+                className="h-full w-full object-cover"
+              />
+            ) : (
+              <span className="flex h-full w-full items-center justify-center bg-[#f2f2f2] text-lg text-[#555555]">
+                {photo.mediaType === MEDIA_TYPES.AUDIO ? "♪" : "▶"}
+              </span>
+            )}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+// Shared by the library and the read-only share viewer; the library passes
+// its editing controls in through `actions` and `details`. Keyboard
+// shortcuts are global while it is open: arrows, Home/End, +/-/0 to zoom,
+// Space for the slideshow, F for fullscreen, I for info and Escape to close.
+function Lightbox({
+  photos,
+  photo,
+  onSelect,
+  onClose,
+  isInfoOpen,
+  onToggleInfo,
+  actions = null,
+  details = null,
+  isDarkMode,
+}) {
+  const rootRef = useRef(null);
+  const stageRef = useRef(null);
+  const [zoom, setZoom] = useState(INITIAL_ZOOM);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isFullscreen, setIsFullscreen] = useState(false);
+  const [slideshowInterval, setSlideshowInterval] = useState(
+    loadSlideshowInterval,
+  );
+  const index = photos.findIndex((item) => item.id === photo.id);
+  const hasPrevious = index > 0;
+  const hasNext = index >= 0 && index < photos.length - 1;
+  const isImage = photo.mediaType === MEDIA_TYPES.IMAGE && Boolean(photo.url);
+  const buttonClassName = `border-2 px-3 py-2 text-xs font-semibold uppercase tracking-wide ${
+    isDarkMode
+      ? "border-[#d0d0d0] bg-[#4a4a4a] text-[#f2f2f2]"
+      : "border-black bg-white text-black"
+  }`;
+
+  usePreloadNeighbours(photos, index);
+
+  useEffect(() => {
+    setZoom(INITIAL_ZOOM);
+  }, [photo.id]);
+
+  useEffect(() => {
+    window.localStorage.setItem("slideshowInterval", String(slideshowInterval));
+  }, [slideshowInterval]);
+
+  function step(offset) {
+    const next = photos[index + offset];
+    if (index >= 0 && next) {
+      onSelect(next);
+    }
+  }
+
+  // The slideshow wraps around to the first photo.
+  useEffect(() => {
+    if (!isPlaying || photos.length < 2) {
+      return undefined;
+    }
+    const timeout = setTimeout(() => {
+      onSelect(hasNext ? photos[index + 1] : photos[0]);
+    }, slideshowInterval * 1000);
+    return () => clearTimeout(timeout);
+  }, [isPlaying, photo.id, slideshowInterval, photos]);
+
+  useEffect(() => {
+    function handleFullscreenChange() {
+      const isActive = document.fullscreenElement === stageRef.current;
+      setIsFullscreen(isActive);
+      if (!isActive) {
+        setIsPlaying(false);
+      }
+    }
+    document.addEventListener("fullscreenchange", handleFullscreenChange);
+    return () => {
+      document.removeEventListener("fullscreenchange", handleFullscreenChange);
+      if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {});
+      }
+    };
+  }, []);
+
+  function toggleFullscreen(force) {
+    const shouldEnter = force ?? !document.fullscreenElement;
+    if (shouldEnter && !document.fullscreenElement) {
+      stageRef.current?.requestFullscreen?.().catch(() => {});
+    } else if (!shouldEnter && document.fullscreenElement) {
+      document.exitFullscreen().catch(() => {});
+    }
+  }
+
+  function toggleSlideshow() {
+    // Browsers without element fullscreen (iPhone Safari) play in place.
+    toggleFullscreen(!isPlaying);
+    setIsPlaying(!isPlaying);
+  }
+
+  function zoomBy(factor) {
+    const frame = stageRef.current?.getBoundingClientRect();
+    setZoom((current) =>
+      clampZoom(zoomAround(current, current.scale * factor), frame),
+    );
+  }
+
+  const shortcutsRef = useRef(null);
+  shortcutsRef.current = (event) => {
+    // Keys meant for a dialog opened on top (folder picker, share) are not ours.
+    const isOutside =
+      event.target !== document.body &&
+      !rootRef.current?.contains(event.target);
+    if (
+      isOutside ||
+      isTypingTarget(event.target) ||
+      event.ctrlKey ||
+      event.metaKey ||
+      event.altKey
+    ) {
+      return;
+    }
+
+    const handlers = {
+      Escape: onClose,
+      ArrowLeft: () => step(-1),
+      ArrowRight: () => step(1),
+      Home: () => photos[0] && onSelect(photos[0]),
+      End: () => photos.length && onSelect(photos[photos.length - 1]),
+      " ": toggleSlideshow,
+      "+": () => isImage && zoomBy(ZOOM_STEP),
+      "=": () => isImage && zoomBy(ZOOM_STEP),
+      "-": () => isImage && zoomBy(1 / ZOOM_STEP),
+      0: () => setZoom(INITIAL_ZOOM),
+      f: () => toggleFullscreen(),
+      i: onToggleInfo,
+    };
+    const handler =
+      handlers[event.key.length === 1 ? event.key.toLowerCase() : event.key];
+    if (handler) {
+      event.preventDefault();
+      handler();
+    }
+  };
+
+  useEffect(() => {
+    // The card that opened the lightbox still has focus; take it so the
+    // first key press already counts.
+    rootRef.current?.focus();
+    function handleKeyDown(event) {
+      shortcutsRef.current?.(event);
+    }
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  const navButtonClassName = `absolute top-1/2 z-10 -translate-y-1/2 border-2 px-3 py-2 text-sm font-semibold disabled:cursor-not-allowed disabled:opacity-40 ${
+    isDarkMode
+      ? "border-[#d0d0d0] bg-[#4a4a4a] text-[#f2f2f2]"
+      : "border-black bg-white"
+  }`;
+
+  return (
+    <div
+      ref={rootRef}
+      tabIndex={-1}
+      onClick={onClose}
+      className="fixed inset-0 z-40 flex items-center justify-center bg-black/75 px-4 py-8 outline-none"
+    >
+      <div
+        className={`relative max-h-full w-full overflow-y-auto border-2 p-3 ${
+          isInfoOpen ? "max-w-6xl" : "max-w-4xl"
+        } ${
+          isDarkMode ? "border-[#cfcfcf] bg-[#343434]" : "border-black bg-white"
+        }`}
+        onClick={(event) => event.stopPropagation()}
+      >
+        <div className="flex flex-col gap-4 lg:flex-row">
+          <div className="min-w-0 flex-1">
+            <div
+              ref={stageRef}
+              className={`relative ${
+                isFullscreen ? "flex items-center justify-center bg-black" : ""
+              }`}
+            >
+              {isImage ? (
+                <ZoomableImage
+                  key={photo.id}
+                  photo={photo}
+                  zoom={zoom}
+                  onZoomChange={setZoom}
+                  onSwipe={step}
+                  className={`w-full object-contain ${
+                    isFullscreen ? "h-screen" : "max-h-[70vh]"
+                  }`}
+                />
+              ) : (
+                <LightboxMedia photo={photo} />
+              )}
+
+              <button
+                type="button"
+                onClick={() => step(-1)}
+                disabled={!hasPrevious}
+                title="Previous (←)"
+                className={`${navButtonClassName} left-4`}
+              >
+                Prev
+              </button>
+              <button
+                type="button"
+                onClick={() => step(1)}
+                disabled={!hasNext}
+                title="Next (→)"
+                className={`${navButtonClassName} right-4`}
+              >
+                Next
+              </button>
+
+              <div className="absolute bottom-6 right-6 flex flex-wrap items-center justify-end gap-3">
+                <button
+                  type="button"
+                  onClick={toggleSlideshow}
+                  aria-pressed={isPlaying}
+                  title="Slideshow (Space)"
+                  disabled={photos.length < 2}
+                  className={`${buttonClassName} disabled:cursor-not-allowed disabled:opacity-40`}
+                >
+                  {isPlaying ? "Pause" : "Play"}
+                </button>
+                <select
+                  value={slideshowInterval}
+                  onChange={(event) =>
+                    setSlideshowInterval(Number(event.target.value))
+                  }
+                  aria-label="Slideshow interval"
+                  className={`${buttonClassName} py-[7px]`}
+                >
+                  {SLIDESHOW_INTERVALS.map((seconds) => (
+                    <option key={seconds} value={seconds}>
+                      {seconds}s
+                    </option>
+                  ))}
+                </select>
+                {isFullscreen ? null : (
+                  <>
+                    <button
+                      type="button"
+                      onClick={onToggleInfo}
+                      aria-pressed={isInfoOpen}
+                      title="Info (I)"
+                      className={`border-2 px-3 py-2 text-xs font-semibold uppercase tracking-wide ${
+                        isInfoOpen
+                          ? isDarkMode
+                            ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b]"
+                            : "border-black bg-black text-white"
+                          : isDarkMode
+                            ? "border-[#d0d0d0] bg-[#4a4a4a] text-[#f2f2f2]"
+                            : "border-black bg-white text-black"
+                      }`}
+                    >
+                      Info
+                    </button>
+                    <DownloadButton photo={photo} isDarkMode={isDarkMode} />
+                    {actions}
+                  </>
+                )}
+                <button
+                  type="button"
+                  onClick={
+                    isFullscreen ? () => toggleFullscreen(false) : onClose
+                  }
+                  title={isFullscreen ? "Exit fullscreen (Esc)" : "Close (Esc)"}
+                  className={`${buttonClassName} px-4`}
+                >
+                  {isFullscreen ? "Exit" : "Close"}
+                </button>
+              </div>
+            </div>
+            {photos.length > 1 ? (
+              <Filmstrip
+                photos={photos}
+                index={index}
+                onSelect={onSelect}
+                isDarkMode={isDarkMode}
+              />
+            ) : null}
+            {details}
+          </div>
+          {isInfoOpen ? (
+            <PhotoInfoPanel photo={photo} isDarkMode={isDarkMode} />
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const PHOTO_TRANSFER_MODES = {
+  MOVE: "move",
+  COPY: "copy",
+};
+
+function FolderPickerModal({
+  photo,
+  initialMode,
+  folders,
+  onSubmit,
+  onClose,
+  isDarkMode,
+}) {
+  const [mode, setMode] = useState(initialMode);
+  const [newFolderName, setNewFolderName] = useState("");
+  const trimmedNewName = newFolderName.trim();
+  const mutedText = isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]";
+  const optionClassName = `w-full border-2 px-3 py-2 text-left text-sm font-semibold transition disabled:cursor-not-allowed disabled:opacity-40 ${
+    isDarkMode
+      ? "border-[#cfcfcf] text-[#f2f2f2] hover:bg-[#4a4a4a]"
+      : "border-black text-black hover:bg-black hover:text-white"
+  }`;
+  const verb = mode === PHOTO_TRANSFER_MODES.MOVE ? "Move" : "Copy";
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 px-4"
+      onClick={onClose}
+    >
+      <div
+        className={`w-full max-w-md border-2 p-6 ${
+          isDarkMode
+            ? "border-[#cfcfcf] bg-[#333333] text-[#f2f2f2]"
+            : "border-black bg-white text-black"
+        }`}
+        onClick={(event) => event.stopPropagation()}
+        onKeyDown={(event) => {
+          event.stopPropagation();
+          if (event.key === "Escape") {
+            onClose();
+          }
+        }}
+      >
+        <div className="flex items-center gap-3">
+          <img
+            src={photo.url}
+            alt=""
+            className="h-12 w-12 flex-none border-2 border-current object-cover"
+          />
+          <div>
+            <h3 className="text-xl font-semibold">{verb} to folder</h3>
+            <p className={`text-sm ${mutedText}`}>
+              Currently in {photo.folder ? `"${photo.folder}"` : "no folder"}
+            </p>
+          </div>
+        </div>
+
+        <div role="radiogroup" aria-label="Action" className="mt-4 flex gap-2">
+          {Object.values(PHOTO_TRANSFER_MODES).map((value) => (
+            <button
+              key={value}
+              type="button"
+              role="radio"
+              aria-checked={mode === value}
+              onClick={() => setMode(value)}
+              className={`border-2 px-3 py-1 text-xs font-semibold uppercase tracking-wide ${
+                mode === value
+                  ? isDarkMode
+                    ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b]"
+                    : "border-black bg-black text-white"
+                  : isDarkMode
+                    ? "border-[#d0d0d0] text-[#f2f2f2]"
+                    : "border-black text-black"
+              }`}
+            >
+              {value === PHOTO_TRANSFER_MODES.MOVE ? "Move" : "Copy"}
+            </button>
+          ))}
+        </div>
+
+        <ul className="mt-4 max-h-60 space-y-2 overflow-y-auto">
+          {folders.map((folder) => (
+            <li key={folder}>
+              <button
+                type="button"
+                onClick={() => onSubmit(folder, mode)}
+                disabled={
+                  mode === PHOTO_TRANSFER_MODES.MOVE && folder === photo.folder
+                }
+                className={optionClassName}
+              >
+                {folder}
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <form
+          className="mt-4 flex gap-2"
+          onSubmit={(event) => {
+            event.preventDefault();
+            if (trimmedNewName) {
+              onSubmit(trimmedNewName, mode);
+            }
+          }}
+        >
+          <input
+            type="text"
+            value={newFolderName}
+            onChange={(event) => setNewFolderName(event.target.value)}
+            placeholder="New folder"
+            aria-label="New folder name"
+            className={`min-w-0 flex-1 border-2 px-3 py-2 text-sm outline-none ${
+              isDarkMode
+                ? "border-[#cfcfcf] bg-[#2b2b2b] text-[#f2f2f2] placeholder:text-[#a8a8a8]"
+                : "border-black bg-white text-black placeholder:text-[#777777]"
+            }`}
+          />
+          <button
+            type="submit"
+            disabled={!trimmedNewName}
+            className={`border-2 px-3 py-2 text-xs font-semibold uppercase tracking-wide disabled:cursor-not-allowed disabled:opacity-40 ${
+              isDarkMode
+                ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b]"
+                : "border-black bg-black text-white"
+            }`}
+          >
+            Create & {verb}
+          </button>
+        </form>
+
+        <div className="mt-5 flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className={`border-2 px-4 py-2 text-xs font-semibold uppercase tracking-wide ${
+              isDarkMode
+                ? "border-[#d0d0d0] bg-transparent text-[#f2f2f2] hover:bg-[#3d3d3d]"
+                : "border-black bg-white text-black hover:bg-black hover:text-white"
+            }`}
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const FOLDER_ACTIONS = {
+  RENAME: "rename",
+  MERGE: "merge",
+  DELETE: "delete",
+};
+
+function FolderManageModal({
+  action,
+  folderName,
+  folders,
+  onSubmit,
+  onClose,
+  isDarkMode,
+}) {
+  const [nextName, setNextName] = useState(folderName);
+  const [targetFolder, setTargetFolder] = useState("");
+  const [photoHandling, setPhotoHandling] = useState("unfile");
+  const mergeTargets = folders.filter(
+    (folder) => !isInFolder(folder, folderName),
+  );
+  const hasSubfolders = folders.some(
+    (folder) => folder !== folderName && isInFolder(folder, folderName),
+  );
+  const mutedText = isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]";
+  const fieldClassName = `mt-4 w-full border-2 px-3 py-2 text-sm outline-none ${
+    isDarkMode
+      ? "border-[#cfcfcf] bg-[#2b2b2b] text-[#f2f2f2] placeholder:text-[#a8a8a8]"
+      : "border-black bg-white text-black placeholder:text-[#777777]"
+  }`;
+  const titles = {
+    [FOLDER_ACTIONS.RENAME]: "Rename Folder",
+    [FOLDER_ACTIONS.MERGE]: "Merge Folder",
+    [FOLDER_ACTIONS.DELETE]: "Delete Folder",
+  };
+
+  function submit() {
+    if (action === FOLDER_ACTIONS.RENAME) {
+      onSubmit({ nextName: nextName.trim() });
+    } else if (action === FOLDER_ACTIONS.MERGE) {
+      onSubmit({ targetFolder });
+    } else {
+      onSubmit({ photos: photoHandling });
+    }
+  }
+
+  const canSubmit =
+    action === FOLDER_ACTIONS.RENAME
+      ? Boolean(nextName.trim()) && nextName.trim() !== folderName
+      : action === FOLDER_ACTIONS.MERGE
+        ? Boolean(targetFolder)
+        : true;
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 px-4"
+      onClick={onClose}
+    >
+      <div
+        className={`w-full max-w-md border-2 p-6 ${
+          isDarkMode
+            ? "border-[#cfcfcf] bg-[#333333] text-[#f2f2f2]"
+            : "border-black bg-white text-black"
+        }`}
+        onClick={(event) => event.stopPropagation()}
+        onKeyDown={(event) => {
+          if (event.key === "Escape") {
+            onClose();
+          }
+          if (
+            event.key === "Enter" &&
+            canSubmit &&
+            event.target.tagName === "INPUT"
+          ) {
+            submit();
+          }
+        }}
+      >
+        <h3 className="text-xl font-semibold">{titles[action]}</h3>
+
+        {action === FOLDER_ACTIONS.RENAME ? (
+          <>
+            <p className={`mt-2 text-sm ${mutedText}`}>
+              Enter a new name for "{folderName}".
+            </p>
+            <input
+              type="text"
+              value={nextName}
+              onChange={(event) => setNextName(event.target.value)}
+              autoFocus
+              placeholder="Folder name"
+              className={fieldClassName}
+            />
+          </>
+        ) : null}
+
+        {action === FOLDER_ACTIONS.MERGE ? (
+          <>
+            <p className={`mt-2 text-sm ${mutedText}`}>
+              Move every photo in "{folderName}" into another folder, then
+              remove "{folderName}".
+            </p>
+            <select
+              value={targetFolder}
+              onChange={(event) => setTargetFolder(event.target.value)}
+              autoFocus
+              className={fieldClassName}
+            >
+              <option value="">Choose a folder</option>
+              {mergeTargets.map((folder) => (
+                <option key={folder} value={folder}>
+                  {folder}
+                </option>
+              ))}
+            </select>
+          </>
+        ) : null}
+
+        {action === FOLDER_ACTIONS.DELETE ? (
+          <fieldset className="mt-4 space-y-2 text-sm">
+            <legend className={`mb-2 ${mutedText}`}>
+              What should happen to the photos in "{folderName}"
+              {hasSubfolders ? " and its subfolders" : ""}?
+            </legend>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="photoHandling"
+                value="unfile"
+                checked={photoHandling === "unfile"}
+                onChange={() => setPhotoHandling("unfile")}
+                autoFocus
+              />
+              Keep them in All Photos without a folder
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="photoHandling"
+                value="delete"
+                checked={photoHandling === "delete"}
+                onChange={() => setPhotoHandling("delete")}
+              />
+              Delete them too
+            </label>
+          </fieldset>
+        ) : null}
+
+        <div className="mt-5 flex items-center justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className={`border-2 px-4 py-2 text-xs font-semibold uppercase tracking-wide ${
+              isDarkMode
+                ? "border-[#d0d0d0] bg-transparent text-[#f2f2f2] hover:bg-[#3d3d3d]"
+                : "border-black bg-white text-black hover:bg-black hover:text-white"
+            }`}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={submit}
+            disabled={!canSubmit}
+            className={`border-2 px-4 py-2 text-xs font-semibold uppercase tracking-wide disabled:cursor-not-allowed disabled:opacity-40 ${
+              action === FOLDER_ACTIONS.DELETE
+                ? isDarkMode
+                  ? "border-red-300 bg-red-300 text-[#2a2a2a]"
+                  : "border-red-700 bg-red-700 text-white"
+                : isDarkMode
+                  ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b] hover:bg-transparent hover:text-[#f2f2f2]"
+                  : "border-black bg-black text-white"
+            }`}
+          >
+            {titles[action].split(" ")[0]}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function CopyLinkButton({ url, isDarkMode }) {
+  const [copied, setCopied] = useState(false);
+
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      window.setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      window.prompt("Copy this link:", url);
+    }
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={copy}
+      className={`border-2 px-3 py-2 text-xs font-semibold uppercase tracking-wide ${
+        isDarkMode
+          ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b] hover:bg-transparent hover:text-[#f2f2f2]"
+          : "border-black bg-black text-white hover:bg-white hover:text-black"
+      }`}
+    >
+      {copied ? "Copied" : "Copy"}
+    </button>
+  );
+}
+
+// `target` is { type: "folder", folder } or
+// { type: "photo", statusId, attachmentId }. `excludedPhotos` are trashed
+// photos the link must not show.
+function ShareLinkModal({ target, excludedPhotos = [], onClose, isDarkMode }) {
+  const [expiryDate, setExpiryDate] = useState(() => getDefaultExpiryDate());
+  const [password, setPassword] = useState("");
+  const [link, setLink] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState("");
+  const mutedText = isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]";
+  const labelClassName = `block text-xs font-semibold uppercase tracking-wide ${mutedText}`;
+  const fieldClassName = `mt-1 w-full border-2 px-3 py-2 text-sm outline-none ${
+    isDarkMode
+      ? "border-[#cfcfcf] bg-[#2b2b2b] text-[#f2f2f2] placeholder:text-[#a8a8a8]"
+      : "border-black bg-white text-black placeholder:text-[#777777]"
+  }`;
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    setIsCreating(true);
+    setError("");
+    try {
+      const response = await createShareLink({
+        ...target,
+        excludedPhotos,
+        expiresAt: toExpiryTimestamp(expiryDate),
+        password,
+      });
+      setLink(normalizeShareLink(response.data));
+    } catch (err) {
+      setError(
+        getBackendMessage(err) || "Could not create the link. Try again.",
+      );
+    } finally {
+      setIsCreating(false);
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 px-4"
+      onClick={onClose}
+    >
+      <form
+        onSubmit={handleSubmit}
+        onClick={(event) => event.stopPropagation()}
+        onKeyDown={(event) => {
+          if (event.key === "Escape") {
+            onClose();
+          }
+        }}
+        className={`w-full max-w-md space-y-4 border-2 p-6 ${
+          isDarkMode
+            ? "border-[#cfcfcf] bg-[#333333] text-[#f2f2f2]"
+            : "border-black bg-white text-black"
+        }`}
+      >
+        <div>
+          <h3 className="text-xl font-semibold">Share</h3>
+          <p className={`mt-1 text-sm ${mutedText}`}>
+            Anyone with the link can view this{" "}
+            {target.type === SHARE_TYPES.PHOTO
+              ? "photo"
+              : `folder, "${target.folder}",`}{" "}
+            until it expires.
+          </p>
+          {excludedPhotos.length ? (
+            <p className={`mt-1 text-sm ${mutedText}`}>
+              {excludedPhotos.length} photo
+              {excludedPhotos.length !== 1 ? "s" : ""} in the trash will be left
+              out.
+            </p>
+          ) : null}
+        </div>
+
+        {link ? (
+          <div className="space-y-2">
+            <input
+              type="text"
+              value={link.url}
+              readOnly
+              autoFocus
+              onFocus={(event) => event.target.select()}
+              className={fieldClassName}
+            />
+            <div className="flex justify-end">
+              <CopyLinkButton url={link.url} isDarkMode={isDarkMode} />
+            </div>
+          </div>
+        ) : (
+          <>
+            <label className="block">
+              <span className={labelClassName}>Expires after</span>
+              <input
+                type="date"
+                value={expiryDate}
+                min={getDefaultExpiryDate(0)}
+                required
+                onChange={(event) => setExpiryDate(event.target.value)}
+                className={fieldClassName}
+              />
+            </label>
+            <label className="block">
+              <span className={labelClassName}>Password (optional)</span>
+              <input
+                type="password"
+                value={password}
+                autoComplete="new-password"
+                onChange={(event) => setPassword(event.target.value)}
+                className={fieldClassName}
+              />
+            </label>
+          </>
+        )}
+
+        {error ? (
+          <p role="alert" className="text-sm font-semibold text-red-600">
+            {error}
+          </p>
+        ) : null}
+
+        <div className="flex items-center justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className={`border-2 px-4 py-2 text-xs font-semibold uppercase tracking-wide ${
+              isDarkMode
+                ? "border-[#d0d0d0] bg-transparent text-[#f2f2f2] hover:bg-[#3d3d3d]"
+                : "border-black bg-white text-black hover:bg-black hover:text-white"
+            }`}
+          >
+            {link ? "Done" : "Cancel"}
+          </button>
+          {link ? null : (
+            <button
+              type="submit"
+              disabled={isCreating || !expiryDate}
+              className={`border-2 px-4 py-2 text-xs font-semibold uppercase tracking-wide disabled:cursor-not-allowed disabled:opacity-40 ${
+                isDarkMode
+                  ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b] hover:bg-transparent hover:text-[#f2f2f2]"
+                  : "border-black bg-black text-white"
+              }`}
+            >
+              {isCreating ? "Creating…" : "Create link"}
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
+
+function formatShareExpiry(expiresAt) {
+  return expiresAt
+    ? `Expires ${new Date(expiresAt).toLocaleDateString()}`
+    : "Never expires";
+}
+
+function ShareLinksModal({ onClose, isDarkMode }) {
+  const [links, setLinks] = useState(null);
+  const [error, setError] = useState("");
+  const mutedText = isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]";
+
+  useEffect(() => {
+    let isCurrent = true;
+    listShareLinks()
+      .then((response) => {
+        const items = Array.isArray(response.data) ? response.data : [];
+        if (isCurrent) {
+          setLinks(
+            items
+              .map(normalizeShareLink)
+              .filter((link) => link.token && !isShareExpired(link)),
+          );
+        }
+      })
+      .catch((err) => {
+        if (isCurrent) {
+          setLinks([]);
+          setError(getBackendMessage(err) || "Could not load your links.");
+        }
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, []);
+
+  async function revoke(link) {
+    const previous = links;
+    setLinks((current) => current.filter((item) => item.id !== link.id));
+    setError("");
+    try {
+      await revokeShareLink(link.id);
+    } catch (err) {
+      setLinks(previous);
+      setError(getBackendMessage(err) || "Could not revoke the link.");
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 px-4"
+      onClick={onClose}
+    >
+      <div
+        className={`max-h-[80vh] w-full max-w-lg space-y-4 overflow-y-auto border-2 p-6 ${
+          isDarkMode
+            ? "border-[#cfcfcf] bg-[#333333] text-[#f2f2f2]"
+            : "border-black bg-white text-black"
+        }`}
+        onClick={(event) => event.stopPropagation()}
+        onKeyDown={(event) => {
+          if (event.key === "Escape") {
+            onClose();
+          }
+        }}
+      >
+        <h3 className="text-xl font-semibold">Shared Links</h3>
+
+        {links === null ? (
+          <p className={`text-sm ${mutedText}`}>Loading…</p>
+        ) : links.length === 0 && !error ? (
+          <p className={`text-sm ${mutedText}`}>No active share links.</p>
+        ) : (
+          <ul className="space-y-3">
+            {links.map((link) => (
+              <li
+                key={link.id}
+                className={`flex items-center gap-3 border-2 p-3 ${
+                  isDarkMode ? "border-[#555555]" : "border-black"
+                }`}
+              >
+                <div className="min-w-0 flex-1">
+                  <p className="truncate text-sm font-semibold">
+                    {describeShareTarget(link)}
+                    {link.hasPassword ? (
+                      <span className={`ml-2 text-xs ${mutedText}`}>
+                        (password)
+                      </span>
+                    ) : null}
+                  </p>
+                  <p className={`text-xs ${mutedText}`}>
+                    {formatShareExpiry(link.expiresAt)}
+                  </p>
+                </div>
+                <CopyLinkButton url={link.url} isDarkMode={isDarkMode} />
+                <button
+                  type="button"
+                  onClick={() => revoke(link)}
+                  className={`border-2 px-3 py-2 text-xs font-semibold uppercase tracking-wide ${
+                    isDarkMode
+                      ? "border-red-300 bg-red-300 text-[#2a2a2a]"
+                      : "border-red-700 bg-red-700 text-white"
+                  }`}
+                >
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {error ? (
+          <p role="alert" className="text-sm font-semibold text-red-600">
+            {error}
+          </p>
+        ) : null}
+
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className={`border-2 px-4 py-2 text-xs font-semibold uppercase tracking-wide ${
+              isDarkMode
+                ? "border-[#d0d0d0] bg-transparent text-[#f2f2f2] hover:bg-[#3d3d3d]"
+                : "border-black bg-white text-black hover:bg-black hover:text-white"
+            }`}
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const SHARE_STATUS = {
+  LOADING: "loading",
+  PASSWORD: "password",
+  READY: "ready",
+  ERROR: "error",
+};
+
+// Read-only view of a share link. It runs without a session, so it only
+// reuses the grid and lightbox and leaves out every editing control.
+function SharedViewer({ token }) {
+  const isDarkMode = window.localStorage.getItem("theme") === "dark";
+  const [status, setStatus] = useState(SHARE_STATUS.LOADING);
+  const [photos, setPhotos] = useState([]);
+  const [title, setTitle] = useState("");
+  const [message, setMessage] = useState("");
+  const [password, setPassword] = useState("");
+  const [activePhoto, setActivePhoto] = useState(null);
+  const [isInfoOpen, setIsInfoOpen] = useState(false);
+  const mutedText = isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]";
+
+  async function load(passwordValue = "") {
+    setStatus(SHARE_STATUS.LOADING);
+    setMessage("");
+    try {
+      const response = await fetchSharedContent(token, passwordValue);
+      const data = response.data;
+      const items = Array.isArray(data) ? data : data?.statuses;
+      // A photo link names one attachment; the rest of its post stays hidden.
+      const attachmentId = String(
+        data?.attachment_id || data?.attachmentId || "",
+      );
+      const sharedPhotos = normalizePhotos(items);
+      setPhotos(
+        attachmentId
+          ? sharedPhotos.filter((photo) => photo.attachmentId === attachmentId)
+          : sharedPhotos,
+      );
+      setTitle(data?.title || data?.folder || "");
+      setStatus(SHARE_STATUS.READY);
+    } catch (err) {
+      const code = err?.response?.status;
+      if (code === 401 || code === 403) {
+        setStatus(SHARE_STATUS.PASSWORD);
+        setMessage(passwordValue ? "That password is not right." : "");
+        return;
+      }
+      setStatus(SHARE_STATUS.ERROR);
+      setMessage(
+        code === 404 || code === 410
+          ? "This link has expired or was revoked."
+          : getBackendMessage(err) || "Could not open this link.",
+      );
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, [token]);
+
+  return (
+    <div
+      className={`min-h-screen ${
+        isDarkMode ? "bg-[#2b2b2b] text-[#f2f2f2]" : "bg-[#f5f5f5] text-black"
+      }`}
+    >
+      <header
+        className={`border-b-2 ${
+          isDarkMode ? "border-[#cfcfcf] bg-[#303030]" : "border-black bg-white"
+        }`}
+      >
+        <div className="mx-auto flex w-full max-w-7xl items-center justify-between px-6 py-6">
+          <h1 className="text-4xl font-black tracking-tight">CloudIt</h1>
+          <span className={`text-sm ${mutedText}`}>Shared with you</span>
+        </div>
+      </header>
+
+      <main className="mx-auto w-full max-w-7xl px-6 py-10 sm:py-14">
+        {status === SHARE_STATUS.LOADING ? <ViewLoader /> : null}
+
+        {status === SHARE_STATUS.ERROR ? (
+          <ErrorAlert message={message} />
+        ) : null}
+
+        {status === SHARE_STATUS.PASSWORD ? (
+          <form
+            onSubmit={(event) => {
+              event.preventDefault();
+              load(password);
+            }}
+            className={`mx-auto w-full max-w-sm space-y-4 border-2 p-6 ${
+              isDarkMode
+                ? "border-[#cfcfcf] bg-[#333333]"
+                : "border-black bg-white"
+            }`}
+          >
+            <p className={`text-sm ${mutedText}`}>
+              This link is protected. Enter the password to view it.
+            </p>
+            <input
+              type="password"
+              value={password}
+              onChange={(event) => setPassword(event.target.value)}
+              autoFocus
+              className={`w-full border-2 px-3 py-2 text-sm outline-none ${
+                isDarkMode
+                  ? "border-[#cfcfcf] bg-[#2b2b2b] text-[#f2f2f2]"
+                  : "border-black bg-white text-black"
+              }`}
+            />
+            {message ? (
+              <p role="alert" className="text-sm font-semibold text-red-600">
+                {message}
+              </p>
+            ) : null}
+            <button
+              type="submit"
+              disabled={!password}
+              className={`w-full border-2 px-6 py-3 text-sm font-semibold uppercase tracking-wide disabled:opacity-60 ${
+                isDarkMode
+                  ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b]"
+                  : "border-black bg-black text-white"
+              }`}
+            >
+              View
+            </button>
+          </form>
+        ) : null}
+
+        {status === SHARE_STATUS.READY ? (
+          <>
+            {title ? (
+              <h2 className="mb-6 text-2xl font-semibold">{title}</h2>
+            ) : null}
+            <PhotoGrid
+              photos={photos}
+              emptyMessage="Nothing has been shared here yet."
+              onPhotoClick={setActivePhoto}
+              activePhotoId={activePhoto?.id}
+              isDarkMode={isDarkMode}
+            />
+          </>
+        ) : null}
+      </main>
+
+      {activePhoto ? (
+        <Lightbox
+          photo={activePhoto}
+          photos={photos}
+          onSelect={setActivePhoto}
+          onClose={() => setActivePhoto(null)}
+          isInfoOpen={isInfoOpen}
+          onToggleInfo={() => setIsInfoOpen((open) => !open)}
+          isDarkMode={isDarkMode}
+          details={
+            activePhoto.description ? (
+              <p className={`mt-3 text-sm ${mutedText}`}>
+                {activePhoto.description}
+              </p>
+            ) : null
+          }
+        />
+      ) : null}
+    </div>
+  );
+}
+
+export default function App() {
+  const auth = useAuth();
+  const [shareToken] = useState(() => parseShareToken(window.location));
+
+  if (shareToken) {
+    return <SharedViewer token={shareToken} />;
+  }
+  if (auth.status === AUTH_STATUS.DISABLED) {
+    return <PhotoLibrary />;
+  }
+  if (auth.status === AUTH_STATUS.SIGNED_IN) {
+    // Keyed by account so nothing from a previous user's library survives.
+    return (
+      <PhotoLibrary
+        key={auth.user.id}
+        user={auth.user}
+        onSignOut={auth.signOut}
+      />
+    );
+  }
+  return (
+    <SignInScreen
+      message={auth.message}
+      isBusy={auth.status === AUTH_STATUS.CHECKING}
+      onSignIn={auth.signIn}
+    />
+  );
+}
+
+function PhotoLibrary({ user = null, onSignOut }) {
+  const allPhotosFeed = usePagedPhotos();
+  const folderPhotosFeed = usePagedPhotos();
+  const offlineQueue = useOfflineQueue(handleOfflineReplay);
+  const [trash, setTrash] = useState(() => loadTrash(user?.id));
+  const trashedIds = useMemo(
+    () => new Set(trash.map((entry) => entry.photo.id)),
+    [trash],
+  );
+  // Trashed photos stay in the cached feeds so Undo and Restore are instant.
+  const photos = useMemo(
+    () => allPhotosFeed.photos.filter((photo) => !trashedIds.has(photo.id)),
+    [allPhotosFeed.photos, trashedIds],
+  );
+  const selectedFolderPhotos = useMemo(
+    () => folderPhotosFeed.photos.filter((photo) => !trashedIds.has(photo.id)),
+    [folderPhotosFeed.photos, trashedIds],
+  );
+  const [folders, setFolders] = useState([]);
+  const [folderPhotoCounts, setFolderPhotoCounts] = useState({});
+  const [initialRoute] = useState(() => parseLocation(window.location));
+  const [activeTab, setActiveTab] = useState(initialRoute.tab);
+  const [selectedFolder, setSelectedFolder] = useState(initialRoute.folder);
+  const [photoFilters, setPhotoFilters] = useState(initialRoute.filters);
+  const [isDarkMode, setIsDarkMode] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [viewLoading, setViewLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState(null);
+  const [activePhoto, setActivePhoto] = useState(null);
+  const [pendingPhoto, setPendingPhoto] = useState(() =>
+    getPendingPhoto(initialRoute),
+  );
+  const [undoToast, setUndoToast] = useState(null);
+  const [duplicateWarning, setDuplicateWarning] = useState(null);
+  const [dataIssueCount, setDataIssueCount] = useState(0);
+  const [isPurgingTrash, setIsPurgingTrash] = useState(false);
+  const [isCreateFolderModalOpen, setIsCreateFolderModalOpen] = useState(false);
+  const [newFolderName, setNewFolderName] = useState("");
+  const [newFolderParent, setNewFolderParent] = useState(null);
+  const [folderAction, setFolderAction] = useState(null);
+  const [folderPicker, setFolderPicker] = useState(null);
+  const [shareTarget, setShareTarget] = useState(null);
+  const [isShareLinksOpen, setIsShareLinksOpen] = useState(false);
+  const [pendingUpload, setPendingUpload] = useState(null);
+  const [isPhotoInfoOpen, setIsPhotoInfoOpen] = useState(false);
+  const [uploadItems, setUploadItems] = useState([]);
+  const [imageProcessing, setImageProcessing] = useState(
+    loadImageProcessingOptions,
+  );
+  const [isUploadSettingsOpen, setIsUploadSettingsOpen] = useState(false);
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedPhotoIds, setSelectedPhotoIds] = useState(() => new Set());
+  const [bulkAction, setBulkAction] = useState("");
+  const [actionFailures, setActionFailures] = useState(null);
+  const [archiveJob, setArchiveJob] = useState(null);
+  const [isCollectingFolder, setIsCollectingFolder] = useState(false);
+  const transitionTimeoutRef = useRef(null);
+  const successTimeoutRef = useRef(null);
+  const undoTimeoutRef = useRef(null);
+  const popStateRef = useRef(false);
+  const photoLookupPagesRef = useRef(0);
+  const fileInputRef = useRef(null);
+  const folderFileInputRef = useRef(null);
+  const uploadQueueRef = useRef(null);
+  const pasteHandlerRef = useRef(null);
+  const selectionAnchorRef = useRef(null);
+  const archiveControllerRef = useRef(null);
+  const selectionKeyHandlerRef = useRef(null);
+  const imageProcessingRef = useRef(imageProcessing);
+  imageProcessingRef.current = imageProcessing;
+
+  useEffect(() => {
+    return () => {
+      if (transitionTimeoutRef.current) {
+        clearTimeout(transitionTimeoutRef.current);
+      }
+      if (successTimeoutRef.current) {
+        clearTimeout(successTimeoutRef.current);
+      }
     };
   }, []);
 
@@ -424,177 +5192,793 @@ export default function App() {
     if (storedTheme === "dark") {
       setIsDarkMode(true);
     }
-  }, []);
+  }, []);
+
+  useEffect(() => {
+    window.localStorage.setItem("theme", isDarkMode ? "dark" : "light");
+  }, [isDarkMode]);
+
+  useEffect(() => {
+    saveImageProcessingOptions(imageProcessing);
+  }, [imageProcessing]);
+
+  useEffect(() => {
+    saveTrash(user?.id, trash);
+  }, [trash]);
+
+  // Every refetch reports the same broken records again, so count each once.
+  useEffect(() => {
+    const seen = new Set();
+    const previous = setDiagnosticsHandler(({ message, record }) => {
+      const key = `${message}|${JSON.stringify(record)}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        setDataIssueCount((count) => count + 1);
+      }
+    });
+    return () => {
+      setDiagnosticsHandler(previous);
+    };
+  }, []);
+
+  // Anything past the retention period is deleted for good on the next visit.
+  useEffect(() => {
+    purgeTrash(getExpiredTrash(trash));
+  }, []);
+
+  function showUndoToast(message, photoIds) {
+    setSuccess(null);
+    setUndoToast({ message, photoIds });
+    if (undoTimeoutRef.current) {
+      clearTimeout(undoTimeoutRef.current);
+    }
+    undoTimeoutRef.current = setTimeout(() => {
+      setUndoToast(null);
+    }, UNDO_TIMEOUT_MS);
+  }
+
+  function dismissUndoToast() {
+    clearTimeout(undoTimeoutRef.current);
+    setUndoToast(null);
+  }
+
+  function showSuccess(title, message) {
+    setSuccess({ title, message });
+    if (successTimeoutRef.current) {
+      clearTimeout(successTimeoutRef.current);
+    }
+    successTimeoutRef.current = setTimeout(() => {
+      setSuccess(null);
+    }, 3000);
+  }
+
+  function handleUploadClick() {
+    if (fileInputRef.current) {
+      fileInputRef.current.click();
+    }
+  }
+
+  function getUploadQueue() {
+    if (!uploadQueueRef.current) {
+      uploadQueueRef.current = createUploadQueue({
+        concurrency: getUploadConcurrency(),
+        prepareFile: async (file) =>
+          assertUploadSize(
+            await processImageFile(file, imageProcessingRef.current),
+          ),
+        onChange: setUploadItems,
+      });
+    }
+    return uploadQueueRef.current;
+  }
+
+  // Resolves with one of DUPLICATE_CHOICES once the user decides.
+  function confirmDuplicateUpload(duplicates, totalCount) {
+    return new Promise((resolve) => {
+      setDuplicateWarning({ duplicates, totalCount, resolve });
+    });
+  }
+
+  async function uploadFiles(files, endpoints, fields, folderName = "") {
+    let mediaFiles = files.filter((file) => getFileMediaType(file));
+    if (!mediaFiles.length) {
+      setError("Please select image, video or audio files only.");
+      return null;
+    }
+
+    // Images may still shrink below the limit once processed, so those are
+    // checked again after processing.
+    const isProcessed = (file) =>
+      imageProcessingRef.current.enabled &&
+      getFileMediaType(file) === MEDIA_TYPES.IMAGE;
+    const oversized = mediaFiles.filter(
+      (file) => !isProcessed(file) && getUploadSizeError(file),
+    );
+    if (oversized.length) {
+      setError(
+        oversized
+          .map(
+            (file) =>
+              `"${file.name}" was not uploaded. ${getUploadSizeError(file)}`,
+          )
+          .join(" "),
+      );
+      mediaFiles = mediaFiles.filter((file) => !oversized.includes(file));
+      if (!mediaFiles.length) {
+        return null;
+      }
+    }
+
+    // Hashing is best effort; a file that cannot be read is just uploaded.
+    // One file at a time, so only one file's contents are ever in memory.
+    let hashed = [];
+    for (const file of mediaFiles) {
+      hashed.push({
+        file,
+        hash: await hashFileContents(file).catch(() => ""),
+      });
+    }
+    const duplicates = findExactDuplicates(
+      hashed.filter(({ hash }) => hash),
+      loadContentIndex(user?.id),
+    );
+    if (duplicates.length) {
+      const choice = await confirmDuplicateUpload(
+        duplicates,
+        mediaFiles.length,
+      );
+      if (choice === DUPLICATE_CHOICES.CANCEL) {
+        return null;
+      }
+      if (choice === DUPLICATE_CHOICES.SKIP) {
+        const skipped = new Set(duplicates.map(({ file }) => file));
+        hashed = hashed.filter(({ file }) => !skipped.has(file));
+      }
+    }
+
+    const settledItems = await getUploadQueue().enqueue(
+      hashed.map(({ file }) => file),
+      endpoints,
+      fields,
+    );
+    recordUploads(
+      user?.id,
+      settledItems.flatMap((item, index) =>
+        item.status === UPLOAD_STATUS.SUCCEEDED && hashed[index].hash
+          ? [{ hash: hashed[index].hash, name: item.name, folder: folderName }]
+          : [],
+      ),
+    );
+    return summarizeUploads(settledItems);
+  }
+
+  function describeUploadSummary(summary, successMessage) {
+    const savings = summary.savedBytes
+      ? ` Saved ${formatBytes(summary.savedBytes)} by optimizing images.`
+      : "";
+    if (summary.queuedOffline.length) {
+      const count = summary.queuedOffline.length;
+      return `${count} photo${count !== 1 ? "s" : ""} saved offline and will upload when you are back online.${savings}`;
+    }
+    if (!summary.failed.length && !summary.cancelled.length) {
+      return `${successMessage}${savings}`;
+    }
+    const parts = [`${summary.succeeded.length} of ${summary.total} uploaded`];
+    if (summary.failed.length) {
+      parts.push(`${summary.failed.length} failed`);
+    }
+    if (summary.cancelled.length) {
+      parts.push(`${summary.cancelled.length} cancelled`);
+    }
+    return `${parts.join(", ")}.${savings}`;
+  }
+
+  async function handleOfflineReplay({ replayed, failed }) {
+    try {
+      await refreshLibrary();
+    } catch (err) {
+      return;
+    }
+    if (failed) {
+      setError(
+        `${failed} upload${failed !== 1 ? "s or deletes" : " or delete"} saved offline could not be completed.`,
+      );
+    } else if (replayed) {
+      showSuccess(
+        "Synced",
+        `Synced ${replayed} change${replayed !== 1 ? "s" : ""} made while offline.`,
+      );
+    }
+  }
+
+  // Marks every cached feed and the folder list stale: what is on screen
+  // refetches now, the rest when it is next opened.
+  async function refreshLibrary(folderName = selectedFolder) {
+    await invalidateQueries(
+      (key) => key === FOLDERS_QUERY_KEY || key.startsWith(FEED_QUERY_PREFIX),
+    );
+    if (folderName) {
+      await fetchFolderPhotos(folderName);
+    }
+  }
+
+  // Narrower than refreshLibrary: only All Photos, the folder list and the
+  // given folders' feeds.
+  function invalidateLibrary(folderNames = []) {
+    const keys = new Set([
+      FOLDERS_QUERY_KEY,
+      getFeedQueryKey("/statuses"),
+      ...folderNames
+        .filter(Boolean)
+        .map((name) => getFeedQueryKey(getFolderFeedPath(name))),
+    ]);
+    return invalidateQueries((key) => keys.has(key));
+  }
+
+  async function handleRetryUpload(id) {
+    const item = await getUploadQueue().retry(id);
+    if (item?.status !== UPLOAD_STATUS.SUCCEEDED) {
+      return;
+    }
+
+    try {
+      await refreshLibrary();
+      showSuccess("Uploaded successfully", `"${item.name}" was uploaded.`);
+    } catch (err) {
+      setError("Could not refresh photos. Please try again.");
+    }
+  }
+
+  async function fetchAllPhotos() {
+    await allPhotosFeed.reset("/statuses");
+  }
+
+  function loadFolderList() {
+    return fetchQuery(FOLDERS_QUERY_KEY, async () => {
+      const response = await axios.get("/folder");
+      return Array.isArray(response.data)
+        ? resolveFolderPaths(response.data)
+        : [];
+    });
+  }
+
+  // A cached list shows at once; a stale one also refreshes in the background.
+  async function fetchFolders() {
+    const cached = getQueryData(FOLDERS_QUERY_KEY);
+    if (cached && isQueryStale(FOLDERS_QUERY_KEY)) {
+      applyFolderList(cached);
+      loadFolderList()
+        .then(applyFolderList)
+        .catch(() => {});
+      return;
+    }
+    applyFolderList(await loadFolderList());
+  }
+
+  function applyFolderList(folderList) {
+    const folderNames = [];
+    const nextCounts = {};
+
+    folderList.forEach(({ path, photoCount }) => {
+      folderNames.push(path);
+      if (Number.isFinite(photoCount) && photoCount >= 0) {
+        nextCounts[path] = photoCount;
+      }
+    });
+
+    setFolders((previous) =>
+      Array.from(new Set([...previous, ...folderNames])),
+    );
+    setFolderPhotoCounts((previous) => {
+      const merged = { ...previous, ...nextCounts };
+      folderNames.forEach((name) => {
+        if (!(name in merged)) {
+          merged[name] = 0;
+        }
+      });
+      return merged;
+    });
+  }
+
+  async function fetchFolderPhotos(folderName) {
+    try {
+      await folderPhotosFeed.reset(getFolderFeedPath(folderName), (payload) =>
+        normalizePhotos(payload).map((photo) => ({
+          ...photo,
+          folder: photo.folder || folderName,
+        })),
+      );
+    } catch (err) {
+      if (err?.response?.status === 404) {
+        folderPhotosFeed.clear();
+        return;
+      }
+      throw err;
+    }
+  }
+
+  // Without single-attachment delete the backend removes whole statuses, so
+  // the loaded photos that share one go to the trash together.
+  function withStatusSiblings(targets) {
+    if (canDeleteAttachments()) {
+      return targets;
+    }
+    const statusKeys = new Set(targets.map(getStatusKey).filter(Boolean));
+    const byId = new Map(targets.map((photo) => [photo.id, photo]));
+    [...allPhotosFeed.photos, ...folderPhotosFeed.photos].forEach((photo) => {
+      if (statusKeys.has(getStatusKey(photo)) && !byId.has(photo.id)) {
+        byId.set(photo.id, photo);
+      }
+    });
+    return Array.from(byId.values());
+  }
+
+  function moveToTrash(picked) {
+    const targets = withStatusSiblings(picked);
+    const extraCount = targets.length - picked.length;
+    setTrash((entries) => addToTrash(entries, targets));
+    showUndoToast(
+      [
+        targets.length === 1
+          ? "Moved to trash on this device."
+          : `Moved ${targets.length} photos to trash on this device.`,
+        extraCount
+          ? `${extraCount} of them ${extraCount !== 1 ? "were" : "was"} in the same post and will be deleted with it.`
+          : "",
+      ]
+        .filter(Boolean)
+        .join(" "),
+      targets.map((photo) => photo.id),
+    );
+    return targets;
+  }
+
+  function handleUndoDelete() {
+    const photoIds = undoToast?.photoIds || [];
+    setTrash((entries) => removeFromTrash(entries, photoIds));
+    dismissUndoToast();
+  }
+
+  function handleDeletePhoto(photo) {
+    // The backend can only delete what it gave an id.
+    if (!getStatusKey(photo)) {
+      setError("Could not delete this image because id is missing.");
+      return;
+    }
+
+    setError("");
+    const trashedIds = new Set(moveToTrash([photo]).map((item) => item.id));
+    // Ids survive the refresh, so the lightbox can stay open on a neighbour.
+    if (activePhoto?.id === photo.id) {
+      const index = currentVisiblePhotos.findIndex(
+        (item) => item.id === photo.id,
+      );
+      const isKept = (item) => item && !trashedIds.has(item.id);
+      setActivePhoto(
+        currentVisiblePhotos.slice(index + 1).find(isKept) ||
+          currentVisiblePhotos.slice(0, index).reverse().find(isKept) ||
+          null,
+      );
+    }
+  }
+
+  function handleKeepDuplicate(keeper, group) {
+    // Trashing a copy from the keeper's own post would take the keeper too.
+    const keeperKey = canDeleteAttachments() ? "" : getStatusKey(keeper);
+    const targets = group.filter(
+      (photo) =>
+        photo.id !== keeper.id &&
+        !(keeperKey && getStatusKey(photo) === keeperKey),
+    );
+    if (targets.length) {
+      moveToTrash(targets);
+    }
+  }
+
+  function handleRestoreFromTrash(entries) {
+    setTrash((current) =>
+      removeFromTrash(
+        current,
+        entries.map((entry) => entry.photo.id),
+      ),
+    );
+    dismissUndoToast();
+    showSuccess(
+      "Restored",
+      entries.length === 1
+        ? "Photo restored."
+        : `Restored ${entries.length} photos.`,
+    );
+  }
+
+  // The only place photos are deleted on the backend. Whatever fails stays
+  // in the trash and is listed so it can be retried.
+  async function purgeTrash(entries) {
+    if (!entries.length || isPurgingTrash) {
+      return;
+    }
+
+    setIsPurgingTrash(true);
+    setError("");
+    setActionFailures(null);
+    try {
+      const results = await deletePhotos(entries.map((entry) => entry.photo));
+      const failures = results.filter((result) => result.error);
+      const deletedIds = results
+        .filter((result) => !result.error)
+        .map((result) => result.photo.id);
+
+      setTrash((current) => removeFromTrash(current, deletedIds));
+      if (failures.length) {
+        setActionFailures({
+          title: `Could not delete ${failures.length} of ${results.length} photo${results.length !== 1 ? "s" : ""}`,
+          failures: failures.map(({ photo, error: failure }) => ({
+            photo,
+            message:
+              getBackendMessage(failure) ||
+              failure?.message ||
+              "Could not delete this photo.",
+          })),
+        });
+      }
+      if (deletedIds.length) {
+        showSuccess(
+          "Deleted permanently",
+          `Deleted ${deletedIds.length} photo${deletedIds.length !== 1 ? "s" : ""} permanently.`,
+        );
+        await invalidateLibrary(
+          results
+            .filter((result) => !result.error)
+            .map((result) => result.photo.folder),
+        ).catch(() => {
+          setError("Could not refresh photos. Please try again.");
+        });
+      }
+    } finally {
+      setIsPurgingTrash(false);
+    }
+  }
+
+  function startSelecting() {
+    setIsSelecting(true);
+    setActionFailures(null);
+  }
+
+  function exitSelecting() {
+    setIsSelecting(false);
+    setSelectedPhotoIds(new Set());
+    selectionAnchorRef.current = null;
+  }
+
+  function selectAllVisible() {
+    setSelectedPhotoIds(new Set(currentVisiblePhotos.map((photo) => photo.id)));
+  }
+
+  function handleToggleSelect(photo, event) {
+    const index = currentVisiblePhotos.findIndex(
+      (item) => item.id === photo.id,
+    );
+    const anchorIndex = currentVisiblePhotos.findIndex(
+      (item) => item.id === selectionAnchorRef.current,
+    );
+
+    setSelectedPhotoIds((previous) => {
+      const next = new Set(previous);
+      if (event?.shiftKey && anchorIndex >= 0 && index >= 0) {
+        const start = Math.min(anchorIndex, index);
+        const end = Math.max(anchorIndex, index);
+        currentVisiblePhotos
+          .slice(start, end + 1)
+          .forEach((item) => next.add(item.id));
+      } else if (next.has(photo.id)) {
+        next.delete(photo.id);
+      } else {
+        next.add(photo.id);
+      }
+      return next;
+    });
+
+    if (!event?.shiftKey) {
+      selectionAnchorRef.current = photo.id;
+    }
+  }
+
+  function reportBulkResults(results, { verb, successTitle, successMessage }) {
+    const failures = results.filter((result) => result.error);
+    const succeededCount = results.length - failures.length;
+
+    setSelectedPhotoIds(new Set(failures.map(({ photo }) => photo.id)));
+    setActionFailures(
+      failures.length
+        ? {
+            title: `Could not ${verb} ${failures.length} of ${results.length} photo${results.length !== 1 ? "s" : ""}`,
+            failures: failures.map(({ photo, error: failure }) => ({
+              photo,
+              message:
+                getBackendMessage(failure) ||
+                failure?.message ||
+                `Could not ${verb} this photo.`,
+            })),
+          }
+        : null,
+    );
+
+    if (succeededCount) {
+      showSuccess(successTitle, successMessage(succeededCount));
+    }
+    if (!failures.length) {
+      exitSelecting();
+    }
+  }
+
+  async function runBulkAction(run, verb, successTitle, successMessage) {
+    const targets = currentVisiblePhotos.filter((photo) =>
+      selectedPhotoIds.has(photo.id),
+    );
+    if (!targets.length) {
+      return;
+    }
 
-  useEffect(() => {
-    window.localStorage.setItem("theme", isDarkMode ? "dark" : "light");
-  }, [isDarkMode]);
+    try {
+      setBulkAction(verb);
+      setError("");
+      setSuccess(null);
+      setActionFailures(null);
+      const results = await run(targets);
+      try {
+        await refreshLibrary();
+      } catch (err) {
+        setError("Could not refresh photos. Please try again.");
+      }
+      reportBulkResults(results, { verb, successTitle, successMessage });
+    } finally {
+      setBulkAction("");
+    }
+  }
 
-  function showUploadSuccess(message) {
-    setSuccessMessage(message);
-    if (successTimeoutRef.current) {
-      clearTimeout(successTimeoutRef.current);
+  function handleBulkDelete() {
+    const selected = currentVisiblePhotos.filter((photo) =>
+      selectedPhotoIds.has(photo.id),
+    );
+    const targets = selected.filter(getStatusKey);
+    if (targets.length < selected.length) {
+      const skipped = selected.length - targets.length;
+      setError(
+        `Could not delete ${skipped} photo${skipped !== 1 ? "s" : ""} because ${skipped !== 1 ? "their ids are" : "its id is"} missing.`,
+      );
+    }
+    if (targets.length) {
+      moveToTrash(targets);
+      exitSelecting();
     }
-    successTimeoutRef.current = setTimeout(() => {
-      setSuccessMessage("");
-    }, 3000);
   }
 
-  function handleUploadClick() {
-    if (fileInputRef.current) {
-      fileInputRef.current.click();
+  function handleBulkMove(folderName) {
+    if (!folderName) {
+      return Promise.resolve();
     }
+    return runBulkAction(
+      (targets) =>
+        runForStatuses(targets, (statusId) => moveStatus(statusId, folderName)),
+      "move",
+      "Moved",
+      (count) =>
+        `Moved ${count} photo${count !== 1 ? "s" : ""} to "${folderName}".`,
+    );
   }
 
-  async function uploadFiles(files, endpoints) {
-    const imageFiles = files.filter((file) => file.type.startsWith("image/"));
-    if (!imageFiles.length) {
-      setError("Please select image files only.");
+  async function downloadArchive(targets, archiveName) {
+    if (!targets.length || archiveControllerRef.current) {
       return;
     }
 
-    const endpointList = Array.isArray(endpoints) ? endpoints : [endpoints];
-
-    for (const file of imageFiles) {
-      let uploadError = null;
-
-      for (const endpoint of endpointList) {
-        const formData = new FormData();
-        formData.append("file", file);
+    const controller = new AbortController();
+    archiveControllerRef.current = controller;
+    setActionFailures(null);
+    setArchiveJob({
+      name: archiveName,
+      done: 0,
+      total: targets.length,
+      bytes: 0,
+    });
 
-        try {
-          await axios.post(endpoint, formData);
-          uploadError = null;
-          break;
-        } catch (err) {
-          uploadError = err;
-        }
+    try {
+      const { failures } = await downloadPhotosAsZip(targets, {
+        archiveName,
+        signal: controller.signal,
+        onProgress: (progress) =>
+          setArchiveJob({ name: archiveName, ...progress }),
+      });
+      if (failures.length) {
+        setActionFailures({
+          title: `Could not add ${failures.length} of ${targets.length} photo${targets.length !== 1 ? "s" : ""} to ${archiveName}`,
+          failures: failures.map(({ photo, error: failure }) => ({
+            photo,
+            message:
+              getBackendMessage(failure) ||
+              failure?.message ||
+              "Download failed.",
+          })),
+        });
       }
-
-      if (uploadError) {
-        throw uploadError;
+    } catch (err) {
+      if (!controller.signal.aborted && err?.name !== "AbortError") {
+        setError(err?.message || "Could not create the ZIP archive.");
       }
+    } finally {
+      archiveControllerRef.current = null;
+      setArchiveJob(null);
     }
   }
 
-  async function fetchAllPhotos() {
-    const response = await axios.get("/statuses");
-    const normalized = normalizePhotos(response.data);
-    setPhotos(normalized);
+  function cancelArchive() {
+    archiveControllerRef.current?.abort();
   }
 
-  async function fetchFolders() {
-    const response = await axios.get("/folder");
-    const folderNames = [];
-    const nextCounts = {};
+  async function handleBulkDownload() {
+    const targets = currentVisiblePhotos.filter((photo) =>
+      selectedPhotoIds.has(photo.id),
+    );
 
-    if (Array.isArray(response.data)) {
-      response.data.forEach((item) => {
-        const rawName =
-          typeof item === "string"
-            ? item
-            : typeof item?.folderName === "string"
-              ? item.folderName
-              : "";
-        const folderName = rawName.trim();
-
-        if (!folderName) {
-          return;
-        }
+    if (targets.length === 1) {
+      await downloadPhoto(targets[0]);
+      return;
+    }
 
-        folderNames.push(folderName);
+    try {
+      setBulkAction("download");
+      await downloadArchive(
+        targets,
+        `${selectedFolder || "cloudit"}-selection-${new Date().toISOString().slice(0, 10)}.zip`,
+      );
+    } finally {
+      setBulkAction("");
+    }
+  }
 
-        const parsedCount = Number(
-          typeof item === "string" ? Number.NaN : item?.photoCount,
-        );
-        if (Number.isFinite(parsedCount) && parsedCount >= 0) {
-          nextCounts[folderName] = parsedCount;
-        }
-      });
+  // The grid may only show the first pages, so fetch the rest of the folder
+  // before zipping it.
+  async function handleFolderDownload() {
+    const folderName = selectedFolder;
+    setIsCollectingFolder(true);
+    let folderPhotos;
+    try {
+      folderPhotos = await folderPhotosFeed.loadAll();
+    } catch (err) {
+      setError("Could not load every photo in this folder. Please try again.");
+      return;
+    } finally {
+      setIsCollectingFolder(false);
     }
 
-    setFolders((previous) =>
-      Array.from(new Set([...previous, ...folderNames])),
+    const targets = filterAndSortPhotos(
+      folderPhotos.filter((photo) => !trashedIds.has(photo.id)),
+      { ...photoFilters, folder: "" },
     );
-    setFolderPhotoCounts((previous) => {
-      const merged = { ...previous, ...nextCounts };
-      folderNames.forEach((name) => {
-        if (!(name in merged)) {
-          merged[name] = 0;
-        }
-      });
-      return merged;
-    });
+    await downloadArchive(targets, `${folderName}.zip`);
   }
 
-  async function fetchFolderPhotos(folderName) {
-    const encodedFolder = encodeURIComponent(folderName);
+  function handleSelectionKeyDown(event) {
+    const target = event.target;
+    if (
+      target instanceof HTMLElement &&
+      (target.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+    ) {
+      return;
+    }
+
+    const showsPhotoGrid =
+      activeTab === TABS.ALL_PHOTOS ||
+      activeTab === TABS.TIMELINE ||
+      (activeTab === TABS.FOLDERS && selectedFolder);
+    if (activePhoto || isCreateFolderModalOpen || !showsPhotoGrid) {
+      return;
+    }
+
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === "a") {
+      event.preventDefault();
+      startSelecting();
+      selectAllVisible();
+    } else if (event.key === "Escape" && isSelecting && !bulkAction) {
+      exitSelecting();
+    }
+  }
+
+  selectionKeyHandlerRef.current = handleSelectionKeyDown;
+
+  async function uploadToLibrary(files, details) {
     try {
-      const response = await axios.get(`/statuses/${encodedFolder}`);
-      const normalized = normalizePhotos(response.data).map((photo) => ({
-        ...photo,
-        folder: photo.folder || folderName,
-      }));
-      setSelectedFolderPhotos(normalized);
-    } catch (err) {
-      if (err?.response?.status === 404) {
-        setSelectedFolderPhotos([]);
+      setError("");
+      setSuccess(null);
+      const summary = await uploadFiles(
+        files,
+        ["/api/upload", "/upload"],
+        details ? buildUploadFields(details) : {},
+      );
+      if (!summary?.succeeded.length) {
         return;
       }
-      throw err;
+      if (summary.queuedOffline.length === summary.succeeded.length) {
+        showSuccess("Saved offline", describeUploadSummary(summary, ""));
+        return;
+      }
+      await Promise.all([
+        allPhotosFeed.loadNewer(),
+        invalidateQueries(FOLDERS_QUERY_KEY),
+      ]);
+      showSuccess(
+        "Uploaded successfully",
+        describeUploadSummary(summary, "Your photos were uploaded."),
+      );
+    } catch (err) {
+      const backendMessage =
+        err?.response?.data?.message || err?.response?.data?.error;
+      setError(backendMessage || "Upload failed. Please try again.");
     }
   }
 
-  async function handleDeletePhoto(photo) {
-    const statusId = photo?.statusId;
-    if (!statusId) {
-      setError("Could not delete this image because id is missing.");
-      return;
-    }
-
+  async function uploadToFolder(files, folderName, details) {
     try {
-      setViewLoading(true);
       setError("");
-      setSuccessMessage("");
-      setDeletingPhotoId(photo.id);
-      await axios.delete(`/delete/${encodeURIComponent(statusId)}`);
-      setActivePhoto(null);
+      setSuccess(null);
+      const encodedFolder = encodeURIComponent(folderName);
+      const summary = await uploadFiles(
+        files,
+        [`/api/upload/${encodedFolder}`, `/upload/${encodedFolder}`],
+        details ? buildUploadFields(details) : {},
+        folderName,
+      );
+      if (!summary?.succeeded.length) {
+        return;
+      }
+      if (summary.queuedOffline.length === summary.succeeded.length) {
+        showSuccess("Saved offline", describeUploadSummary(summary, ""));
+        return;
+      }
       await Promise.all([
-        fetchAllPhotos(),
-        fetchFolders(),
-        selectedFolder ? fetchFolderPhotos(selectedFolder) : Promise.resolve(),
+        allPhotosFeed.loadNewer(),
+        invalidateQueries(
+          (key) =>
+            key === FOLDERS_QUERY_KEY ||
+            key === getFeedQueryKey(getFolderFeedPath(folderName)),
+        ),
       ]);
-      showUploadSuccess("Image deleted successfully.");
+      showSuccess(
+        "Uploaded successfully",
+        describeUploadSummary(summary, `Uploaded to folder "${folderName}".`),
+      );
     } catch (err) {
       const backendMessage =
         err?.response?.data?.message || err?.response?.data?.error;
-      setError(backendMessage || "Delete failed. Please try again.");
-    } finally {
-      setDeletingPhotoId("");
-      setViewLoading(false);
+      setError(backendMessage || "Upload failed. Please try again.");
     }
   }
 
+  function uploadToCurrentView(files) {
+    if (activeTab === TABS.FOLDERS && selectedFolder) {
+      return uploadToFolder(files, selectedFolder);
+    }
+    return uploadToLibrary(files);
+  }
+
   async function handleFileChange(event) {
     const files = Array.from(event.target.files || []);
+    event.target.value = "";
     if (!files.length) {
       return;
     }
 
-    try {
-      setViewLoading(true);
-      setError("");
-      setSuccessMessage("");
-      await uploadFiles(files, ["/api/upload", "/upload"]);
-      await Promise.all([fetchAllPhotos(), fetchFolders()]);
-      showUploadSuccess("Your photos were uploaded.");
-    } catch (err) {
-      const backendMessage =
-        err?.response?.data?.message || err?.response?.data?.error;
-      setError(backendMessage || "Upload failed. Please try again.");
-    } finally {
-      setViewLoading(false);
-      event.target.value = "";
+    setPendingUpload({ files, folder: null });
+  }
+
+  function submitPendingUpload(details) {
+    const { files, folder } = pendingUpload;
+    setPendingUpload(null);
+    if (folder) {
+      uploadToFolder(files, folder, details);
+    } else {
+      uploadToLibrary(files, details);
     }
   }
 
@@ -606,37 +5990,38 @@ export default function App() {
 
   async function handleFolderFileChange(event) {
     const files = Array.from(event.target.files || []);
+    event.target.value = "";
     if (!files.length || !selectedFolder) {
       return;
     }
 
-    try {
-      setViewLoading(true);
-      setError("");
-      setSuccessMessage("");
-      const encodedFolder = encodeURIComponent(selectedFolder);
-      await uploadFiles(files, [
-        `/api/upload/${encodedFolder}`,
-        `/upload/${encodedFolder}`,
-      ]);
-      await Promise.all([
-        fetchAllPhotos(),
-        fetchFolderPhotos(selectedFolder),
-        fetchFolders(),
-      ]);
-      showUploadSuccess(`Uploaded to folder "${selectedFolder}".`);
-    } catch (err) {
-      const backendMessage =
-        err?.response?.data?.message || err?.response?.data?.error;
-      setError(backendMessage || "Upload failed. Please try again.");
-    } finally {
-      setViewLoading(false);
-      event.target.value = "";
+    setPendingUpload({ files, folder: selectedFolder });
+  }
+
+  function handlePaste(event) {
+    const target = event.target;
+    if (
+      target instanceof HTMLElement &&
+      (target.isContentEditable ||
+        ["INPUT", "TEXTAREA"].includes(target.tagName))
+    ) {
+      return;
+    }
+
+    const files = getPastedFiles(event.clipboardData);
+    if (!files.length) {
+      return;
     }
+
+    event.preventDefault();
+    uploadToCurrentView(files);
   }
 
-  function handleCreateFolder() {
+  pasteHandlerRef.current = handlePaste;
+
+  function handleCreateFolder(parent = null) {
     setNewFolderName("");
+    setNewFolderParent(parent);
     setError("");
     setIsCreateFolderModalOpen(true);
   }
@@ -646,14 +6031,15 @@ export default function App() {
     setNewFolderName("");
   }
 
-  function submitCreateFolder() {
-    const trimmedName = newFolderName.trim();
+  async function submitCreateFolder() {
+    const trimmedName = joinFolderPath(newFolderParent, newFolderName);
 
-    if (!trimmedName) {
+    if (!newFolderName.trim() || !trimmedName) {
       setError("Please enter a folder name.");
       return;
     }
 
+    const snapshot = snapshotFolderState();
     setFolders((previous) => {
       if (previous.includes(trimmedName)) {
         return previous;
@@ -667,9 +6053,324 @@ export default function App() {
 
     setActiveTab(TABS.FOLDERS);
     setSelectedFolder(trimmedName);
-    setSelectedFolderPhotos([]);
+    folderPhotosFeed.clear();
     setError("");
     closeCreateFolderModal();
+
+    try {
+      await createFolder(trimmedName);
+    } catch (err) {
+      // Backends without a create endpoint make the folder on first upload,
+      // so a missing route is not a reason to throw the new folder away.
+      const status = err?.response?.status;
+      if (status === 404 || status === 405) {
+        return;
+      }
+      restoreFolderState(snapshot);
+      setError(
+        getBackendMessage(err) ||
+          "Could not create the folder. Please try again.",
+      );
+    }
+  }
+
+  function snapshotFolderState() {
+    return {
+      folders,
+      folderPhotoCounts,
+      selectedFolder,
+      allPhotos: allPhotosFeed.photos,
+      folderPhotos: folderPhotosFeed.photos,
+    };
+  }
+
+  function restoreFolderState(snapshot) {
+    setFolders(snapshot.folders);
+    setFolderPhotoCounts(snapshot.folderPhotoCounts);
+    setSelectedFolder(snapshot.selectedFolder);
+    allPhotosFeed.updatePhotos(snapshot.allPhotos);
+    folderPhotosFeed.updatePhotos(snapshot.folderPhotos);
+  }
+
+  // Applies a folder change locally first (applyOptimistic returns the folder
+  // that should stay open afterwards), then confirms it with the backend
+  // and puts the previous state back if the request fails.
+  async function runFolderMutation({
+    applyOptimistic,
+    request,
+    successTitle,
+    successMessage,
+    failureMessage,
+    refresh = refreshLibrary,
+  }) {
+    const snapshot = snapshotFolderState();
+    const nextSelectedFolder = applyOptimistic();
+    setFolderAction(null);
+    setError("");
+    setSuccess(null);
+
+    try {
+      await request();
+      showSuccess(successTitle, successMessage);
+    } catch (err) {
+      restoreFolderState(snapshot);
+      setError(getBackendMessage(err) || failureMessage);
+      return;
+    }
+
+    try {
+      await refresh(nextSelectedFolder);
+    } catch (err) {
+      setError("Could not refresh photos. Please try again.");
+    }
+  }
+
+  // Subfolders travel with their parent.
+  function renameFolderLocally(name, nextName) {
+    setFolders((previous) =>
+      Array.from(
+        new Set(
+          previous.map((folder) => replaceFolderPrefix(folder, name, nextName)),
+        ),
+      ),
+    );
+    setFolderPhotoCounts((previous) => {
+      const next = {};
+      Object.entries(previous).forEach(([folder, count]) => {
+        const key = replaceFolderPrefix(folder, name, nextName);
+        next[key] = (next[key] || 0) + count;
+      });
+      return next;
+    });
+    const moveFolderField = (items) =>
+      items.map((photo) =>
+        isInFolder(photo.folder, name)
+          ? {
+              ...photo,
+              folder: replaceFolderPrefix(photo.folder, name, nextName),
+            }
+          : photo,
+      );
+    allPhotosFeed.updatePhotos(moveFolderField);
+    folderPhotosFeed.updatePhotos(moveFolderField);
+    const nextSelectedFolder = selectedFolder
+      ? replaceFolderPrefix(selectedFolder, name, nextName)
+      : selectedFolder;
+    if (nextSelectedFolder !== selectedFolder) {
+      setSelectedFolder(nextSelectedFolder);
+    }
+    return nextSelectedFolder;
+  }
+
+  function removeFolderLocally(name, { deletePhotos }) {
+    setFolders((previous) =>
+      previous.filter((folder) => !isInFolder(folder, name)),
+    );
+    setFolderPhotoCounts((previous) => {
+      const next = { ...previous };
+      Object.keys(next).forEach((folder) => {
+        if (isInFolder(folder, name)) {
+          delete next[folder];
+        }
+      });
+      return next;
+    });
+    allPhotosFeed.updatePhotos((items) =>
+      deletePhotos
+        ? items.filter((photo) => !isInFolder(photo.folder, name))
+        : items.map((photo) =>
+            isInFolder(photo.folder, name) ? { ...photo, folder: "" } : photo,
+          ),
+    );
+    if (isInFolder(selectedFolder, name)) {
+      setSelectedFolder(null);
+      folderPhotosFeed.clear();
+      return null;
+    }
+    return selectedFolder;
+  }
+
+  function handleRenameFolder(name, nextName) {
+    if (folders.includes(nextName) || nextName in folderPhotoCounts) {
+      setError(`A folder named "${nextName}" already exists.`);
+      setFolderAction(null);
+      return;
+    }
+
+    runFolderMutation({
+      applyOptimistic: () => renameFolderLocally(name, nextName),
+      request: () => renameFolder(name, nextName),
+      successTitle: "Folder renamed",
+      successMessage: `Renamed "${name}" to "${nextName}".`,
+      failureMessage: "Could not rename the folder. Please try again.",
+    });
+  }
+
+  function handleMergeFolder(name, targetFolder) {
+    runFolderMutation({
+      applyOptimistic: () => renameFolderLocally(name, targetFolder),
+      request: () => mergeFolders(name, targetFolder),
+      successTitle: "Folders merged",
+      successMessage: `Merged "${name}" into "${targetFolder}".`,
+      failureMessage: "Could not merge the folders. Please try again.",
+    });
+  }
+
+  function handleDeleteFolder(name, photos) {
+    runFolderMutation({
+      applyOptimistic: () =>
+        removeFolderLocally(name, { deletePhotos: photos === "delete" }),
+      request: () => deleteFolder(name, { photos }),
+      successTitle: "Folder deleted",
+      successMessage:
+        photos === "delete"
+          ? `Deleted "${name}" and its photos.`
+          : `Deleted "${name}". Its photos are still in All Photos.`,
+      failureMessage: "Could not delete the folder. Please try again.",
+    });
+  }
+
+  // Caption and tags belong to the status; alt text to this attachment only.
+  async function handleSavePhotoDetails(photo, details) {
+    const caption = details.caption.trim();
+    const description = details.description.trim();
+    const tags = normalizeTags(details.tags);
+    const content = textToHtml(caption);
+    const applyDetails = (item) =>
+      item && getStatusKey(item) === getStatusKey(photo)
+        ? {
+            ...item,
+            content,
+            tags,
+            ...(item.id === photo.id ? { description } : {}),
+          }
+        : item;
+    const snapshot = snapshotFolderState();
+
+    allPhotosFeed.updatePhotos((items) => items.map(applyDetails));
+    folderPhotosFeed.updatePhotos((items) => items.map(applyDetails));
+    setActivePhoto(applyDetails);
+
+    try {
+      await updatePhotoDetails(photo, { caption, description, tags });
+    } catch (err) {
+      restoreFolderState(snapshot);
+      setActivePhoto(
+        (current) =>
+          [...snapshot.allPhotos, ...snapshot.folderPhotos].find(
+            (item) => item.id === current?.id,
+          ) || current,
+      );
+      throw err;
+    }
+  }
+
+  function openFolderPicker(photo, mode = PHOTO_TRANSFER_MODES.MOVE) {
+    setFolderPicker({ photo, mode });
+  }
+
+  // Counts the loaded photos that share a status, since move and copy act on
+  // the whole status rather than one attachment.
+  function countStatusPhotos(statusKey) {
+    const ids = new Set(
+      [...allPhotosFeed.photos, ...folderPhotosFeed.photos]
+        .filter((photo) => getStatusKey(photo) === statusKey)
+        .map((photo) => photo.id),
+    );
+    return Math.max(1, ids.size);
+  }
+
+  function handleTransferPhoto(photo, targetFolder, mode) {
+    setFolderPicker(null);
+    const statusKey = getStatusKey(photo);
+    if (!statusKey) {
+      setError("Could not move this image because id is missing.");
+      return;
+    }
+
+    const isMove = mode === PHOTO_TRANSFER_MODES.MOVE;
+    const sourceFolder = photo.folder || "";
+    const photoCount = countStatusPhotos(statusKey);
+
+    runFolderMutation({
+      applyOptimistic: () => {
+        setFolders((previous) =>
+          previous.includes(targetFolder)
+            ? previous
+            : [...previous, targetFolder],
+        );
+        setFolderPhotoCounts((previous) => {
+          const next = {
+            ...previous,
+            [targetFolder]: (previous[targetFolder] || 0) + photoCount,
+          };
+          if (isMove && sourceFolder && sourceFolder in next) {
+            next[sourceFolder] = Math.max(0, next[sourceFolder] - photoCount);
+          }
+          return next;
+        });
+
+        if (isMove) {
+          const moveToTarget = (items) =>
+            items.map((item) =>
+              getStatusKey(item) === statusKey
+                ? { ...item, folder: targetFolder }
+                : item,
+            );
+          allPhotosFeed.updatePhotos(moveToTarget);
+          if (selectedFolder && selectedFolder !== targetFolder) {
+            folderPhotosFeed.updatePhotos((items) =>
+              items.filter((item) => getStatusKey(item) !== statusKey),
+            );
+            if (activePhoto && getStatusKey(activePhoto) === statusKey) {
+              setActivePhoto(null);
+            }
+          } else {
+            folderPhotosFeed.updatePhotos(moveToTarget);
+          }
+          setActivePhoto((current) =>
+            current && getStatusKey(current) === statusKey
+              ? { ...current, folder: targetFolder }
+              : current,
+          );
+        }
+        return selectedFolder;
+      },
+      request: () =>
+        isMove
+          ? moveStatus(statusKey, targetFolder)
+          : copyStatus(statusKey, targetFolder),
+      successTitle: isMove ? "Moved" : "Copied",
+      successMessage: isMove
+        ? `Moved to "${targetFolder}".`
+        : `Copied to "${targetFolder}".`,
+      failureMessage: isMove
+        ? "Could not move this photo. Please try again."
+        : "Could not copy this photo. Please try again.",
+      // Only the feeds the photo left or joined change; a copy also adds a
+      // new status to All Photos.
+      refresh: () => {
+        const keys = new Set([
+          FOLDERS_QUERY_KEY,
+          getFeedQueryKey(getFolderFeedPath(targetFolder)),
+          isMove
+            ? getFeedQueryKey(getFolderFeedPath(sourceFolder))
+            : getFeedQueryKey("/statuses"),
+        ]);
+        return invalidateQueries((key) => keys.has(key));
+      },
+    });
+  }
+
+  function submitFolderAction(values) {
+    const { action, name } = folderAction;
+    if (action === FOLDER_ACTIONS.RENAME) {
+      handleRenameFolder(name, values.nextName);
+    } else if (action === FOLDER_ACTIONS.MERGE) {
+      handleMergeFolder(name, values.targetFolder);
+    } else {
+      handleDeleteFolder(name, values.photos);
+    }
   }
 
   async function handleFoldersTabClick() {
@@ -688,6 +6389,29 @@ export default function App() {
     }
   }
 
+  async function openFolder(name) {
+    if (!name) {
+      withViewTransition(() => {
+        setSelectedFolder(null);
+      });
+      return;
+    }
+
+    try {
+      setViewLoading(true);
+      setError("");
+      await fetchFolderPhotos(name);
+      setSelectedFolder(name);
+    } catch (err) {
+      setError(
+        getBackendMessage(err) ||
+          "Could not load this folder. Please try again.",
+      );
+    } finally {
+      setViewLoading(false);
+    }
+  }
+
   function withViewTransition(updateFn) {
     if (transitionTimeoutRef.current) {
       clearTimeout(transitionTimeoutRef.current);
@@ -705,8 +6429,15 @@ export default function App() {
       try {
         setLoading(true);
         setError("");
-        const response = await axios.get("/statuses");
-        setPhotos(normalizePhotos(response.data));
+        await Promise.all([
+          fetchAllPhotos(),
+          initialRoute.tab === TABS.FOLDERS
+            ? fetchFolders()
+            : Promise.resolve(),
+          initialRoute.folder
+            ? fetchFolderPhotos(initialRoute.folder)
+            : Promise.resolve(),
+        ]);
       } catch (err) {
         setError("Could not load photos. Please try again.");
       } finally {
@@ -714,36 +6445,79 @@ export default function App() {
       }
     }
 
-    fetchPhotos();
+    fetchPhotos();
+  }, []);
+
+  useEffect(
+    () =>
+      subscribeToQuery(FOLDERS_QUERY_KEY, () =>
+        loadFolderList().then(applyFolderList),
+      ),
+    [],
+  );
+
+  useEffect(() => {
+    function handleWindowPaste(event) {
+      pasteHandlerRef.current?.(event);
+    }
+
+    window.addEventListener("paste", handleWindowPaste);
+    return () => {
+      window.removeEventListener("paste", handleWindowPaste);
+    };
+  }, []);
+
+  useEffect(() => {
+    function handleWindowKeyDown(event) {
+      selectionKeyHandlerRef.current?.(event);
+    }
+
+    window.addEventListener("keydown", handleWindowKeyDown);
+    return () => {
+      window.removeEventListener("keydown", handleWindowKeyDown);
+    };
   }, []);
 
   useEffect(() => {
-    window.history.replaceState({ tab: TABS.ALL_PHOTOS, folder: null }, "");
+    setIsSelecting(false);
+    setSelectedPhotoIds(new Set());
+    selectionAnchorRef.current = null;
+  }, [activeTab, selectedFolder]);
+
+  useEffect(() => {
+    window.history.replaceState(initialRoute, "", buildPath(initialRoute));
   }, []);
 
   useEffect(() => {
-    function handlePopState(event) {
-      const state = event.state || {};
-      const nextTab = state.tab || TABS.ALL_PHOTOS;
-      const nextFolder = state.folder || null;
+    function handlePopState() {
+      const route = parseLocation(window.location);
+      const nextTab = route.tab;
+      const nextFolder = route.folder;
 
       popStateRef.current = true;
       setActiveTab(nextTab);
       setSelectedFolder(nextFolder);
+      setPhotoFilters(route.filters);
       setActivePhoto(null);
+      photoLookupPagesRef.current = 0;
+      setPendingPhoto(getPendingPhoto(route));
 
       async function syncFromHistory() {
         try {
           if (nextTab === TABS.FOLDERS) {
+            setViewLoading(true);
             await fetchFolders();
             if (nextFolder) {
               await fetchFolderPhotos(nextFolder);
             } else {
-              setSelectedFolderPhotos([]);
+              folderPhotosFeed.clear();
             }
           }
+        } catch (err) {
+          setError("Could not load this view. Please try again.");
         } finally {
           popStateRef.current = false;
+          setViewLoading(false);
         }
       }
 
@@ -757,27 +6531,46 @@ export default function App() {
   }, []);
 
   useEffect(() => {
-    if (popStateRef.current) {
+    if (popStateRef.current || pendingPhoto) {
       return;
     }
-    const currentState = window.history.state || {};
     const nextState = {
       tab: activeTab,
       folder: selectedFolder || null,
+      ...getPhotoRoute(activePhoto),
+      filters: photoFilters,
     };
+    const nextPath = buildPath(nextState);
+
+    if (getCurrentPath() === nextPath) {
+      return;
+    }
 
+    // Stepping through the lightbox and editing filters replace the entry
+    // instead of stacking one history entry per photo or keystroke.
+    const currentState = window.history.state;
+    const isSameView =
+      currentState?.tab === nextState.tab &&
+      (currentState?.folder || null) === nextState.folder &&
+      (currentState?.photoStatusId || null) === nextState.photoStatusId;
     if (
-      currentState.tab === nextState.tab &&
-      currentState.folder === nextState.folder
+      isSameView ||
+      (nextState.photoStatusId && currentState?.photoStatusId)
     ) {
+      window.history.replaceState(nextState, "", nextPath);
       return;
     }
 
-    window.history.pushState(nextState, "");
-  }, [activeTab, selectedFolder]);
+    window.history.pushState(nextState, "", nextPath);
+  }, [activeTab, selectedFolder, activePhoto?.id, pendingPhoto, photoFilters]);
 
   const folderCounts = useMemo(() => {
     const counts = { ...folderPhotoCounts };
+    trash.forEach(({ photo }) => {
+      if (counts[photo.folder] > 0) {
+        counts[photo.folder] -= 1;
+      }
+    });
     photos.forEach((photo) => {
       const folderName =
         typeof photo.folder === "string" ? photo.folder.trim() : "";
@@ -792,43 +6585,157 @@ export default function App() {
       }
     });
     return counts;
-  }, [folderPhotoCounts, photos, folders]);
+  }, [folderPhotoCounts, photos, folders, trash]);
 
-  const filteredAllPhotos = useMemo(() => photos, [photos]);
+  const visibleSubfolders = useMemo(
+    () => getSubfolders(folderCounts, selectedFolder),
+    [folderCounts, selectedFolder],
+  );
+
+  const filteredAllPhotos = useMemo(
+    () => filterAndSortPhotos(photos, photoFilters),
+    [photos, photoFilters],
+  );
 
   const filteredFolderPhotos = useMemo(() => {
     if (!selectedFolder) {
       return [];
     }
 
-    return selectedFolderPhotos;
-  }, [selectedFolder, selectedFolderPhotos]);
+    // The folder view is already scoped, so the folder filter does not apply.
+    return filterAndSortPhotos(selectedFolderPhotos, {
+      ...photoFilters,
+      folder: "",
+    });
+  }, [selectedFolder, selectedFolderPhotos, photoFilters]);
+
+  const timelinePhotos = useMemo(
+    () =>
+      sortPhotosByDate(filteredAllPhotos, {
+        oldestFirst: photoFilters.sort === SORT_ORDERS.OLDEST,
+      }),
+    [filteredAllPhotos, photoFilters.sort],
+  );
+
+  const fileTypeOptions = useMemo(
+    () =>
+      getFileTypeOptions(
+        activeTab === TABS.FOLDERS ? selectedFolderPhotos : photos,
+      ),
+    [activeTab, photos, selectedFolderPhotos],
+  );
+
+  function renderFolderCard(folder) {
+    return (
+      <FolderCard
+        key={folder.path}
+        name={folder.name}
+        count={folder.count}
+        subfolderCount={folder.subfolderCount}
+        isDarkMode={isDarkMode}
+        onDropFiles={(files) => uploadToFolder(files, folder.path)}
+        onRename={() =>
+          setFolderAction({ action: FOLDER_ACTIONS.RENAME, name: folder.path })
+        }
+        onMerge={() =>
+          setFolderAction({ action: FOLDER_ACTIONS.MERGE, name: folder.path })
+        }
+        onDelete={() =>
+          setFolderAction({ action: FOLDER_ACTIONS.DELETE, name: folder.path })
+        }
+        onShare={() =>
+          setShareTarget({ type: SHARE_TYPES.FOLDER, folder: folder.path })
+        }
+        onClick={() => openFolder(folder.path)}
+      />
+    );
+  }
 
   const isBusy = loading || viewLoading;
   const currentVisiblePhotos =
     activeTab === TABS.FOLDERS && selectedFolder
       ? filteredFolderPhotos
-      : filteredAllPhotos;
+      : activeTab === TABS.TIMELINE
+        ? timelinePhotos
+        : filteredAllPhotos;
   const activePhotoIndex = activePhoto
     ? currentVisiblePhotos.findIndex((photo) => photo.id === activePhoto.id)
     : -1;
 
-  function showPreviousPhoto() {
-    if (activePhotoIndex <= 0) {
+  const visibleFeed =
+    activeTab === TABS.FOLDERS && selectedFolder
+      ? folderPhotosFeed
+      : allPhotosFeed;
+  const shouldPrefetchNextPage =
+    activePhotoIndex >= 0 &&
+    activePhotoIndex >= currentVisiblePhotos.length - 3 &&
+    Boolean(visibleFeed.paging.next);
+
+  // Keep the lightbox able to step past the last loaded photo.
+  useEffect(() => {
+    if (shouldPrefetchNextPage) {
+      visibleFeed.loadMore();
+    }
+  }, [shouldPrefetchNextPage, activePhoto]);
+
+  // Filters and sorting run here rather than on the backend, so once either
+  // is in use the rest of the feed is fetched for them to see every photo.
+  const isPhotoGridTab =
+    activeTab === TABS.ALL_PHOTOS ||
+    activeTab === TABS.TIMELINE ||
+    (activeTab === TABS.FOLDERS && Boolean(selectedFolder));
+  const shouldLoadWholeFeed =
+    isPhotoGridTab &&
+    !isBusy &&
+    (hasActiveFilters(photoFilters) ||
+      photoFilters.sort !== SORT_ORDERS.NEWEST) &&
+    Boolean(visibleFeed.paging.next) &&
+    !visibleFeed.paging.error;
+
+  useEffect(() => {
+    if (shouldLoadWholeFeed) {
+      visibleFeed.loadAll().catch(() => {});
+    }
+  }, [shouldLoadWholeFeed, visibleFeed.paging.next]);
+
+  // Opens the lightbox for a /photo/:statusId route once that photo is loaded,
+  // paging further into the feed a few times if it is not on the first page.
+  useEffect(() => {
+    if (!pendingPhoto || isBusy) {
+      return;
+    }
+
+    const match = currentVisiblePhotos.find(
+      (photo) =>
+        getStatusKey(photo) === pendingPhoto.statusId &&
+        (!pendingPhoto.attachmentId ||
+          photo.attachmentId === pendingPhoto.attachmentId),
+    );
+    if (match) {
+      photoLookupPagesRef.current = 0;
+      setActivePhoto(match);
+      setPendingPhoto(null);
+      return;
+    }
+
+    if (visibleFeed.paging.isLoading) {
       return;
     }
-    setActivePhoto(currentVisiblePhotos[activePhotoIndex - 1]);
-  }
 
-  function showNextPhoto() {
     if (
-      activePhotoIndex < 0 ||
-      activePhotoIndex >= currentVisiblePhotos.length - 1
+      visibleFeed.paging.next &&
+      !visibleFeed.paging.error &&
+      photoLookupPagesRef.current < MAX_PHOTO_LOOKUP_PAGES
     ) {
+      photoLookupPagesRef.current += 1;
+      visibleFeed.loadMore();
       return;
     }
-    setActivePhoto(currentVisiblePhotos[activePhotoIndex + 1]);
-  }
+
+    photoLookupPagesRef.current = 0;
+    setPendingPhoto(null);
+    setError("That photo could not be found.");
+  }, [pendingPhoto, isBusy, currentVisiblePhotos, visibleFeed.paging]);
 
   return (
     <div
@@ -867,10 +6774,38 @@ export default function App() {
                 <MoonIcon className="h-5 w-5" />
               )}
             </button>
+            <button
+              type="button"
+              onClick={() => setIsUploadSettingsOpen(true)}
+              className={`border-2 px-4 py-3 text-sm font-semibold uppercase tracking-wide ${
+                isDarkMode
+                  ? "border-[#d0d0d0] text-[#f2f2f2] hover:bg-[#3b3b3b]"
+                  : "border-black text-black hover:bg-[#ececec]"
+              }`}
+            >
+              Settings
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsShareLinksOpen(true)}
+              className={`border-2 px-4 py-3 text-sm font-semibold uppercase tracking-wide ${
+                isDarkMode
+                  ? "border-[#d0d0d0] text-[#f2f2f2] hover:bg-[#3b3b3b]"
+                  : "border-black text-black hover:bg-[#ececec]"
+              }`}
+            >
+              Links
+            </button>
+            <OfflineStatus
+              isOnline={offlineQueue.isOnline}
+              pendingCount={offlineQueue.pendingCount}
+              onReplay={offlineQueue.replay}
+              isDarkMode={isDarkMode}
+            />
             <input
               ref={fileInputRef}
               type="file"
-              accept="image/*"
+              accept={UPLOAD_ACCEPT}
               multiple
               onChange={handleFileChange}
               className="hidden"
@@ -886,6 +6821,13 @@ export default function App() {
             >
               Upload
             </button>
+            {user ? (
+              <UserMenu
+                user={user}
+                onSignOut={onSignOut}
+                isDarkMode={isDarkMode}
+              />
+            ) : null}
           </div>
         </div>
       </header>
@@ -920,6 +6862,26 @@ export default function App() {
               >
                 All Photos
               </button>
+              <button
+                type="button"
+                onClick={() => {
+                  withViewTransition(() => {
+                    setActiveTab(TABS.TIMELINE);
+                    setSelectedFolder(null);
+                  });
+                }}
+                className={`border-2 border-black px-5 py-2 text-sm font-semibold uppercase tracking-wide transition ${
+                  activeTab === TABS.TIMELINE
+                    ? isDarkMode
+                      ? "border-[#d6d6d6] bg-[#d6d6d6] text-[#2b2b2b]"
+                      : "bg-black text-white"
+                    : isDarkMode
+                      ? "border-[#d6d6d6] bg-[#3d3d3d] text-[#f2f2f2]"
+                      : "bg-white text-black"
+                }`}
+              >
+                Timeline
+              </button>
               <button
                 type="button"
                 onClick={() => {
@@ -937,44 +6899,224 @@ export default function App() {
               >
                 Folders
               </button>
+              <button
+                type="button"
+                onClick={() => {
+                  withViewTransition(() => {
+                    setActiveTab(TABS.DUPLICATES);
+                    setSelectedFolder(null);
+                  });
+                }}
+                className={`border-2 border-black px-5 py-2 text-sm font-semibold uppercase tracking-wide transition ${
+                  activeTab === TABS.DUPLICATES
+                    ? isDarkMode
+                      ? "border-[#d6d6d6] bg-[#d6d6d6] text-[#2b2b2b]"
+                      : "bg-black text-white"
+                    : isDarkMode
+                      ? "border-[#d6d6d6] bg-[#3d3d3d] text-[#f2f2f2]"
+                      : "bg-white text-black"
+                }`}
+              >
+                Duplicates
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  withViewTransition(() => {
+                    setActiveTab(TABS.TRASH);
+                    setSelectedFolder(null);
+                  });
+                }}
+                className={`border-2 border-black px-5 py-2 text-sm font-semibold uppercase tracking-wide transition ${
+                  activeTab === TABS.TRASH
+                    ? isDarkMode
+                      ? "border-[#d6d6d6] bg-[#d6d6d6] text-[#2b2b2b]"
+                      : "bg-black text-white"
+                    : isDarkMode
+                      ? "border-[#d6d6d6] bg-[#3d3d3d] text-[#f2f2f2]"
+                      : "bg-white text-black"
+                }`}
+              >
+                Trash{trash.length ? ` (${trash.length})` : ""}
+              </button>
             </nav>
           </div>
 
           <ErrorAlert message={error} />
-          <SuccessAlert message={successMessage} />
+          <ActionFailuresAlert
+            title={actionFailures?.title}
+            failures={actionFailures?.failures}
+            onDismiss={() => setActionFailures(null)}
+          />
+          <SuccessAlert title={success?.title} message={success?.message} />
+          <DataIssuesNotice
+            count={dataIssueCount}
+            onDismiss={() => setDataIssueCount(0)}
+            isDarkMode={isDarkMode}
+          />
           {isBusy ? <ViewLoader /> : null}
 
-          {!isBusy && !error && activeTab === TABS.ALL_PHOTOS ? (
-            <PhotoGrid
-              photos={filteredAllPhotos}
-              emptyMessage="No photos found."
-              onPhotoClick={setActivePhoto}
-              onDeletePhoto={handleDeletePhoto}
+          {!isBusy && !error && activeTab === TABS.DUPLICATES ? (
+            <DuplicatesView
+              photos={photos}
+              ownerId={user?.id}
+              onKeep={handleKeepDuplicate}
+              footer={
+                photos.length ? (
+                  <LoadMoreFooter
+                    paging={allPhotosFeed.paging}
+                    itemCount={allPhotosFeed.photos.length}
+                    onLoadMore={allPhotosFeed.loadMore}
+                    isDarkMode={isDarkMode}
+                  />
+                ) : null
+              }
               isDarkMode={isDarkMode}
             />
           ) : null}
 
+          {!isBusy && !error && activeTab === TABS.TRASH ? (
+            <TrashView
+              entries={trash}
+              onRestore={handleRestoreFromTrash}
+              onDelete={purgeTrash}
+              isBusy={isPurgingTrash}
+              isDarkMode={isDarkMode}
+            />
+          ) : null}
+
+          {!isBusy && !error && activeTab === TABS.ALL_PHOTOS ? (
+            <>
+              <PhotoFilterBar
+                filters={photoFilters}
+                onChange={setPhotoFilters}
+                folders={Object.keys(folderCounts)}
+                typeOptions={fileTypeOptions}
+                matchCount={filteredAllPhotos.length}
+                totalCount={photos.length}
+                isComplete={!allPhotosFeed.paging.next}
+                isDarkMode={isDarkMode}
+              />
+              <SelectionToolbar
+                isSelecting={isSelecting}
+                selectedCount={selectedPhotoIds.size}
+                totalCount={currentVisiblePhotos.length}
+                folders={Object.keys(folderCounts)}
+                busyAction={bulkAction}
+                onStart={startSelecting}
+                onSelectAll={selectAllVisible}
+                onClear={() => setSelectedPhotoIds(new Set())}
+                onDownload={handleBulkDownload}
+                onMove={handleBulkMove}
+                onDelete={handleBulkDelete}
+                onExit={exitSelecting}
+                isDarkMode={isDarkMode}
+              />
+              <PhotoGrid
+                photos={filteredAllPhotos}
+                emptyMessage={
+                  photos.length && hasActiveFilters(photoFilters)
+                    ? "No photos match these filters."
+                    : "No photos found."
+                }
+                onPhotoClick={setActivePhoto}
+                onDeletePhoto={handleDeletePhoto}
+                onMoveCopyPhoto={openFolderPicker}
+                onDropFiles={uploadToLibrary}
+                isSelecting={isSelecting}
+                selectedIds={selectedPhotoIds}
+                onToggleSelect={handleToggleSelect}
+                activePhotoId={activePhoto?.id}
+                isDarkMode={isDarkMode}
+              />
+              {photos.length ? (
+                <LoadMoreFooter
+                  paging={allPhotosFeed.paging}
+                  itemCount={allPhotosFeed.photos.length}
+                  onLoadMore={allPhotosFeed.loadMore}
+                  isDarkMode={isDarkMode}
+                />
+              ) : null}
+            </>
+          ) : null}
+
+          {!isBusy && !error && activeTab === TABS.TIMELINE ? (
+            <>
+              <PhotoFilterBar
+                filters={photoFilters}
+                onChange={setPhotoFilters}
+                sortOrders={[SORT_ORDERS.NEWEST, SORT_ORDERS.OLDEST]}
+                folders={Object.keys(folderCounts)}
+                typeOptions={fileTypeOptions}
+                matchCount={timelinePhotos.length}
+                totalCount={photos.length}
+                isComplete={!allPhotosFeed.paging.next}
+                isDarkMode={isDarkMode}
+              />
+              <SelectionToolbar
+                isSelecting={isSelecting}
+                selectedCount={selectedPhotoIds.size}
+                totalCount={currentVisiblePhotos.length}
+                folders={Object.keys(folderCounts)}
+                busyAction={bulkAction}
+                onStart={startSelecting}
+                onSelectAll={selectAllVisible}
+                onClear={() => setSelectedPhotoIds(new Set())}
+                onDownload={handleBulkDownload}
+                onMove={handleBulkMove}
+                onDelete={handleBulkDelete}
+                onExit={exitSelecting}
+                isDarkMode={isDarkMode}
+              />
+              <PhotoTimeline
+                photos={timelinePhotos}
+                paging={allPhotosFeed.paging}
+                onLoadMore={allPhotosFeed.loadMore}
+                emptyMessage={
+                  photos.length && hasActiveFilters(photoFilters)
+                    ? "No photos match these filters."
+                    : "No photos found."
+                }
+                onPhotoClick={setActivePhoto}
+                onDeletePhoto={handleDeletePhoto}
+                onMoveCopyPhoto={openFolderPicker}
+                onDropFiles={uploadToLibrary}
+                isSelecting={isSelecting}
+                selectedIds={selectedPhotoIds}
+                onToggleSelect={handleToggleSelect}
+                activePhotoId={activePhoto?.id}
+                isDarkMode={isDarkMode}
+              />
+              {photos.length ? (
+                <LoadMoreFooter
+                  paging={allPhotosFeed.paging}
+                  itemCount={allPhotosFeed.photos.length}
+                  onLoadMore={allPhotosFeed.loadMore}
+                  isDarkMode={isDarkMode}
+                />
+              ) : null}
+            </>
+          ) : null}
+
           {!isBusy && !error && activeTab === TABS.FOLDERS ? (
             <div className="space-y-6">
               {selectedFolder ? (
                 <div className="flex flex-wrap items-center justify-between gap-3">
-                  <h2 className="text-2xl font-semibold">
-                    Folder: {selectedFolder}
-                  </h2>
+                  <FolderBreadcrumbs
+                    folder={selectedFolder}
+                    onNavigate={openFolder}
+                    isDarkMode={isDarkMode}
+                  />
                   <button
                     type="button"
-                    onClick={() => {
-                      withViewTransition(() => {
-                        setSelectedFolder(null);
-                      });
-                    }}
+                    onClick={() => handleCreateFolder(selectedFolder)}
                     className={`border-2 px-4 py-2 text-sm font-semibold uppercase tracking-wide ${
                       isDarkMode
                         ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b] hover:bg-transparent hover:text-[#f2f2f2]"
                         : "border-black bg-black text-white"
                     }`}
                   >
-                    Back to Folders
+                    New Subfolder
                   </button>
                 </div>
               ) : (
@@ -984,7 +7126,7 @@ export default function App() {
                   </h2>
                   <button
                     type="button"
-                    onClick={handleCreateFolder}
+                    onClick={() => handleCreateFolder()}
                     className={`border-2 px-4 py-2 text-sm font-semibold uppercase tracking-wide ${
                       isDarkMode
                         ? "border-[#d0d0d0] bg-[#d0d0d0] text-[#2b2b2b] hover:bg-transparent hover:text-[#f2f2f2]"
@@ -998,11 +7140,16 @@ export default function App() {
 
               {selectedFolder ? (
                 <div className="space-y-4">
+                  {visibleSubfolders.length ? (
+                    <section className="grid grid-cols-1 gap-5 md:grid-cols-2 xl:grid-cols-3">
+                      {visibleSubfolders.map(renderFolderCard)}
+                    </section>
+                  ) : null}
                   <div>
                     <input
                       ref={folderFileInputRef}
                       type="file"
-                      accept="image/*"
+                      accept={UPLOAD_ACCEPT}
                       multiple
                       onChange={handleFolderFileChange}
                       className="hidden"
@@ -1018,43 +7165,85 @@ export default function App() {
                     >
                       Upload To Folder
                     </button>
+                    <button
+                      type="button"
+                      onClick={handleFolderDownload}
+                      disabled={
+                        !filteredFolderPhotos.length ||
+                        Boolean(archiveJob) ||
+                        isCollectingFolder
+                      }
+                      className={`ml-3 border-2 px-4 py-2 text-sm font-semibold uppercase tracking-wide disabled:cursor-not-allowed disabled:opacity-40 ${
+                        isDarkMode
+                          ? "border-[#d0d0d0] text-[#f2f2f2] hover:bg-[#4a4a4a]"
+                          : "border-black bg-white text-black hover:bg-black hover:text-white"
+                      }`}
+                    >
+                      {isCollectingFolder
+                        ? "Loading Photos…"
+                        : "Download Folder"}
+                    </button>
                   </div>
+                  <PhotoFilterBar
+                    filters={photoFilters}
+                    onChange={setPhotoFilters}
+                    typeOptions={fileTypeOptions}
+                    matchCount={filteredFolderPhotos.length}
+                    totalCount={selectedFolderPhotos.length}
+                    isComplete={!folderPhotosFeed.paging.next}
+                    isDarkMode={isDarkMode}
+                  />
+                  <SelectionToolbar
+                    isSelecting={isSelecting}
+                    selectedCount={selectedPhotoIds.size}
+                    totalCount={currentVisiblePhotos.length}
+                    folders={Object.keys(folderCounts).filter(
+                      (folder) => folder !== selectedFolder,
+                    )}
+                    busyAction={bulkAction}
+                    onStart={startSelecting}
+                    onSelectAll={selectAllVisible}
+                    onClear={() => setSelectedPhotoIds(new Set())}
+                    onDownload={handleBulkDownload}
+                    onMove={handleBulkMove}
+                    onDelete={handleBulkDelete}
+                    onExit={exitSelecting}
+                    isDarkMode={isDarkMode}
+                  />
                   <PhotoGrid
                     photos={filteredFolderPhotos}
-                    emptyMessage="No photos found in this folder."
+                    emptyMessage={
+                      selectedFolderPhotos.length &&
+                      hasActiveFilters(photoFilters)
+                        ? "No photos match these filters."
+                        : visibleSubfolders.length
+                          ? "No photos directly in this folder."
+                          : "No photos found in this folder."
+                    }
                     onPhotoClick={setActivePhoto}
                     onDeletePhoto={handleDeletePhoto}
+                    onMoveCopyPhoto={openFolderPicker}
+                    onDropFiles={(files) =>
+                      uploadToFolder(files, selectedFolder)
+                    }
+                    isSelecting={isSelecting}
+                    selectedIds={selectedPhotoIds}
+                    onToggleSelect={handleToggleSelect}
+                    activePhotoId={activePhoto?.id}
                     isDarkMode={isDarkMode}
                   />
+                  {selectedFolderPhotos.length ? (
+                    <LoadMoreFooter
+                      paging={folderPhotosFeed.paging}
+                      itemCount={folderPhotosFeed.photos.length}
+                      onLoadMore={folderPhotosFeed.loadMore}
+                      isDarkMode={isDarkMode}
+                    />
+                  ) : null}
                 </div>
               ) : (
                 <section className="grid grid-cols-1 gap-5 md:grid-cols-2 xl:grid-cols-3">
-                  {Object.entries(folderCounts).map(([name, count]) => (
-                    <FolderCard
-                      key={name}
-                      name={name}
-                      count={count}
-                      isDarkMode={isDarkMode}
-                      onClick={async () => {
-                        try {
-                          setViewLoading(true);
-                          setError("");
-                          await fetchFolderPhotos(name);
-                          setSelectedFolder(name);
-                        } catch (err) {
-                          const backendMessage =
-                            err?.response?.data?.message ||
-                            err?.response?.data?.error;
-                          setError(
-                            backendMessage ||
-                              "Could not load this folder. Please try again.",
-                          );
-                        } finally {
-                          setViewLoading(false);
-                        }
-                      }}
-                    />
-                  ))}
+                  {visibleSubfolders.map(renderFolderCard)}
                 </section>
               )}
             </div>
@@ -1062,6 +7251,108 @@ export default function App() {
         </section>
       </main>
 
+      <ArchiveProgressPanel
+        job={archiveJob}
+        onCancel={cancelArchive}
+        isDarkMode={isDarkMode}
+      />
+
+      <UploadQueuePanel
+        items={uploadItems}
+        onRetry={handleRetryUpload}
+        onCancel={(id) => getUploadQueue().cancel(id)}
+        onClear={() => getUploadQueue().clearFinished()}
+        isDarkMode={isDarkMode}
+      />
+
+      {duplicateWarning ? (
+        <DuplicateUploadModal
+          duplicates={duplicateWarning.duplicates}
+          totalCount={duplicateWarning.totalCount}
+          onChoose={(choice) => {
+            duplicateWarning.resolve(choice);
+            setDuplicateWarning(null);
+          }}
+          isDarkMode={isDarkMode}
+        />
+      ) : null}
+
+      {undoToast ? (
+        <UndoToast
+          message={undoToast.message}
+          onUndo={handleUndoDelete}
+          onDismiss={dismissUndoToast}
+          isDarkMode={isDarkMode}
+        />
+      ) : null}
+
+      {isUploadSettingsOpen ? (
+        <UploadSettingsModal
+          options={imageProcessing}
+          onChange={setImageProcessing}
+          onClose={() => setIsUploadSettingsOpen(false)}
+          isDarkMode={isDarkMode}
+        />
+      ) : null}
+
+      {pendingUpload ? (
+        <UploadDetailsModal
+          files={pendingUpload.files}
+          folder={pendingUpload.folder}
+          onSubmit={submitPendingUpload}
+          onClose={() => setPendingUpload(null)}
+          isDarkMode={isDarkMode}
+        />
+      ) : null}
+
+      {folderPicker ? (
+        <FolderPickerModal
+          photo={folderPicker.photo}
+          initialMode={folderPicker.mode}
+          folders={Object.keys(folderCounts)}
+          onSubmit={(folder, mode) =>
+            handleTransferPhoto(folderPicker.photo, folder, mode)
+          }
+          onClose={() => setFolderPicker(null)}
+          isDarkMode={isDarkMode}
+        />
+      ) : null}
+
+      {shareTarget ? (
+        <ShareLinkModal
+          target={shareTarget}
+          excludedPhotos={
+            shareTarget.type === SHARE_TYPES.FOLDER
+              ? trash
+                  .map((entry) => entry.photo)
+                  .filter((photo) =>
+                    isInFolder(photo.folder, shareTarget.folder),
+                  )
+              : []
+          }
+          onClose={() => setShareTarget(null)}
+          isDarkMode={isDarkMode}
+        />
+      ) : null}
+
+      {isShareLinksOpen ? (
+        <ShareLinksModal
+          onClose={() => setIsShareLinksOpen(false)}
+          isDarkMode={isDarkMode}
+        />
+      ) : null}
+
+      {folderAction ? (
+        <FolderManageModal
+          action={folderAction.action}
+          folderName={folderAction.name}
+          folders={Object.keys(folderCounts)}
+          onSubmit={submitFolderAction}
+          onClose={() => setFolderAction(null)}
+          isDarkMode={isDarkMode}
+        />
+      ) : null}
+
       {isCreateFolderModalOpen ? (
         <div
           className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 px-4"
@@ -1075,11 +7366,15 @@ export default function App() {
             }`}
             onClick={(event) => event.stopPropagation()}
           >
-            <h3 className="text-xl font-semibold">Create New Folder</h3>
+            <h3 className="text-xl font-semibold">
+              {newFolderParent ? "Create Subfolder" : "Create New Folder"}
+            </h3>
             <p
               className={`mt-2 text-sm ${isDarkMode ? "text-[#d8d8d8]" : "text-[#555555]"}`}
             >
-              Enter a folder name to continue.
+              {newFolderParent
+                ? `Enter a name for the new folder inside "${newFolderParent}".`
+                : "Enter a folder name to continue."}
             </p>
 
             <input
@@ -1131,101 +7426,70 @@ export default function App() {
         </div>
       ) : null}
       {activePhoto ? (
-        <div
-          role="button"
-          tabIndex={0}
-          onClick={() => setActivePhoto(null)}
-          onKeyDown={(event) => {
-            if (event.key === "Escape") {
-              setActivePhoto(null);
-            }
-            if (event.key === "ArrowLeft") {
-              showPreviousPhoto();
-            }
-            if (event.key === "ArrowRight") {
-              showNextPhoto();
-            }
-          }}
-          className="fixed inset-0 z-40 flex items-center justify-center bg-black/75 px-4 py-8"
-        >
-          <div
-            className={`relative w-full max-w-4xl overflow-hidden border-2 p-3 ${
-              isDarkMode
-                ? "border-[#cfcfcf] bg-[#343434]"
-                : "border-black bg-white"
-            }`}
-            onClick={(event) => event.stopPropagation()}
-          >
-            <button
-              type="button"
-              onClick={showPreviousPhoto}
-              disabled={activePhotoIndex <= 0}
-              className={`absolute left-4 top-1/2 z-10 -translate-y-1/2 border-2 px-3 py-2 text-sm font-semibold disabled:cursor-not-allowed disabled:opacity-40 ${
-                isDarkMode
-                  ? "border-[#d0d0d0] bg-[#4a4a4a] text-[#f2f2f2]"
-                  : "border-black bg-white"
-              }`}
-            >
-              Prev
-            </button>
-
-            <button
-              type="button"
-              onClick={showNextPhoto}
-              disabled={activePhotoIndex >= currentVisiblePhotos.length - 1}
-              className={`absolute right-4 top-1/2 z-10 -translate-y-1/2 border-2 px-3 py-2 text-sm font-semibold disabled:cursor-not-allowed disabled:opacity-40 ${
-                isDarkMode
-                  ? "border-[#d0d0d0] bg-[#4a4a4a] text-[#f2f2f2]"
-                  : "border-black bg-white"
-              }`}
-            >
-              Next
-            </button>
-
-            <img
-              src={activePhoto.url}
-              alt={`Photo ${activePhoto.id}`}
-              className="max-h-[78vh] w-full object-contain"
-            />
-            <div className="absolute bottom-6 right-6 flex items-center gap-3">
-              <DownloadButton url={activePhoto.url} isDarkMode={isDarkMode} />
+        <Lightbox
+          photo={activePhoto}
+          photos={currentVisiblePhotos}
+          onSelect={setActivePhoto}
+          onClose={() => setActivePhoto(null)}
+          isInfoOpen={isPhotoInfoOpen}
+          onToggleInfo={() => setIsPhotoInfoOpen((open) => !open)}
+          isDarkMode={isDarkMode}
+          actions={
+            <>
+              <button
+                type="button"
+                onClick={() =>
+                  setShareTarget({
+                    type: SHARE_TYPES.PHOTO,
+                    statusId: activePhoto.statusId,
+                    attachmentId: activePhoto.attachmentId,
+                  })
+                }
+                disabled={!activePhoto.statusId}
+                className={`border-2 px-3 py-2 text-xs font-semibold uppercase tracking-wide disabled:cursor-not-allowed disabled:opacity-40 ${
+                  isDarkMode
+                    ? "border-[#d0d0d0] bg-[#4a4a4a] text-[#f2f2f2]"
+                    : "border-black bg-white text-black"
+                }`}
+              >
+                Share
+              </button>
+              {Object.values(PHOTO_TRANSFER_MODES).map((mode) => (
+                <button
+                  key={mode}
+                  type="button"
+                  onClick={() => openFolderPicker(activePhoto, mode)}
+                  className={`border-2 px-3 py-2 text-xs font-semibold uppercase tracking-wide ${
+                    isDarkMode
+                      ? "border-[#d0d0d0] bg-[#4a4a4a] text-[#f2f2f2]"
+                      : "border-black bg-white text-black"
+                  }`}
+                >
+                  {mode === PHOTO_TRANSFER_MODES.MOVE ? "Move to…" : "Copy to…"}
+                </button>
+              ))}
               <PhotoActionButton
                 onClick={() => handleDeletePhoto(activePhoto)}
-                ariaLabel={
-                  deletingPhotoId === activePhoto.id
-                    ? "Deleting photo"
-                    : "Delete photo"
-                }
-                title={
-                  deletingPhotoId === activePhoto.id ? "Deleting" : "Delete"
-                }
-                disabled={deletingPhotoId === activePhoto.id}
+                ariaLabel="Move photo to trash"
+                title="Move to trash"
                 className={
                   isDarkMode
                     ? "border-red-300 bg-red-300 text-[#2a2a2a] hover:bg-transparent hover:text-red-200"
                     : "border-red-700 bg-red-700 text-white hover:bg-white hover:text-red-700"
                 }
               >
-                {deletingPhotoId === activePhoto.id ? (
-                  <span className="h-4 w-4 animate-spin rounded-full border-2 border-current border-t-transparent" />
-                ) : (
-                  <TrashIcon className="h-4 w-4" />
-                )}
+                <TrashIcon className="h-4 w-4" />
               </PhotoActionButton>
-              <button
-                type="button"
-                onClick={() => setActivePhoto(null)}
-                className={`border-2 px-4 py-2 text-xs font-semibold uppercase tracking-wide ${
-                  isDarkMode
-                    ? "border-[#d0d0d0] bg-[#4a4a4a] text-[#f2f2f2]"
-                    : "border-black bg-white text-black"
-                }`}
-              >
-                Close
-              </button>
-            </div>
-          </div>
-        </div>
+            </>
+          }
+          details={
+            <PhotoDetailsPanel
+              photo={activePhoto}
+              onSave={handleSavePhotoDetails}
+              isDarkMode={isDarkMode}
+            />
+          }
+        />
       ) : null}
     </div>
   );
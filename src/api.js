@@ -0,0 +1,278 @@
+import axios from "axios";
+
+export function getBackendMessage(err) {
+  return err?.response?.data?.message || err?.response?.data?.error || "";
+}
+
+// Same idea as the upload fallback chain: try "/api/..." first, then the bare path.
+export async function requestWithFallback(method, endpoints, data, config) {
+  let lastError = null;
+
+  for (const endpoint of endpoints) {
+    try {
+      return await axios.request({ ...config, method, url: endpoint, data });
+    } catch (err) {
+      lastError = err;
+      if (axios.isCancel(err)) {
+        break;
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+export function deleteStatus(statusId) {
+  return axios.delete(`/delete/${encodeURIComponent(statusId)}`);
+}
+
+// The id the status routes take. Statuses listed without an id of their own
+// are addressed by their attachment's id, as `/delete/:id` has always been.
+export function getStatusKey(photo) {
+  return photo?.statusId || photo?.attachmentId || "";
+}
+
+// The backend only removes whole statuses unless it is given a route for
+// single attachments, e.g. "/delete/:statusId/:attachmentId".
+const ATTACHMENT_DELETE_PATH =
+  import.meta.env.VITE_ATTACHMENT_DELETE_PATH || "";
+
+export function canDeleteAttachments() {
+  return Boolean(ATTACHMENT_DELETE_PATH);
+}
+
+export function deleteAttachment(statusId, attachmentId) {
+  const path = ATTACHMENT_DELETE_PATH.replace(
+    ":statusId",
+    encodeURIComponent(statusId),
+  ).replace(":attachmentId", encodeURIComponent(attachmentId));
+  return axios.delete(path);
+}
+
+function canDeleteAttachmentOf(photo) {
+  return Boolean(
+    canDeleteAttachments() &&
+    photo.statusId &&
+    photo.attachmentId &&
+    photo.attachmentCount > 1,
+  );
+}
+
+// Removes one attachment from a multi-image status when the backend can;
+// otherwise the whole status goes, as it does with its last photo.
+export function deletePhoto(photo) {
+  if (canDeleteAttachmentOf(photo)) {
+    return deleteAttachment(photo.statusId, photo.attachmentId);
+  }
+  if (getStatusKey(photo)) {
+    return deleteStatus(getStatusKey(photo));
+  }
+  return Promise.reject(new Error("Photo id is missing."));
+}
+
+async function deleteStatusPhotos(photos) {
+  const [first] = photos;
+  const selectsWholeStatus =
+    photos.length >= first.attachmentCount ||
+    photos.some((photo) => !canDeleteAttachmentOf(photo));
+  if (selectsWholeStatus) {
+    await deleteStatus(getStatusKey(first));
+    return photos.map((photo) => ({ photo, error: null }));
+  }
+
+  // One at a time, so the backend never edits the same status concurrently.
+  const results = [];
+  for (const photo of photos) {
+    try {
+      await deleteAttachment(photo.statusId, photo.attachmentId);
+      results.push({ photo, error: null });
+    } catch (err) {
+      results.push({ photo, error: err });
+    }
+  }
+  return results;
+}
+
+// Like `runForStatuses`, but only deletes a whole status when every one of
+// its photos was picked.
+export async function deletePhotos(photos) {
+  const groups = new Map();
+  photos.forEach((photo) => {
+    const key = getStatusKey(photo) || photo.id;
+    groups.set(key, [...(groups.get(key) || []), photo]);
+  });
+
+  const settled = await Promise.allSettled(
+    Array.from(groups.values()).map((group) =>
+      getStatusKey(group[0])
+        ? deleteStatusPhotos(group)
+        : deletePhoto(group[0]).then(() => [{ photo: group[0], error: null }]),
+    ),
+  );
+
+  const errorsById = new Map();
+  Array.from(groups.values()).forEach((group, index) => {
+    const result = settled[index];
+    if (result.status === "rejected") {
+      group.forEach((photo) => errorsById.set(photo.id, result.reason));
+    } else {
+      result.value.forEach(({ photo, error }) =>
+        errorsById.set(photo.id, error),
+      );
+    }
+  });
+
+  return photos.map((photo) => ({
+    photo,
+    error: errorsById.get(photo.id) || null,
+  }));
+}
+
+export function moveStatus(statusId, folder) {
+  const encodedId = encodeURIComponent(statusId);
+  return requestWithFallback(
+    "post",
+    [`/api/move/${encodedId}`, `/move/${encodedId}`],
+    { folder },
+  );
+}
+
+export function copyStatus(statusId, folder) {
+  const encodedId = encodeURIComponent(statusId);
+  return requestWithFallback(
+    "post",
+    [`/api/copy/${encodedId}`, `/copy/${encodedId}`],
+    { folder },
+  );
+}
+
+// Mastodon-style status edit: the caption is the status text and the alt
+// text belongs to the attachment being shown.
+export function updatePhotoDetails(photo, { caption, description, tags }) {
+  const encodedId = encodeURIComponent(getStatusKey(photo));
+  return requestWithFallback(
+    "put",
+    [`/api/statuses/${encodedId}`, `/statuses/${encodedId}`],
+    {
+      status: caption,
+      tags,
+      media_attributes: photo.attachmentId
+        ? [{ id: photo.attachmentId, description }]
+        : [],
+      description,
+    },
+  );
+}
+
+// Runs one request per unique status and reports each photo's outcome, since
+// several photos can belong to the same multi-image status.
+export async function runForStatuses(photos, action) {
+  const statusIds = Array.from(
+    new Set(photos.map(getStatusKey).filter(Boolean)),
+  );
+  const results = await Promise.allSettled(statusIds.map(action));
+  const errorsByStatus = new Map();
+
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      errorsByStatus.set(statusIds[index], result.reason);
+    }
+  });
+
+  return photos.map((photo) => {
+    const statusKey = getStatusKey(photo);
+    if (!statusKey) {
+      return { photo, error: new Error("Photo id is missing.") };
+    }
+    return { photo, error: errorsByStatus.get(statusKey) || null };
+  });
+}
+
+function folderEndpoints(name, suffix = "") {
+  const encodedName = encodeURIComponent(name);
+  return [
+    `/api/folder/${encodedName}${suffix}`,
+    `/folder/${encodedName}${suffix}`,
+  ];
+}
+
+export function createFolder(name) {
+  return requestWithFallback("post", ["/api/folder", "/folder"], {
+    folderName: name,
+  });
+}
+
+export function renameFolder(name, nextName) {
+  return requestWithFallback("patch", folderEndpoints(name), {
+    folderName: nextName,
+  });
+}
+
+// `photos` is "delete" to remove the folder's photos or "unfile" to keep them
+// without a folder.
+export function deleteFolder(name, { photos }) {
+  return requestWithFallback("delete", folderEndpoints(name), undefined, {
+    params: { photos },
+  });
+}
+
+export function mergeFolders(sourceName, targetName) {
+  return requestWithFallback("post", folderEndpoints(sourceName, "/merge"), {
+    into: targetName,
+  });
+}
+
+function shareEndpoints(suffix = "") {
+  return [`/api/shares${suffix}`, `/shares${suffix}`];
+}
+
+export function createShareLink({
+  type,
+  folder,
+  statusId,
+  attachmentId,
+  excludedPhotos = [],
+  expiresAt,
+  password,
+}) {
+  return requestWithFallback("post", shareEndpoints(), {
+    type,
+    folder,
+    status_id: statusId,
+    attachment_id: attachmentId || undefined,
+    // Photos in the trash are still on the server until they are purged.
+    exclude: excludedPhotos.length
+      ? excludedPhotos.map((photo) => ({
+          status_id: photo.statusId,
+          attachment_id: photo.attachmentId || undefined,
+        }))
+      : undefined,
+    expires_at: expiresAt,
+    password: password || undefined,
+  });
+}
+
+export function listShareLinks() {
+  return requestWithFallback("get", shareEndpoints());
+}
+
+export function revokeShareLink(id) {
+  return requestWithFallback(
+    "delete",
+    shareEndpoints(`/${encodeURIComponent(id)}`),
+  );
+}
+
+// Public read for the viewer. `skipAuth` keeps the owner's token out of it and
+// stops a wrong password (401) from signing anyone out.
+export function fetchSharedContent(token, password) {
+  return requestWithFallback(
+    "get",
+    shareEndpoints(`/${encodeURIComponent(token)}/statuses`),
+    undefined,
+    {
+      skipAuth: true,
+      headers: password ? { "X-Share-Password": password } : {},
+    },
+  );
+}
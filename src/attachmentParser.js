@@ -0,0 +1,393 @@
+import { MEDIA_TYPES } from "./mediaTypes";
+
+// Parses the `Name[key=value, ...]` strings some backends send instead of
+// attachment objects (a Java `toString()` of the record), plus JSON that is
+// almost but not quite valid.
+
+const OPENERS = { "[": "]", "{": "}", "(": ")" };
+const KEY_PATTERN = /^[A-Za-z_$][\w.$-]*/;
+const NAME_PATTERN = /^[A-Za-z_$][\w.$]*/;
+const NEXT_FIELD_PATTERN = /^,\s*[A-Za-z_$][\w.$-]*\s*=/;
+
+// Nothing listens until the app installs a handler.
+let diagnosticsHandler = null;
+
+// Receives `{ level, message, record }` for every malformed record; returns
+// the previous handler.
+export function setDiagnosticsHandler(handler) {
+  const previous = diagnosticsHandler;
+  diagnosticsHandler = handler;
+  return previous;
+}
+
+export function reportDiagnostic(message, record, level = "warning") {
+  diagnosticsHandler?.({ level, message, record });
+}
+
+// `previewUrl` and `preview_url` mean the same thing.
+function normalizeKey(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toLowerCase();
+}
+
+function createParser(text) {
+  let index = 0;
+  const errors = [];
+
+  function fail(message) {
+    errors.push({ message, index });
+  }
+
+  function skipWhitespace() {
+    while (index < text.length && /\s/.test(text[index])) {
+      index += 1;
+    }
+  }
+
+  function match(pattern) {
+    const found = text.slice(index).match(pattern);
+    return found ? found[0] : null;
+  }
+
+  // Skips to the next top-level comma or the closing bracket after a bad field.
+  function recover(close) {
+    let depth = 0;
+    while (index < text.length) {
+      const char = text[index];
+      if (OPENERS[char]) {
+        depth += 1;
+      } else if (depth > 0 && Object.values(OPENERS).includes(char)) {
+        depth -= 1;
+      } else if (depth === 0 && (char === "," || char === close)) {
+        return;
+      }
+      index += 1;
+    }
+  }
+
+  function readQuoted() {
+    const quote = text[index];
+    let value = "";
+    index += 1;
+    while (index < text.length && text[index] !== quote) {
+      if (text[index] === "\\" && index + 1 < text.length) {
+        index += 1;
+      }
+      value += text[index];
+      index += 1;
+    }
+    if (index >= text.length) {
+      fail("Unterminated quoted value");
+    } else {
+      index += 1;
+    }
+    return value;
+  }
+
+  // Bare values run until the closing bracket or a comma that starts the next
+  // `key=` pair, so commas inside URLs survive.
+  function readBare(close) {
+    const start = index;
+    let depth = 0;
+    while (index < text.length) {
+      const char = text[index];
+      if (OPENERS[char]) {
+        depth += 1;
+      } else if (depth > 0 && Object.values(OPENERS).includes(char)) {
+        depth -= 1;
+      } else if (depth === 0 && char === close) {
+        break;
+      } else if (
+        depth === 0 &&
+        char === "," &&
+        (!close || NEXT_FIELD_PATTERN.test(text.slice(index)))
+      ) {
+        break;
+      }
+      index += 1;
+    }
+
+    const value = text.slice(start, index).trim();
+    return value === "null" ? null : value;
+  }
+
+  function readList(close) {
+    const items = [];
+    skipWhitespace();
+    while (index < text.length && text[index] !== close) {
+      items.push(readValue(close, { inList: true }));
+      skipWhitespace();
+      if (text[index] === ",") {
+        index += 1;
+        skipWhitespace();
+      } else if (text[index] !== close) {
+        fail(`Expected "," or "${close}" in list`);
+        recover(close);
+      }
+    }
+    if (index >= text.length) {
+      fail(`Missing "${close}"`);
+    } else {
+      index += 1;
+    }
+    return items;
+  }
+
+  function readFields(close) {
+    const record = {};
+
+    while (true) {
+      skipWhitespace();
+      if (index >= text.length) {
+        if (close) {
+          fail(`Missing "${close}"`);
+        }
+        return record;
+      }
+      if (text[index] === close) {
+        index += 1;
+        return record;
+      }
+
+      const key = match(KEY_PATTERN);
+      if (!key) {
+        fail("Expected a field name");
+        recover(close);
+      } else {
+        index += key.length;
+        skipWhitespace();
+        if (text[index] !== "=") {
+          fail(`Expected "=" after "${key}"`);
+          recover(close);
+        } else {
+          index += 1;
+          record[normalizeKey(key)] = readValue(close);
+        }
+      }
+
+      skipWhitespace();
+      if (text[index] === ",") {
+        index += 1;
+      } else if (index < text.length && text[index] !== close) {
+        fail("Expected a comma between fields");
+        recover(close);
+        if (text[index] === ",") {
+          index += 1;
+        }
+      }
+    }
+  }
+
+  function readBracketed() {
+    const close = OPENERS[text[index]];
+    index += 1;
+    skipWhitespace();
+    const looksLikeRecord =
+      text[index] !== close &&
+      /^[A-Za-z_$][\w.$-]*\s*=/.test(text.slice(index));
+    return looksLikeRecord ? readFields(close) : readList(close);
+  }
+
+  function readValue(close, { inList = false } = {}) {
+    skipWhitespace();
+    const char = text[index];
+
+    if (char === '"' || char === "'") {
+      return readQuoted();
+    }
+
+    // `Meta[...]`, `Original{...}` or a bare `[...]`.
+    const name = match(NAME_PATTERN);
+    const opener = name ? text[index + name.length] : char;
+    if (OPENERS[opener] && opener !== close) {
+      index += name ? name.length : 0;
+      return readBracketed();
+    }
+
+    if (inList) {
+      const start = index;
+      while (
+        index < text.length &&
+        text[index] !== "," &&
+        text[index] !== close
+      ) {
+        index += 1;
+      }
+      const value = text.slice(start, index).trim();
+      return value === "null" ? null : value;
+    }
+    return readBare(close);
+  }
+
+  function parse() {
+    skipWhitespace();
+    const name = match(NAME_PATTERN);
+    const opener = text[index + (name ? name.length : 0)];
+    let value;
+
+    if (OPENERS[opener]) {
+      index += name ? name.length : 0;
+      value = readBracketed();
+    } else {
+      value = readFields(null);
+    }
+
+    skipWhitespace();
+    if (index < text.length) {
+      fail("Unexpected text after the record");
+    }
+    return { value, errors };
+  }
+
+  return { parse };
+}
+
+export function parseRecordString(text) {
+  return createParser(text).parse();
+}
+
+// Accepts strict JSON first, then retries with the usual hand-written
+// mistakes fixed: single quotes, unquoted keys and trailing commas.
+export function parseJsonTolerant(text) {
+  if (typeof text !== "string") {
+    return { value: text, repaired: false };
+  }
+
+  try {
+    return { value: JSON.parse(text), repaired: false };
+  } catch (err) {
+    const repaired = text
+      .trim()
+      .replace(/^\uFEFF/, "")
+      .replace(/'((?:[^'\\]|\\.)*)'/g, (_, body) =>
+        JSON.stringify(body.replace(/\\'/g, "'")),
+      )
+      .replace(/([{,]\s*)([A-Za-z_$][\w$]*)\s*:/g, '$1"$2":')
+      .replace(/,\s*([}\]])/g, "$1");
+    try {
+      return { value: JSON.parse(repaired), repaired: true };
+    } catch (repairErr) {
+      return { value: undefined, repaired: false, error: repairErr };
+    }
+  }
+}
+
+// Turns one raw attachment (object, JSON text or record string) into an
+// object, reporting anything that had to be guessed.
+export function parseAttachment(raw, status) {
+  if (raw && typeof raw === "object") {
+    return raw;
+  }
+  if (typeof raw !== "string" || !raw.trim()) {
+    reportDiagnostic("Attachment is empty or not a string/object", {
+      raw,
+      status,
+    });
+    return null;
+  }
+
+  const trimmed = raw.trim();
+  if (trimmed.startsWith("{") && trimmed.includes(":")) {
+    const { value, repaired } = parseJsonTolerant(trimmed);
+    if (value && typeof value === "object") {
+      if (repaired) {
+        reportDiagnostic("Attachment JSON needed repairs", { raw, status });
+      }
+      return value;
+    }
+  }
+
+  const { value, errors } = parseRecordString(trimmed);
+  if (errors.length) {
+    reportDiagnostic(
+      `Attachment string is malformed: ${errors
+        .map((error) => `${error.message} at ${error.index}`)
+        .join("; ")}`,
+      { raw, status, parsed: value },
+    );
+  }
+  return value && typeof value === "object" && !Array.isArray(value)
+    ? value
+    : null;
+}
+
+// `media_attachments` may itself arrive as one string holding a list.
+export function parseAttachmentList(value, status) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value !== "string") {
+    return [];
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith("[")) {
+    const json = parseJsonTolerant(trimmed).value;
+    if (Array.isArray(json)) {
+      return json;
+    }
+    const { value: parsed } = parseRecordString(trimmed);
+    if (Array.isArray(parsed)) {
+      return parsed;
+    }
+  }
+  return [value];
+}
+
+function isUsableUrl(value) {
+  if (typeof value !== "string" || !value.trim()) {
+    return false;
+  }
+  try {
+    const url = new URL(value, "http://localhost");
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (err) {
+    return false;
+  }
+}
+
+export function validateAttachment(attachment) {
+  if (!attachment || typeof attachment !== "object") {
+    return ["Attachment is not an object"];
+  }
+
+  const issues = [];
+  if (!attachment.url && !attachment.preview_url) {
+    issues.push("Attachment has neither url nor preview_url");
+  }
+  ["url", "preview_url"].forEach((key) => {
+    if (attachment[key] && !isUsableUrl(attachment[key])) {
+      issues.push(`Attachment ${key} is not a valid URL`);
+    }
+  });
+  // Mastodon's "unknown" type is reported too, since it is never shown.
+  if (
+    attachment.type &&
+    !Object.values(MEDIA_TYPES).includes(attachment.type)
+  ) {
+    issues.push(`Unknown attachment type "${attachment.type}"`);
+  }
+  return issues;
+}
+
+export function validateStatus(status) {
+  if (!status || typeof status !== "object" || Array.isArray(status)) {
+    return ["Status is not an object"];
+  }
+
+  const issues = [];
+  if (status.id === undefined || status.id === null || status.id === "") {
+    issues.push("Status has no id");
+  }
+  const createdAt = status.created_at || status.uploadedAt;
+  if (createdAt && Number.isNaN(new Date(createdAt).getTime())) {
+    issues.push(`Status date "${createdAt}" is not a valid date`);
+  }
+  if (
+    status.media_attachments !== undefined &&
+    !Array.isArray(status.media_attachments) &&
+    typeof status.media_attachments !== "string"
+  ) {
+    issues.push("media_attachments is neither a list nor a string");
+  }
+  return issues;
+}
@@ -0,0 +1,187 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  parseAttachment,
+  parseAttachmentList,
+  parseJsonTolerant,
+  parseRecordString,
+  setDiagnosticsHandler,
+} from "./attachmentParser";
+
+let diagnostics;
+
+beforeEach(() => {
+  diagnostics = vi.fn();
+  setDiagnosticsHandler(diagnostics);
+});
+
+afterEach(() => {
+  setDiagnosticsHandler(null);
+});
+
+describe("parseRecordString", () => {
+  it("keeps commas inside a URL", () => {
+    const { value, errors } = parseRecordString(
+      "Attachment[id=7, url=https://cdn.example/a,b.jpg?size=1,2, type=image]",
+    );
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({
+      id: "7",
+      url: "https://cdn.example/a,b.jpg?size=1,2",
+      type: "image",
+    });
+  });
+
+  it("keeps a closing bracket inside a quoted URL", () => {
+    const { value, errors } = parseRecordString(
+      'Attachment[id=7, url="https://cdn.example/photo[1].jpg", type=image]',
+    );
+
+    expect(errors).toEqual([]);
+    expect(value.url).toBe("https://cdn.example/photo[1].jpg");
+  });
+
+  it("keeps balanced brackets inside a bare URL", () => {
+    const { value } = parseRecordString(
+      "Attachment[id=7, url=https://cdn.example/photo[1].jpg]",
+    );
+
+    expect(value.url).toBe("https://cdn.example/photo[1].jpg");
+  });
+
+  it("tells remote_url and url apart", () => {
+    const { value } = parseRecordString(
+      "Attachment[remoteUrl=https://remote.example/a.jpg, url=https://cdn.example/a.jpg]",
+    );
+
+    expect(value).toEqual({
+      remote_url: "https://remote.example/a.jpg",
+      url: "https://cdn.example/a.jpg",
+    });
+  });
+
+  it("reads nested records and lists", () => {
+    const { value, errors } = parseRecordString(
+      "Attachment[id=7, meta=Meta[original=Original{width=640, height=480}, focus=[0.5, -0.25]], type=image]",
+    );
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({
+      id: "7",
+      meta: {
+        original: { width: "640", height: "480" },
+        focus: ["0.5", "-0.25"],
+      },
+      type: "image",
+    });
+  });
+
+  it("unquotes single and double quoted values", () => {
+    const { value } = parseRecordString(
+      `Attachment[description="Sunset, over the bay", blurhash='U\\'7x']`,
+    );
+
+    expect(value).toEqual({
+      description: "Sunset, over the bay",
+      blurhash: "U'7x",
+    });
+  });
+
+  it("reads null as null, not as text", () => {
+    const { value } = parseRecordString(
+      "Attachment[id=7, preview_url=null, meta=Meta[focus=[null]]]",
+    );
+
+    expect(value.preview_url).toBeNull();
+    expect(value.meta.focus).toEqual([null]);
+  });
+});
+
+describe("parseJsonTolerant", () => {
+  it("returns strict JSON unchanged", () => {
+    expect(parseJsonTolerant('{"id":"7"}')).toEqual({
+      value: { id: "7" },
+      repaired: false,
+    });
+  });
+
+  it("repairs single quotes, unquoted keys and trailing commas", () => {
+    expect(
+      parseJsonTolerant("{id: '7', url: 'https://cdn.example/a.jpg',}"),
+    ).toEqual({
+      value: { id: "7", url: "https://cdn.example/a.jpg" },
+      repaired: true,
+    });
+  });
+
+  it("gives up on text it cannot repair", () => {
+    const result = parseJsonTolerant("{id: ");
+
+    expect(result.value).toBeUndefined();
+    expect(result.error).toBeInstanceOf(Error);
+  });
+});
+
+describe("parseAttachment", () => {
+  it("reports repaired JSON", () => {
+    const status = { id: "1" };
+    const attachment = parseAttachment("{id: '7', type: 'image'}", status);
+
+    expect(attachment).toEqual({ id: "7", type: "image" });
+    expect(diagnostics).toHaveBeenCalledWith(
+      expect.objectContaining({
+        level: "warning",
+        message: "Attachment JSON needed repairs",
+        record: expect.objectContaining({ status }),
+      }),
+    );
+  });
+
+  it("reports a malformed record instead of dropping it silently", () => {
+    const raw = "Attachment[id=7, type=image";
+    const attachment = parseAttachment(raw, { id: "1" });
+
+    expect(attachment).toEqual({ id: "7", type: "image" });
+    expect(diagnostics).toHaveBeenCalledTimes(1);
+    expect(diagnostics.mock.calls[0][0]).toMatchObject({
+      message: expect.stringContaining('Missing "]"'),
+      record: { raw, parsed: attachment },
+    });
+  });
+
+  it("reports an empty attachment", () => {
+    expect(parseAttachment("  ", { id: "1" })).toBeNull();
+    expect(diagnostics).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: "Attachment is empty or not a string/object",
+      }),
+    );
+  });
+
+  it("stays quiet without a handler", () => {
+    setDiagnosticsHandler(null);
+
+    expect(() => parseAttachment("Attachment[id=7", {})).not.toThrow();
+    expect(diagnostics).not.toHaveBeenCalled();
+  });
+});
+
+describe("parseAttachmentList", () => {
+  it("splits a list of records sent as one string", () => {
+    const list = parseAttachmentList(
+      "[Attachment[id=7, url=https://cdn.example/a,b.jpg], Attachment[id=8, url=https://cdn.example/c.jpg]]",
+    );
+
+    expect(list).toEqual([
+      { id: "7", url: "https://cdn.example/a,b.jpg" },
+      { id: "8", url: "https://cdn.example/c.jpg" },
+    ]);
+  });
+
+  it("reads a JSON list sent as a string", () => {
+    expect(parseAttachmentList('[{"id":"7"},{"id":"8"}]')).toEqual([
+      { id: "7" },
+      { id: "8" },
+    ]);
+  });
+});
@@ -0,0 +1,329 @@
+import axios from "axios";
+
+// OAuth2 authorization code flow with PKCE against the Mastodon-style
+// backend. Sign-in is required once a client id is configured.
+
+const OAUTH_BASE_URL = (
+  import.meta.env.VITE_OAUTH_URL ||
+  import.meta.env.VITE_API_URL ||
+  window.location.origin
+).replace(/\/+$/, "");
+const CLIENT_ID = import.meta.env.VITE_OAUTH_CLIENT_ID || "";
+const SCOPES = import.meta.env.VITE_OAUTH_SCOPES || "read write";
+
+const AUTH_CALLBACK_PATH = "/auth/callback";
+const SESSION_KEY = "authSession";
+const PENDING_LOGIN_KEY = "pendingLogin";
+// Refresh a little early so a request never leaves with a dying token.
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+let unauthorizedHandler = null;
+let refreshing = null;
+let callbackExchange = null;
+
+export function isAuthEnabled() {
+  return Boolean(CLIENT_ID);
+}
+
+function getRedirectUri() {
+  return `${window.location.origin}${AUTH_CALLBACK_PATH}`;
+}
+
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function randomString(byteLength = 32) {
+  return toBase64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+async function createCodeChallenge(verifier) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(verifier),
+  );
+  return toBase64Url(new Uint8Array(digest));
+}
+
+export function getSession() {
+  try {
+    return JSON.parse(window.localStorage.getItem(SESSION_KEY)) || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function saveSession(tokens, previous = null) {
+  const expiresIn = Number(tokens.expires_in);
+  const session = {
+    accessToken: tokens.access_token,
+    // Refresh responses may leave out the refresh token to keep the old one.
+    refreshToken: tokens.refresh_token || previous?.refreshToken || null,
+    user: previous?.user || null,
+    expiresAt:
+      Number.isFinite(expiresIn) && expiresIn > 0
+        ? Date.now() + expiresIn * 1000
+        : null,
+  };
+  window.localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  return session;
+}
+
+export function clearSession() {
+  window.localStorage.removeItem(SESSION_KEY);
+}
+
+// Called when the backend rejects the session for good; returns a function
+// that removes the handler again.
+export function setUnauthorizedHandler(handler) {
+  unauthorizedHandler = handler;
+  return () => {
+    if (unauthorizedHandler === handler) {
+      unauthorizedHandler = null;
+    }
+  };
+}
+
+// Token requests use fetch so the axios interceptors below never see them.
+async function requestTokens(params) {
+  const response = await fetch(`${OAUTH_BASE_URL}/oauth/token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      client_id: CLIENT_ID,
+      redirect_uri: getRedirectUri(),
+      ...params,
+    }),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.access_token) {
+    const error = new Error(
+      body.error_description ||
+        body.error ||
+        "Sign-in failed. Please try again.",
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return body;
+}
+
+// The provider turned the refresh token down (invalid_grant and friends), as
+// opposed to being unreachable or failing on its side.
+function isRejectedGrant(err) {
+  return err?.status === 400 || err?.status === 401;
+}
+
+export async function startLogin(returnTo = "/") {
+  const verifier = randomString(48);
+  const state = randomString(16);
+  window.sessionStorage.setItem(
+    PENDING_LOGIN_KEY,
+    JSON.stringify({ verifier, state, returnTo }),
+  );
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: CLIENT_ID,
+    redirect_uri: getRedirectUri(),
+    scope: SCOPES,
+    state,
+    code_challenge: await createCodeChallenge(verifier),
+    code_challenge_method: "S256",
+  });
+  window.location.assign(`${OAUTH_BASE_URL}/oauth/authorize?${params}`);
+}
+
+export function isAuthCallback(location) {
+  return location.pathname === AUTH_CALLBACK_PATH;
+}
+
+async function exchangeCallbackCode(location) {
+  const params = new URLSearchParams(location.search);
+  const pending = JSON.parse(
+    window.sessionStorage.getItem(PENDING_LOGIN_KEY) || "null",
+  );
+  window.sessionStorage.removeItem(PENDING_LOGIN_KEY);
+
+  if (params.get("error")) {
+    throw new Error(
+      params.get("error_description") || "Sign-in was cancelled.",
+    );
+  }
+  if (
+    !pending ||
+    !params.get("code") ||
+    params.get("state") !== pending.state
+  ) {
+    throw new Error("This sign-in link is no longer valid. Please try again.");
+  }
+
+  saveSession(
+    await requestTokens({
+      grant_type: "authorization_code",
+      code: params.get("code"),
+      code_verifier: pending.verifier,
+    }),
+  );
+  return pending.returnTo || "/";
+}
+
+// Resolves to the path the user started signing in from. The code can only
+// be redeemed once, so repeated calls share the first exchange.
+export function completeLogin(location) {
+  if (!callbackExchange) {
+    callbackExchange = exchangeCallbackCode(location);
+  }
+  return callbackExchange;
+}
+
+export function refreshAccessToken() {
+  const session = getSession();
+  if (!session?.refreshToken) {
+    return Promise.reject(new Error("No refresh token."));
+  }
+  if (!refreshing) {
+    refreshing = requestTokens({
+      grant_type: "refresh_token",
+      refresh_token: session.refreshToken,
+    })
+      .then((tokens) => saveSession(tokens, session).accessToken)
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+// Refreshes first when the token is about to expire.
+export async function getValidAccessToken() {
+  const session = getSession();
+  if (!session?.accessToken) {
+    return null;
+  }
+  if (
+    session.expiresAt &&
+    session.refreshToken &&
+    session.expiresAt - EXPIRY_MARGIN_MS < Date.now()
+  ) {
+    try {
+      return await refreshAccessToken();
+    } catch (err) {
+      return session.accessToken;
+    }
+  }
+  return session.accessToken;
+}
+
+// Only our own backend gets the token, never a media host or CDN.
+function isBackendRequest(config) {
+  try {
+    const base = config.baseURL || window.location.origin;
+    return (
+      new URL(config.url || "", new URL(base, window.location.origin))
+        .origin === new URL(base, window.location.origin).origin
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+function handleUnauthorized() {
+  clearSession();
+  unauthorizedHandler?.();
+}
+
+export function installAuthInterceptors(client = axios) {
+  client.interceptors.request.use(async (config) => {
+    if (config.skipAuth || !isBackendRequest(config)) {
+      return config;
+    }
+    const token = await getValidAccessToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  });
+
+  // One refresh-and-retry per request; after that the session is over.
+  client.interceptors.response.use(undefined, async (error) => {
+    const { config, response } = error;
+    if (
+      response?.status !== 401 ||
+      !config ||
+      config.skipAuth ||
+      !isBackendRequest(config)
+    ) {
+      throw error;
+    }
+
+    if (config.authRetried || !getSession()?.refreshToken) {
+      handleUnauthorized();
+      throw error;
+    }
+
+    try {
+      await refreshAccessToken();
+    } catch (refreshError) {
+      // Offline or a provider hiccup: keep the session, and with it any
+      // queued offline work, and let the request fail on its own.
+      if (isRejectedGrant(refreshError)) {
+        handleUnauthorized();
+      }
+      throw error;
+    }
+    // A second 401 comes back through this handler and ends the session.
+    return client.request({ ...config, authRetried: true });
+  });
+}
+
+// The account is kept with the session so an offline start still knows who
+// is signed in.
+export async function fetchCurrentUser() {
+  let account;
+  try {
+    const response = await axios.get("/api/v1/accounts/verify_credentials");
+    account = response.data || {};
+  } catch (err) {
+    const cachedUser = getSession()?.user;
+    if (cachedUser && !err?.response) {
+      return cachedUser;
+    }
+    throw err;
+  }
+
+  const user = {
+    id: String(account.id || ""),
+    username: account.acct || account.username || "",
+    displayName: account.display_name || account.username || "",
+    avatar: account.avatar_static || account.avatar || "",
+  };
+  const session = getSession();
+  if (session) {
+    window.localStorage.setItem(
+      SESSION_KEY,
+      JSON.stringify({ ...session, user }),
+    );
+  }
+  return user;
+}
+
+// Revoking is best effort; the local session goes either way.
+export async function logout() {
+  const session = getSession();
+  clearSession();
+  if (!session?.accessToken) {
+    return;
+  }
+  await fetch(`${OAUTH_BASE_URL}/oauth/revoke`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      client_id: CLIENT_ID,
+      token: session.accessToken,
+    }),
+  }).catch(() => {});
+}
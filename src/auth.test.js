@@ -0,0 +1,240 @@
+import axios from "axios";
+import {
+  afterAll,
+  beforeAll,
+  beforeEach,
+  describe,
+  expect,
+  it,
+  vi,
+} from "vitest";
+import { startMockOAuthProvider } from "./test/mockOAuthProvider";
+
+const APP_ORIGIN = "http://app.test";
+
+function createStorage() {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+    clear: () => values.clear(),
+  };
+}
+
+// auth.js only touches location, the two storages and location.assign.
+function createTestWindow() {
+  const location = {
+    origin: APP_ORIGIN,
+    pathname: "/",
+    search: "",
+    assign: vi.fn(),
+  };
+  return {
+    location,
+    localStorage: createStorage(),
+    sessionStorage: createStorage(),
+    navigate(href) {
+      const url = new URL(href, APP_ORIGIN);
+      location.origin = url.origin;
+      location.pathname = url.pathname;
+      location.search = url.search;
+    },
+  };
+}
+
+let provider;
+let testWindow;
+let auth;
+
+async function signIn(returnTo = "/folders") {
+  await auth.startLogin(returnTo);
+  const authorizeUrl = testWindow.location.assign.mock.calls.at(-1)[0];
+  const response = await fetch(authorizeUrl, { redirect: "manual" });
+  testWindow.navigate(response.headers.get("location"));
+  return auth.completeLogin(testWindow.location);
+}
+
+beforeAll(async () => {
+  provider = await startMockOAuthProvider({
+    accounts: [
+      { id: "1", username: "alice", display_name: "Alice" },
+      { id: "2", username: "bob", display_name: "Bob" },
+    ],
+  });
+});
+
+afterAll(() => provider.close());
+
+beforeEach(async () => {
+  testWindow = createTestWindow();
+  vi.stubGlobal("window", testWindow);
+  vi.stubEnv("VITE_OAUTH_URL", provider.url);
+  vi.stubEnv("VITE_OAUTH_CLIENT_ID", provider.clientId);
+  provider.setTokenEndpointMode("ok");
+  provider.signInAs(0);
+  axios.defaults.baseURL = provider.url;
+  axios.interceptors.request.clear();
+  axios.interceptors.response.clear();
+
+  // auth.js reads its configuration once, when it is first imported.
+  vi.resetModules();
+  auth = await import("./auth");
+});
+
+describe("sign-in", () => {
+  it("sends a PKCE S256 authorization request", async () => {
+    await auth.startLogin("/timeline");
+
+    const authorizeUrl = new URL(testWindow.location.assign.mock.calls[0][0]);
+    expect(authorizeUrl.origin).toBe(provider.url);
+    expect(authorizeUrl.pathname).toBe("/oauth/authorize");
+    expect(authorizeUrl.searchParams.get("client_id")).toBe(provider.clientId);
+    expect(authorizeUrl.searchParams.get("redirect_uri")).toBe(
+      `${APP_ORIGIN}/auth/callback`,
+    );
+    expect(authorizeUrl.searchParams.get("code_challenge_method")).toBe("S256");
+    expect(authorizeUrl.searchParams.get("code_challenge")).toMatch(
+      /^[\w-]{43}$/,
+    );
+  });
+
+  it("exchanges the code and returns to where sign-in started", async () => {
+    const returnTo = await signIn("/folders/Trips");
+
+    expect(returnTo).toBe("/folders/Trips");
+    expect(auth.isAuthCallback(testWindow.location)).toBe(true);
+    expect(auth.getSession()).toMatchObject({
+      accessToken: expect.any(String),
+      refreshToken: expect.any(String),
+      expiresAt: expect.any(Number),
+    });
+
+    auth.installAuthInterceptors(axios);
+    expect(await auth.fetchCurrentUser()).toEqual({
+      id: "1",
+      username: "alice",
+      displayName: "Alice",
+      avatar: "",
+    });
+  });
+
+  it("rejects a callback whose state does not match", async () => {
+    await auth.startLogin("/");
+    const authorizeUrl = testWindow.location.assign.mock.calls[0][0];
+    const response = await fetch(authorizeUrl, { redirect: "manual" });
+    const callback = new URL(response.headers.get("location"));
+    callback.searchParams.set("state", "forged");
+    testWindow.navigate(callback.toString());
+
+    await expect(auth.completeLogin(testWindow.location)).rejects.toThrow(
+      "no longer valid",
+    );
+    expect(auth.getSession()).toBeNull();
+  });
+
+  it("is refused by the provider when the verifier does not match", async () => {
+    await auth.startLogin("/");
+    const pending = JSON.parse(
+      testWindow.sessionStorage.getItem("pendingLogin"),
+    );
+    testWindow.sessionStorage.setItem(
+      "pendingLogin",
+      JSON.stringify({ ...pending, verifier: "not-the-verifier" }),
+    );
+    const authorizeUrl = testWindow.location.assign.mock.calls[0][0];
+    const response = await fetch(authorizeUrl, { redirect: "manual" });
+    testWindow.navigate(response.headers.get("location"));
+
+    await expect(auth.completeLogin(testWindow.location)).rejects.toThrow(
+      "The authorization code is invalid.",
+    );
+    expect(auth.getSession()).toBeNull();
+  });
+
+  it("keeps each account's library separate", async () => {
+    provider.signInAs(1);
+    await signIn();
+    auth.installAuthInterceptors(axios);
+
+    const response = await axios.get("/api/statuses");
+    expect(response.data).toEqual([
+      expect.objectContaining({ id: "2-status" }),
+    ]);
+  });
+});
+
+describe("interceptors", () => {
+  beforeEach(async () => {
+    await signIn();
+    auth.installAuthInterceptors(axios);
+  });
+
+  it("attaches the bearer token to backend requests only", async () => {
+    await axios.get("/api/statuses");
+    expect(provider.requests.at(-1).authorization).toBe(
+      `Bearer ${auth.getSession().accessToken}`,
+    );
+
+    const handler = vi.fn();
+    axios.interceptors.request.use((config) => {
+      handler(config.headers.Authorization);
+      throw new axios.Cancel("stop here");
+    });
+    await axios.get("https://media.example/photo.jpg").catch(() => {});
+    expect(handler).toHaveBeenCalledWith(undefined);
+  });
+
+  it("refreshes once on a 401 and retries the request", async () => {
+    const { accessToken, refreshToken } = auth.getSession();
+    provider.expireAccessTokens();
+
+    const response = await axios.get("/api/statuses");
+
+    expect(response.status).toBe(200);
+    expect(auth.getSession().accessToken).not.toBe(accessToken);
+    expect(auth.getSession().refreshToken).not.toBe(refreshToken);
+  });
+
+  it("ends the session when the provider rejects the refresh token", async () => {
+    const onUnauthorized = vi.fn();
+    auth.setUnauthorizedHandler(onUnauthorized);
+    provider.expireAccessTokens();
+    provider.revokeRefreshTokens();
+
+    await expect(axios.get("/api/statuses")).rejects.toMatchObject({
+      response: { status: 401 },
+    });
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+    expect(auth.getSession()).toBeNull();
+  });
+
+  it.each(["unreachable", "error"])(
+    "keeps the session when the token endpoint is %s",
+    async (mode) => {
+      const onUnauthorized = vi.fn();
+      auth.setUnauthorizedHandler(onUnauthorized);
+      provider.expireAccessTokens();
+      provider.setTokenEndpointMode(mode);
+
+      await expect(axios.get("/api/statuses")).rejects.toMatchObject({
+        response: { status: 401 },
+      });
+      expect(onUnauthorized).not.toHaveBeenCalled();
+      expect(auth.getSession()).not.toBeNull();
+    },
+  );
+
+  it("revokes the token on logout", async () => {
+    const { accessToken } = auth.getSession();
+    await auth.logout();
+
+    expect(auth.getSession()).toBeNull();
+    expect(provider.requests.at(-1).path).toBe("/oauth/revoke");
+    await expect(
+      axios.get("/api/statuses", {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      }),
+    ).rejects.toMatchObject({ response: { status: 401 } });
+  });
+});
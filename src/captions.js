@@ -0,0 +1,83 @@
+// Status `content` is HTML on Mastodon-style backends; captions are edited as
+// plain text and turned back into simple paragraphs.
+export function htmlToText(html) {
+  if (!html) {
+    return "";
+  }
+
+  const withBreaks = html
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/p>\s*<p[^>]*>/gi, "\n\n");
+  const document = new DOMParser().parseFromString(withBreaks, "text/html");
+  return (document.body.textContent || "").trim();
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function textToHtml(text) {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return "";
+  }
+  return trimmed
+    .split(/\n{2,}/)
+    .map(
+      (paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`,
+    )
+    .join("");
+}
+
+export function normalizeTag(value) {
+  return String(value ?? "")
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/\s+/g, "-")
+    .toLowerCase();
+}
+
+// Accepts Mastodon tag objects (`{ name, url }`) as well as plain strings.
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+  return Array.from(
+    new Set(
+      tags
+        .map((tag) => normalizeTag(typeof tag === "string" ? tag : tag?.name))
+        .filter(Boolean),
+    ),
+  );
+}
+
+export function getPhotoAltText(photo) {
+  return (
+    photo.description ||
+    htmlToText(photo.content) ||
+    `Photo uploaded ${photo.uploadedAt ? new Date(photo.uploadedAt).toLocaleDateString() : "without a date"}`
+  );
+}
+
+// Extra multipart fields sent alongside each uploaded file.
+export function buildUploadFields({
+  caption = "",
+  description = "",
+  tags = [],
+}) {
+  const fields = {};
+  if (caption.trim()) {
+    fields.status = caption.trim();
+  }
+  if (description.trim()) {
+    fields.description = description.trim();
+  }
+  if (tags.length) {
+    fields.tags = tags;
+  }
+  return fields;
+}
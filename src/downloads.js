@@ -0,0 +1,193 @@
+import axios from "axios";
+import { createZipWriter } from "./zip";
+
+const EXTENSIONS_BY_TYPE = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/avif": "avif",
+  "image/heic": "heic",
+  "image/svg+xml": "svg",
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+  "audio/mpeg": "mp3",
+  "audio/ogg": "ogg",
+};
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+function formatDatePrefix(value) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    return "";
+  }
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+function sanitizeFileName(name) {
+  return name
+    .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, "_")
+    .replace(/^\.+/, "")
+    .slice(0, 120);
+}
+
+function splitUrlFileName(url) {
+  try {
+    const { pathname } = new URL(url, window.location.href);
+    const lastSegment = decodeURIComponent(pathname.split("/").pop() || "");
+    const match = lastSegment.match(/^(.*?)(?:\.([a-z0-9]{2,5}))?$/i);
+    return {
+      base: match?.[1] || "",
+      extension: match?.[2]?.toLowerCase() || "",
+    };
+  } catch (err) {
+    return { base: "", extension: "" };
+  }
+}
+
+export function getPhotoFileName(photo, contentType = "") {
+  const url = photo.originalUrl || photo.url || "";
+  const { base, extension } = splitUrlFileName(url);
+  const mimeType = contentType.split(";")[0].trim().toLowerCase();
+  const resolvedExtension = EXTENSIONS_BY_TYPE[mimeType] || extension || "jpg";
+  const baseName =
+    sanitizeFileName(base) || `photo-${photo.statusId || photo.id}`;
+  const datePrefix = formatDatePrefix(photo.uploadedAt);
+
+  return `${datePrefix ? `${datePrefix}-` : ""}${baseName}.${resolvedExtension}`;
+}
+
+function uniqueName(name, usedNames) {
+  if (!usedNames.has(name)) {
+    usedNames.add(name);
+    return name;
+  }
+
+  const dotIndex = name.lastIndexOf(".");
+  const base = dotIndex > 0 ? name.slice(0, dotIndex) : name;
+  const extension = dotIndex > 0 ? name.slice(dotIndex) : "";
+  let counter = 2;
+  while (usedNames.has(`${base}-${counter}${extension}`)) {
+    counter += 1;
+  }
+  const next = `${base}-${counter}${extension}`;
+  usedNames.add(next);
+  return next;
+}
+
+function saveBlob(blob, fileName) {
+  const blobUrl = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = blobUrl;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking synchronously can cancel the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
+}
+
+export async function downloadPhoto(photo) {
+  const url = photo.originalUrl || photo.url;
+  try {
+    const response = await axios.get(url, { responseType: "blob" });
+    saveBlob(
+      response.data,
+      getPhotoFileName(
+        photo,
+        response.headers?.["content-type"] || response.data.type,
+      ),
+    );
+  } catch (error) {
+    const fallbackLink = document.createElement("a");
+    fallbackLink.href = url;
+    fallbackLink.download = "";
+    fallbackLink.target = "_blank";
+    fallbackLink.rel = "noreferrer";
+    document.body.appendChild(fallbackLink);
+    fallbackLink.click();
+    fallbackLink.remove();
+  }
+}
+
+// Streams straight to disk where the File System Access API exists; otherwise
+// the archive is assembled from Blob parts, which browsers can page to disk.
+async function openArchiveSink(archiveName) {
+  if (typeof window.showSaveFilePicker === "function") {
+    const handle = await window.showSaveFilePicker({
+      suggestedName: archiveName,
+      types: [
+        { description: "ZIP archive", accept: { "application/zip": [".zip"] } },
+      ],
+    });
+    const writable = await handle.createWritable();
+    return {
+      write: (chunk) => writable.write(chunk),
+      finish: () => writable.close(),
+      abort: () => writable.abort(),
+    };
+  }
+
+  const parts = [];
+  return {
+    write: (chunk) => {
+      parts.push(chunk);
+    },
+    finish: () => {
+      saveBlob(new Blob(parts, { type: "application/zip" }), archiveName);
+    },
+    abort: () => {
+      parts.length = 0;
+    },
+  };
+}
+
+export async function downloadPhotosAsZip(
+  photos,
+  { archiveName, signal, onProgress },
+) {
+  const sink = await openArchiveSink(archiveName);
+  const zip = createZipWriter(sink.write);
+  const usedNames = new Set();
+  const failures = [];
+  let bytes = 0;
+
+  try {
+    for (const [index, photo] of photos.entries()) {
+      signal?.throwIfAborted();
+      onProgress?.({ done: index, total: photos.length, bytes });
+
+      try {
+        const response = await axios.get(photo.originalUrl || photo.url, {
+          responseType: "blob",
+          signal,
+        });
+        const contentType =
+          response.headers?.["content-type"] || response.data.type;
+        const name = uniqueName(
+          getPhotoFileName(photo, contentType),
+          usedNames,
+        );
+        await zip.addFile(name, response.data, new Date(photo.uploadedAt));
+        bytes += response.data.size;
+      } catch (err) {
+        if (axios.isCancel(err) || signal?.aborted) {
+          throw err;
+        }
+        failures.push({ photo, error: err });
+      }
+    }
+
+    signal?.throwIfAborted();
+    await zip.close();
+    await sink.finish();
+    onProgress?.({ done: photos.length, total: photos.length, bytes });
+    return { failures };
+  } catch (err) {
+    await sink.abort();
+    throw err;
+  }
+}
@@ -0,0 +1,90 @@
+function readEntryFile(entry) {
+  return new Promise((resolve) => {
+    entry.file(resolve, () => resolve(null));
+  });
+}
+
+function readDirectoryBatch(reader) {
+  return new Promise((resolve) => {
+    reader.readEntries(resolve, () => resolve([]));
+  });
+}
+
+async function readDirectoryEntries(directoryEntry) {
+  const reader = directoryEntry.createReader();
+  const entries = [];
+
+  // readEntries returns results in batches (around 100 in Chrome) until empty.
+  while (true) {
+    const batch = await readDirectoryBatch(reader);
+    if (!batch.length) {
+      return entries;
+    }
+    entries.push(...batch);
+  }
+}
+
+async function collectEntryFiles(entry) {
+  if (!entry) {
+    return [];
+  }
+
+  if (entry.isFile) {
+    const file = await readEntryFile(entry);
+    return file ? [file] : [];
+  }
+
+  if (entry.isDirectory) {
+    const children = await readDirectoryEntries(entry);
+    const nested = await Promise.all(children.map(collectEntryFiles));
+    return nested.flat();
+  }
+
+  return [];
+}
+
+export function hasDraggedFiles(dataTransfer) {
+  return Array.from(dataTransfer?.types || []).includes("Files");
+}
+
+export async function collectDroppedFiles(dataTransfer) {
+  if (!dataTransfer) {
+    return [];
+  }
+
+  const items = Array.from(dataTransfer.items || []).filter(
+    (item) => item.kind === "file",
+  );
+
+  // Entries must be read synchronously; the DataTransfer is cleared after the event.
+  const entries = items.map((item) =>
+    typeof item.webkitGetAsEntry === "function"
+      ? item.webkitGetAsEntry()
+      : null,
+  );
+
+  if (!entries.length || entries.some((entry) => !entry)) {
+    return Array.from(dataTransfer.files || []);
+  }
+
+  const nested = await Promise.all(entries.map(collectEntryFiles));
+  return nested.flat();
+}
+
+export function getPastedFiles(clipboardData) {
+  return Array.from(clipboardData?.items || [])
+    .filter((item) => item.kind === "file")
+    .map((item) => item.getAsFile())
+    .filter(Boolean)
+    .map((file) =>
+      file.name && file.name !== "image.png"
+        ? file
+        : new File(
+            [file],
+            `pasted-${Date.now()}.${file.type.split("/")[1] || "png"}`,
+            {
+              type: file.type,
+            },
+          ),
+    );
+}
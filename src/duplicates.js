@@ -0,0 +1,197 @@
+// Exact duplicates are caught before upload by hashing file contents and
+// comparing against what this device uploaded before. Near-duplicates in the
+// library are found with a difference hash (dHash) of each thumbnail: two
+// photos whose hashes differ in only a few bits look the same.
+
+const CONTENT_INDEX_PREFIX = "contentHashes:";
+const DHASH_CACHE_PREFIX = "dhashCache:";
+const MAX_CACHED_DHASHES = 2000;
+const MAX_INDEXED_UPLOADS = 5000;
+// Hashing reads the whole file into memory; long videos are not worth it.
+const MAX_HASHED_FILE_SIZE = 200 * 1024 * 1024;
+
+// Out of 64 bits; re-encodes and small resizes stay well below this.
+export const NEAR_DUPLICATE_DISTANCE = 6;
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), (byte) =>
+    byte.toString(16).padStart(2, "0"),
+  ).join("");
+}
+
+// Resolves to "" for files too large to hash.
+export async function hashFileContents(file) {
+  if (file.size > MAX_HASHED_FILE_SIZE) {
+    return "";
+  }
+  return toHex(await crypto.subtle.digest("SHA-256", await file.arrayBuffer()));
+}
+
+function getContentIndexKey(ownerId) {
+  return `${CONTENT_INDEX_PREFIX}${ownerId || "local"}`;
+}
+
+function readJson(key, fallback) {
+  try {
+    return JSON.parse(window.localStorage.getItem(key)) || fallback;
+  } catch (err) {
+    return fallback;
+  }
+}
+
+// Maps content hash to `{ name, folder, uploadedAt }` for earlier uploads.
+export function loadContentIndex(ownerId) {
+  return readJson(getContentIndexKey(ownerId), {});
+}
+
+export function recordUploads(ownerId, uploads) {
+  if (!uploads.length) {
+    return;
+  }
+  const index = loadContentIndex(ownerId);
+  uploads.forEach(({ hash, name, folder }) => {
+    index[hash] = {
+      name,
+      folder: folder || "",
+      uploadedAt: new Date().toISOString(),
+    };
+  });
+  // Oldest uploads go first once the index is full.
+  const entries = Object.entries(index)
+    .sort(([, a], [, b]) => a.uploadedAt.localeCompare(b.uploadedAt))
+    .slice(-MAX_INDEXED_UPLOADS);
+  window.localStorage.setItem(
+    getContentIndexKey(ownerId),
+    JSON.stringify(Object.fromEntries(entries)),
+  );
+}
+
+// `hashed` is `[{ file, hash }]`. A file is a duplicate if it was uploaded
+// before or appears earlier in the same batch.
+export function findExactDuplicates(hashed, index) {
+  const seen = new Map();
+  return hashed.flatMap(({ file, hash }) => {
+    const match = index[hash] || seen.get(hash);
+    if (!seen.has(hash)) {
+      seen.set(hash, { name: file.name, folder: "", inBatch: true });
+    }
+    return match ? [{ file, hash, match }] : [];
+  });
+}
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    // Needed to read pixels back; media hosts without CORS are skipped.
+    image.crossOrigin = "anonymous";
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("Could not load image."));
+    image.src = url;
+  });
+}
+
+// 9x8 grayscale, one bit per horizontal neighbour pair.
+export async function computeDHash(url) {
+  const image = await loadImage(url);
+  const canvas = document.createElement("canvas");
+  canvas.width = 9;
+  canvas.height = 8;
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  context.drawImage(image, 0, 0, 9, 8);
+  const { data } = context.getImageData(0, 0, 9, 8);
+
+  let hash = "";
+  for (let y = 0; y < 8; y += 1) {
+    let nibbleBits = 0;
+    for (let x = 0; x < 8; x += 1) {
+      const left = (y * 9 + x) * 4;
+      const right = left + 4;
+      const leftGray =
+        data[left] * 0.299 + data[left + 1] * 0.587 + data[left + 2] * 0.114;
+      const rightGray =
+        data[right] * 0.299 + data[right + 1] * 0.587 + data[right + 2] * 0.114;
+      nibbleBits = (nibbleBits << 1) | (leftGray > rightGray ? 1 : 0);
+      if (x % 4 === 3) {
+        hash += nibbleBits.toString(16);
+        nibbleBits = 0;
+      }
+    }
+  }
+  return hash;
+}
+
+// A hex dHash as two 32-bit halves, so comparing two is a pair of XORs.
+function toHashWords(hex) {
+  return [parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8, 16), 16)];
+}
+
+function countBits(value) {
+  let bits = value - ((value >>> 1) & 0x55555555);
+  bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333);
+  return Math.imul((bits + (bits >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+function wordDistance(a, b) {
+  return countBits(a[0] ^ b[0]) + countBits(a[1] ^ b[1]);
+}
+
+export function hammingDistance(a, b) {
+  return wordDistance(toHashWords(a), toHashWords(b));
+}
+
+// Photo ids are only unique within one account's library.
+function getDHashCacheKey(ownerId) {
+  return `${DHASH_CACHE_PREFIX}${ownerId || "local"}`;
+}
+
+export function loadDHashCache(ownerId) {
+  return readJson(getDHashCacheKey(ownerId), {});
+}
+
+export function saveDHashCache(ownerId, cache) {
+  const entries = Object.entries(cache).slice(-MAX_CACHED_DHASHES);
+  window.localStorage.setItem(
+    getDHashCacheKey(ownerId),
+    JSON.stringify(Object.fromEntries(entries)),
+  );
+}
+
+// Each group is led by its oldest photo, and a photo joins the group whose
+// leader it is closest to, within `maxDistance`. Comparing against the
+// leader rather than any member keeps a run of small edits from chaining
+// unrelated photos together. `hashes` maps photo id to dHash; unhashed
+// photos are left out. Only groups with more than one photo are returned,
+// oldest first.
+export function groupNearDuplicates(
+  photos,
+  hashes,
+  maxDistance = NEAR_DUPLICATE_DISTANCE,
+) {
+  const hashed = photos
+    .filter((photo) => hashes[photo.id])
+    .sort((a, b) => String(a.uploadedAt).localeCompare(String(b.uploadedAt)));
+  const groups = [];
+
+  hashed.forEach((photo) => {
+    const words = toHashWords(hashes[photo.id]);
+    let closest = null;
+    let closestDistance = maxDistance + 1;
+    groups.forEach((group) => {
+      const distance = wordDistance(group.leaderWords, words);
+      if (distance < closestDistance) {
+        closest = group;
+        closestDistance = distance;
+      }
+    });
+
+    if (closest) {
+      closest.photos.push(photo);
+    } else {
+      groups.push({ leaderWords: words, photos: [photo] });
+    }
+  });
+
+  return groups
+    .map((group) => group.photos)
+    .filter((group) => group.length > 1);
+}
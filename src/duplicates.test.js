@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { groupNearDuplicates, hammingDistance } from "./duplicates";
+
+function photo(id, uploadedAt) {
+  return { id, uploadedAt };
+}
+
+describe("groupNearDuplicates", () => {
+  it("groups photos close to the oldest one", () => {
+    const photos = [
+      photo("b", "2026-02-01"),
+      photo("a", "2026-01-01"),
+      photo("c", "2026-03-01"),
+    ];
+    const hashes = {
+      a: "0000000000000000",
+      b: "0000000000000003",
+      c: "ffffffffffffffff",
+    };
+
+    expect(groupNearDuplicates(photos, hashes)).toEqual([
+      [photos[1], photos[0]],
+    ]);
+  });
+
+  it("does not chain photos through a middle one", () => {
+    const photos = [
+      photo("a", "2026-01-01"),
+      photo("b", "2026-01-02"),
+      photo("c", "2026-01-03"),
+    ];
+    const hashes = {
+      a: "0000000000000000",
+      b: "000000000000001f",
+      c: "00000000000003ff",
+    };
+    expect(hammingDistance(hashes.a, hashes.b)).toBe(5);
+    expect(hammingDistance(hashes.b, hashes.c)).toBe(5);
+
+    expect(groupNearDuplicates(photos, hashes)).toEqual([
+      [photos[0], photos[1]],
+    ]);
+  });
+
+  it("leaves out photos without a hash", () => {
+    const photos = [photo("a", "2026-01-01"), photo("b", "2026-01-02")];
+    expect(groupNearDuplicates(photos, { a: "0000000000000000" })).toEqual([]);
+  });
+});
+
+describe("hammingDistance", () => {
+  it("counts differing bits in both halves of the hash", () => {
+    expect(hammingDistance("ffffffffffffffff", "ffffffffffffffff")).toBe(0);
+    expect(hammingDistance("8000000000000001", "0000000000000000")).toBe(2);
+    expect(hammingDistance("ffffffff00000000", "00000000ffffffff")).toBe(64);
+  });
+});
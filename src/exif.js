@@ -0,0 +1,306 @@
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00];
+
+const TYPE_SIZES = {
+  1: 1,
+  2: 1,
+  3: 2,
+  4: 4,
+  5: 8,
+  7: 1,
+  9: 4,
+  10: 8,
+};
+
+export const EXIF_TAGS = {
+  MAKE: 0x010f,
+  MODEL: 0x0110,
+  ORIENTATION: 0x0112,
+  EXPOSURE_TIME: 0x829a,
+  F_NUMBER: 0x829d,
+  EXIF_IFD: 0x8769,
+  ISO: 0x8827,
+  GPS_IFD: 0x8825,
+  DATE_TIME_ORIGINAL: 0x9003,
+  FOCAL_LENGTH: 0x920a,
+  PIXEL_WIDTH: 0xa002,
+  PIXEL_HEIGHT: 0xa003,
+  LENS_MODEL: 0xa434,
+};
+
+const GPS_TAGS = {
+  LATITUDE_REF: 1,
+  LATITUDE: 2,
+  LONGITUDE_REF: 3,
+  LONGITUDE: 4,
+  ALTITUDE_REF: 5,
+  ALTITUDE: 6,
+};
+
+// Returns the offset of the TIFF header inside a JPEG's APP1 Exif segment.
+function findTiffStart(view) {
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) {
+    return -1;
+  }
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xff) {
+      return -1;
+    }
+
+    const marker = view.getUint8(offset + 1);
+    if (marker === 0xda || marker === 0xd9) {
+      return -1;
+    }
+
+    const length = view.getUint16(offset + 2);
+    const isExif =
+      marker === 0xe1 &&
+      offset + 10 <= view.byteLength &&
+      EXIF_HEADER.every(
+        (byte, index) => view.getUint8(offset + 4 + index) === byte,
+      );
+
+    if (isExif) {
+      return offset + 10;
+    }
+
+    offset += 2 + length;
+  }
+
+  return -1;
+}
+
+export function openTiff(buffer) {
+  const view = new DataView(buffer);
+  const tiffStart = findTiffStart(view);
+  if (tiffStart < 0 || tiffStart + 8 > view.byteLength) {
+    return null;
+  }
+
+  const byteOrder = view.getUint16(tiffStart);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) {
+    return null;
+  }
+
+  const little = byteOrder === 0x4949;
+  if (view.getUint16(tiffStart + 2, little) !== 42) {
+    return null;
+  }
+
+  return {
+    view,
+    tiffStart,
+    little,
+    ifd0Offset: view.getUint32(tiffStart + 4, little),
+  };
+}
+
+export function readIfd(tiff, ifdOffset) {
+  const { view, tiffStart, little } = tiff;
+  const entries = new Map();
+  const start = tiffStart + ifdOffset;
+
+  if (!ifdOffset || start + 2 > view.byteLength) {
+    return entries;
+  }
+
+  const count = view.getUint16(start, little);
+  for (let index = 0; index < count; index += 1) {
+    const entryOffset = start + 2 + index * 12;
+    if (entryOffset + 12 > view.byteLength) {
+      break;
+    }
+
+    const type = view.getUint16(entryOffset + 2, little);
+    const valueCount = view.getUint32(entryOffset + 4, little);
+    const byteLength = (TYPE_SIZES[type] || 0) * valueCount;
+    const valueOffset =
+      byteLength > 4
+        ? tiffStart + view.getUint32(entryOffset + 8, little)
+        : entryOffset + 8;
+
+    entries.set(view.getUint16(entryOffset, little), {
+      entryOffset,
+      type,
+      count: valueCount,
+      byteLength,
+      valueOffset,
+    });
+  }
+
+  return entries;
+}
+
+export function readTagValue(tiff, entry) {
+  const { view, little } = tiff;
+  if (!entry || entry.valueOffset + entry.byteLength > view.byteLength) {
+    return null;
+  }
+
+  const values = [];
+  for (let index = 0; index < entry.count; index += 1) {
+    const size = TYPE_SIZES[entry.type];
+    const offset = entry.valueOffset + index * size;
+
+    switch (entry.type) {
+      case 1:
+      case 2:
+      case 7:
+        values.push(view.getUint8(offset));
+        break;
+      case 3:
+        values.push(view.getUint16(offset, little));
+        break;
+      case 4:
+        values.push(view.getUint32(offset, little));
+        break;
+      case 9:
+        values.push(view.getInt32(offset, little));
+        break;
+      case 5:
+      case 10: {
+        const read = entry.type === 5 ? "getUint32" : "getInt32";
+        const denominator = view[read](offset + 4, little);
+        values.push(denominator ? view[read](offset, little) / denominator : 0);
+        break;
+      }
+      default:
+        return null;
+    }
+  }
+
+  if (entry.type === 2) {
+    return String.fromCharCode(...values)
+      .replace(/\0+$/, "")
+      .trim();
+  }
+
+  return values.length === 1 ? values[0] : values;
+}
+
+export function readOrientation(buffer) {
+  const tiff = openTiff(buffer);
+  if (!tiff) {
+    return 1;
+  }
+
+  const entries = readIfd(tiff, tiff.ifd0Offset);
+  const orientation = readTagValue(tiff, entries.get(EXIF_TAGS.ORIENTATION));
+  return Number.isInteger(orientation) ? orientation : 1;
+}
+
+export function hasGpsData(buffer) {
+  const tiff = openTiff(buffer);
+  if (!tiff) {
+    return false;
+  }
+
+  const pointer = readIfd(tiff, tiff.ifd0Offset).get(EXIF_TAGS.GPS_IFD);
+  const gpsOffset = readTagValue(tiff, pointer);
+  return Boolean(gpsOffset) && readIfd(tiff, gpsOffset).size > 0;
+}
+
+// Zeroes every GPS entry and its out-of-line value so the coordinates are not
+// just hidden but actually gone from the bytes we upload.
+export function stripGpsData(buffer) {
+  const copy = buffer.slice(0);
+  const tiff = openTiff(copy);
+  if (!tiff) {
+    return copy;
+  }
+
+  const { view, tiffStart, little } = tiff;
+  const pointer = readIfd(tiff, tiff.ifd0Offset).get(EXIF_TAGS.GPS_IFD);
+  const gpsOffset = readTagValue(tiff, pointer);
+  if (!gpsOffset) {
+    return copy;
+  }
+
+  readIfd(tiff, gpsOffset).forEach((entry) => {
+    if (
+      entry.byteLength > 4 &&
+      entry.valueOffset + entry.byteLength <= view.byteLength
+    ) {
+      new Uint8Array(copy, entry.valueOffset, entry.byteLength).fill(0);
+    }
+    new Uint8Array(copy, entry.entryOffset, 12).fill(0);
+  });
+  view.setUint16(tiffStart + gpsOffset, 0, little);
+
+  return copy;
+}
+
+function toDecimalDegrees(value, ref) {
+  if (!Array.isArray(value) || value.length !== 3) {
+    return null;
+  }
+  const [degrees, minutes, seconds] = value;
+  const decimal = degrees + minutes / 60 + seconds / 3600;
+  return ref === "S" || ref === "W" ? -decimal : decimal;
+}
+
+function readGps(tiff, gpsOffset) {
+  if (!gpsOffset) {
+    return null;
+  }
+
+  const entries = readIfd(tiff, gpsOffset);
+  const read = (tag) => readTagValue(tiff, entries.get(tag));
+  const latitude = toDecimalDegrees(
+    read(GPS_TAGS.LATITUDE),
+    read(GPS_TAGS.LATITUDE_REF),
+  );
+  const longitude = toDecimalDegrees(
+    read(GPS_TAGS.LONGITUDE),
+    read(GPS_TAGS.LONGITUDE_REF),
+  );
+  if (latitude === null || longitude === null) {
+    return null;
+  }
+
+  const altitude = read(GPS_TAGS.ALTITUDE);
+  return {
+    latitude,
+    longitude,
+    altitude:
+      typeof altitude === "number"
+        ? read(GPS_TAGS.ALTITUDE_REF) === 1
+          ? -altitude
+          : altitude
+        : null,
+  };
+}
+
+// The handful of EXIF fields worth showing to people; null without EXIF.
+export function readExifSummary(buffer) {
+  const tiff = openTiff(buffer);
+  if (!tiff) {
+    return null;
+  }
+
+  const ifd0 = readIfd(tiff, tiff.ifd0Offset);
+  const exifIfd = readIfd(
+    tiff,
+    readTagValue(tiff, ifd0.get(EXIF_TAGS.EXIF_IFD)),
+  );
+  const read = (entries, tag) => {
+    const value = readTagValue(tiff, entries.get(tag));
+    return value === "" ? null : value;
+  };
+  const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+  return {
+    make: read(ifd0, EXIF_TAGS.MAKE),
+    model: read(ifd0, EXIF_TAGS.MODEL),
+    lens: read(exifIfd, EXIF_TAGS.LENS_MODEL),
+    exposureTime: read(exifIfd, EXIF_TAGS.EXPOSURE_TIME),
+    fNumber: read(exifIfd, EXIF_TAGS.F_NUMBER),
+    iso: first(read(exifIfd, EXIF_TAGS.ISO)),
+    focalLength: read(exifIfd, EXIF_TAGS.FOCAL_LENGTH),
+    takenAt: read(exifIfd, EXIF_TAGS.DATE_TIME_ORIGINAL),
+    width: read(exifIfd, EXIF_TAGS.PIXEL_WIDTH),
+    height: read(exifIfd, EXIF_TAGS.PIXEL_HEIGHT),
+    gps: readGps(tiff, readTagValue(tiff, ifd0.get(EXIF_TAGS.GPS_IFD))),
+  };
+}
@@ -0,0 +1,141 @@
+export const FOLDER_SEPARATOR = "/";
+
+export function normalizeFolderPath(value) {
+  if (typeof value !== "string") {
+    return "";
+  }
+  return value
+    .split(FOLDER_SEPARATOR)
+    .map((segment) => segment.trim())
+    .filter(Boolean)
+    .join(FOLDER_SEPARATOR);
+}
+
+export function joinFolderPath(parent, name) {
+  return normalizeFolderPath(
+    parent ? `${parent}${FOLDER_SEPARATOR}${name}` : name,
+  );
+}
+
+export function getFolderLabel(path) {
+  return path.split(FOLDER_SEPARATOR).pop() || path;
+}
+
+export function getParentFolder(path) {
+  const index = path.lastIndexOf(FOLDER_SEPARATOR);
+  return index > 0 ? path.slice(0, index) : null;
+}
+
+// "clients/acme/2026" -> ["clients", "clients/acme", "clients/acme/2026"]
+export function getFolderAncestors(path) {
+  const segments = path.split(FOLDER_SEPARATOR);
+  return segments.map((_, index) =>
+    segments.slice(0, index + 1).join(FOLDER_SEPARATOR),
+  );
+}
+
+export function isInFolder(path, folder) {
+  return (
+    typeof path === "string" &&
+    (path === folder || path.startsWith(`${folder}${FOLDER_SEPARATOR}`))
+  );
+}
+
+// Rewrites `path` when it is `from` or one of its descendants.
+export function replaceFolderPrefix(path, from, to) {
+  if (!isInFolder(path, from)) {
+    return path;
+  }
+  return `${to}${path.slice(from.length)}`;
+}
+
+function getItemName(item) {
+  if (typeof item === "string") {
+    return item;
+  }
+  return typeof item?.folderName === "string" ? item.folderName : "";
+}
+
+function getItemId(item) {
+  const id = item?.id ?? item?._id;
+  return id === undefined || id === null ? null : String(id);
+}
+
+// `/folder` either returns full paths ("clients/acme") or records that point
+// at their parent through `parentId`; both end up as full paths here.
+export function resolveFolderPaths(items) {
+  const byId = new Map();
+  items.forEach((item) => {
+    const id = getItemId(item);
+    if (id) {
+      byId.set(id, item);
+    }
+  });
+
+  function resolvePath(item) {
+    const segments = [];
+    const visited = new Set();
+    let current = item;
+
+    while (current) {
+      segments.unshift(getItemName(current));
+      const id = getItemId(current);
+      if (id) {
+        visited.add(id);
+      }
+      const parentId =
+        current.parentId === undefined || current.parentId === null
+          ? null
+          : String(current.parentId);
+      current = parentId && !visited.has(parentId) ? byId.get(parentId) : null;
+    }
+
+    return normalizeFolderPath(segments.join(FOLDER_SEPARATOR));
+  }
+
+  return items
+    .map((item) => ({
+      path: resolvePath(item),
+      photoCount: Number(
+        typeof item === "string" ? Number.NaN : item?.photoCount,
+      ),
+    }))
+    .filter((entry) => entry.path);
+}
+
+// Lists the folders directly below `parent` (or the top level when null),
+// including parents that only exist because a deeper folder does. Counts
+// include every photo further down the tree.
+export function getSubfolders(counts, parent = null) {
+  const children = new Map();
+
+  Object.entries(counts).forEach(([path, count]) => {
+    if (parent && !path.startsWith(`${parent}${FOLDER_SEPARATOR}`)) {
+      return;
+    }
+
+    const rest = parent ? path.slice(parent.length + 1) : path;
+    const [name, grandchild] = rest.split(FOLDER_SEPARATOR);
+    if (!name) {
+      return;
+    }
+
+    const childPath = parent ? `${parent}${FOLDER_SEPARATOR}${name}` : name;
+    const child = children.get(childPath) || {
+      path: childPath,
+      name,
+      count: 0,
+      subfolders: new Set(),
+    };
+    child.count += count;
+    if (grandchild) {
+      child.subfolders.add(grandchild);
+    }
+    children.set(childPath, child);
+  });
+
+  return Array.from(children.values()).map(({ subfolders, ...child }) => ({
+    ...child,
+    subfolderCount: subfolders.size,
+  }));
+}
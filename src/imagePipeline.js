@@ -0,0 +1,138 @@
+import { hasGpsData, readOrientation, stripGpsData } from "./exif";
+
+export const OUTPUT_FORMATS = {
+  ORIGINAL: "original",
+  JPEG: "image/jpeg",
+  WEBP: "image/webp",
+};
+
+// Animated and vector formats would be flattened by a canvas round-trip.
+const PASSTHROUGH_TYPES = ["image/gif", "image/svg+xml"];
+const ENCODABLE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+function getTargetType(file, format) {
+  if (format !== OUTPUT_FORMATS.ORIGINAL) {
+    return format;
+  }
+  return ENCODABLE_TYPES.includes(file.type) ? file.type : "image/jpeg";
+}
+
+function renameForType(name, type) {
+  const extension = EXTENSIONS[type];
+  if (!extension) {
+    return name;
+  }
+  const baseName = name.replace(/\.[^./]+$/, "") || "image";
+  return `${baseName}.${extension}`;
+}
+
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+function canvasToBlob(canvas, type, quality) {
+  if (typeof canvas.convertToBlob === "function") {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Could not encode image.")),
+      type,
+      quality,
+    );
+  });
+}
+
+async function encodeImage(file, { maxEdge, quality }, targetType) {
+  // "from-image" applies the EXIF orientation while decoding, so the pixels we
+  // draw are already upright and the re-encoded file needs no orientation tag.
+  const bitmap = await createImageBitmap(file, {
+    imageOrientation: "from-image",
+  });
+
+  try {
+    const longestEdge = Math.max(bitmap.width, bitmap.height);
+    const scale =
+      maxEdge > 0 && longestEdge > maxEdge ? maxEdge / longestEdge : 1;
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext("2d");
+
+    if (targetType === "image/jpeg") {
+      context.fillStyle = "#ffffff";
+      context.fillRect(0, 0, width, height);
+    }
+    context.imageSmoothingQuality = "high";
+    context.drawImage(bitmap, 0, 0, width, height);
+
+    return await canvasToBlob(canvas, targetType, quality);
+  } finally {
+    bitmap.close();
+  }
+}
+
+async function getImageSize(file) {
+  const bitmap = await createImageBitmap(file);
+  const size = { width: bitmap.width, height: bitmap.height };
+  bitmap.close();
+  return size;
+}
+
+export async function runImagePipeline(file, options) {
+  const unchanged = {
+    blob: file,
+    name: file.name,
+    type: file.type,
+    changed: false,
+  };
+  if (
+    !file.type.startsWith("image/") ||
+    PASSTHROUGH_TYPES.includes(file.type)
+  ) {
+    return unchanged;
+  }
+
+  const targetType = getTargetType(file, options.format);
+  const isJpeg = file.type === "image/jpeg";
+  const buffer = isJpeg ? await file.arrayBuffer() : null;
+  const orientation = buffer ? readOrientation(buffer) : 1;
+  const { width, height } = await getImageSize(file);
+  const needsResize =
+    options.maxEdge > 0 && Math.max(width, height) > options.maxEdge;
+  const needsConversion = targetType !== file.type;
+
+  // Canvas re-encoding drops every metadata block, GPS included.
+  if (needsResize || needsConversion || orientation !== 1) {
+    return {
+      blob: await encodeImage(file, options, targetType),
+      name: renameForType(file.name, targetType),
+      type: targetType,
+      changed: true,
+    };
+  }
+
+  if (options.stripGps && buffer && hasGpsData(buffer)) {
+    return {
+      blob: new Blob([stripGpsData(buffer)], { type: file.type }),
+      name: file.name,
+      type: file.type,
+      changed: true,
+    };
+  }
+
+  return unchanged;
+}
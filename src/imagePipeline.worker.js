@@ -0,0 +1,12 @@
+import { runImagePipeline } from "./imagePipeline";
+
+self.addEventListener("message", async (event) => {
+  const { id, file, options } = event.data;
+
+  try {
+    const result = await runImagePipeline(file, options);
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || "Image processing failed." });
+  }
+});
@@ -0,0 +1,112 @@
+import { OUTPUT_FORMATS, runImagePipeline } from "./imagePipeline";
+
+export { OUTPUT_FORMATS };
+
+const STORAGE_KEY = "imageProcessing";
+
+export const DEFAULT_IMAGE_PROCESSING = {
+  enabled: false,
+  maxEdge: 2560,
+  format: OUTPUT_FORMATS.JPEG,
+  quality: 0.85,
+  stripGps: true,
+};
+
+export function loadImageProcessingOptions() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_IMAGE_PROCESSING, ...(stored || {}) };
+  } catch (err) {
+    return { ...DEFAULT_IMAGE_PROCESSING };
+  }
+}
+
+export function saveImageProcessingOptions(options) {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+}
+
+let worker = null;
+let workerUnavailable = false;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+function getWorker() {
+  if (worker || workerUnavailable) {
+    return worker;
+  }
+
+  try {
+    worker = new Worker(new URL("./imagePipeline.worker.js", import.meta.url), {
+      type: "module",
+    });
+  } catch (err) {
+    workerUnavailable = true;
+    return null;
+  }
+
+  worker.addEventListener("message", (event) => {
+    const { id, result, error } = event.data;
+    const request = pendingRequests.get(id);
+    pendingRequests.delete(id);
+    if (!request) {
+      return;
+    }
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  });
+
+  worker.addEventListener("error", () => {
+    workerUnavailable = true;
+    worker.terminate();
+    worker = null;
+    pendingRequests.forEach((request) => request.retryOnMainThread());
+    pendingRequests.clear();
+  });
+
+  return worker;
+}
+
+function runInWorker(file, options) {
+  const activeWorker = getWorker();
+  if (!activeWorker || typeof OffscreenCanvas === "undefined") {
+    return runImagePipeline(file, options);
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId;
+    nextRequestId += 1;
+    pendingRequests.set(id, {
+      resolve,
+      reject,
+      retryOnMainThread: () =>
+        runImagePipeline(file, options).then(resolve, reject),
+    });
+    activeWorker.postMessage({ id, file, options });
+  });
+}
+
+export async function processImageFile(file, options) {
+  if (!options?.enabled || !file.type.startsWith("image/")) {
+    return file;
+  }
+
+  // Browsers cannot decode every image (HEIC, TIFF, camera RAW); those are
+  // uploaded exactly as picked.
+  let result;
+  try {
+    result = await runInWorker(file, options);
+  } catch (err) {
+    return file;
+  }
+  if (!result.changed) {
+    return file;
+  }
+
+  return new File([result.blob], result.name, {
+    type: result.type,
+    lastModified: file.lastModified,
+  });
+}
@@ -0,0 +1,88 @@
+export const MEDIA_TYPES = {
+  IMAGE: "image",
+  VIDEO: "video",
+  GIFV: "gifv",
+  AUDIO: "audio",
+};
+
+export const UPLOAD_ACCEPT = "image/*,video/*,audio/*";
+
+// Mastodon's own defaults, overridable per deployment.
+const DEFAULT_UPLOAD_LIMITS_MB = {
+  [MEDIA_TYPES.IMAGE]: 16,
+  [MEDIA_TYPES.VIDEO]: 99,
+  [MEDIA_TYPES.AUDIO]: 99,
+};
+
+const UPLOAD_LIMIT_ENV = {
+  [MEDIA_TYPES.IMAGE]: import.meta.env.VITE_MAX_IMAGE_UPLOAD_MB,
+  [MEDIA_TYPES.VIDEO]: import.meta.env.VITE_MAX_VIDEO_UPLOAD_MB,
+  [MEDIA_TYPES.AUDIO]: import.meta.env.VITE_MAX_AUDIO_UPLOAD_MB,
+};
+
+// Attachments without a type predate typed attachments and are images.
+export function getMediaType(attachmentType) {
+  if (!attachmentType) {
+    return MEDIA_TYPES.IMAGE;
+  }
+  return Object.values(MEDIA_TYPES).includes(attachmentType)
+    ? attachmentType
+    : null;
+}
+
+export function getFileMediaType(file) {
+  const [kind] = (file.type || "").split("/");
+  if (kind === "image") {
+    return MEDIA_TYPES.IMAGE;
+  }
+  if (kind === "video") {
+    return MEDIA_TYPES.VIDEO;
+  }
+  if (kind === "audio") {
+    return MEDIA_TYPES.AUDIO;
+  }
+  return null;
+}
+
+export function getUploadSizeLimit(mediaType) {
+  const configured = Number(UPLOAD_LIMIT_ENV[mediaType]);
+  const megabytes =
+    Number.isFinite(configured) && configured > 0
+      ? configured
+      : DEFAULT_UPLOAD_LIMITS_MB[mediaType];
+  return megabytes * 1024 * 1024;
+}
+
+// "" when the file is within the limit for its media type.
+export function getUploadSizeError(file) {
+  const mediaType = getFileMediaType(file);
+  const limit = getUploadSizeLimit(mediaType);
+  return limit && file.size > limit
+    ? `${mediaType[0].toUpperCase()}${mediaType.slice(1)} files are limited to ${Math.round(limit / (1024 * 1024))} MB.`
+    : "";
+}
+
+// Runs after image processing, so a large photo that shrinks below the limit
+// still goes through. Retrying would only fail the same way.
+export function assertUploadSize(file) {
+  const message = getUploadSizeError(file);
+  if (message) {
+    const error = new Error(message);
+    error.retryable = false;
+    throw error;
+  }
+  return file;
+}
+
+export function formatDuration(seconds) {
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    return "";
+  }
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const rest = String(total % 60).padStart(2, "0");
+  return hours
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${rest}`
+    : `${minutes}:${rest}`;
+}
@@ -0,0 +1,74 @@
+import axios from "axios";
+import { parseJsonTolerant, reportDiagnostic } from "./attachmentParser";
+
+export const PAGE_SIZE = 40;
+
+// Parses an RFC 8288 Link header, e.g. `<https://…?max_id=9>; rel="next"`.
+export function parseLinkHeader(value) {
+  const links = {};
+  if (typeof value !== "string") {
+    return links;
+  }
+
+  // URLs may contain commas themselves, so only split where a new link starts.
+  value.split(/,\s*(?=<)/).forEach((part) => {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+    if (match) {
+      match[2].split(/\s+/).forEach((rel) => {
+        links[rel] = match[1];
+      });
+    }
+  });
+
+  return links;
+}
+
+// A cursor is either the backend's own `next` link or a Mastodon `max_id`.
+export async function fetchStatusPage(path, { cursor = null, sinceId } = {}) {
+  const response = cursor?.url
+    ? await axios.get(cursor.url)
+    : await axios.get(path, {
+        params: {
+          limit: PAGE_SIZE,
+          max_id: cursor?.maxId,
+          since_id: sinceId,
+        },
+      });
+
+  // Some proxies hand back the list as text (wrong content type, stray BOM).
+  const data =
+    typeof response.data === "string"
+      ? parseJsonTolerant(response.data).value
+      : response.data;
+  if (!Array.isArray(data)) {
+    reportDiagnostic(`Expected a list of statuses from ${path}`, response.data);
+  }
+  const items = Array.isArray(data) ? data : [];
+  const links = parseLinkHeader(response.headers?.link);
+  const lastId = items[items.length - 1]?.id;
+  let next = null;
+
+  if (links.next) {
+    next = { url: links.next };
+  } else if (items.length === PAGE_SIZE && lastId) {
+    next = { maxId: String(lastId) };
+  }
+
+  // A backend that ignores `limit` returns everything at once; treat that as
+  // the last page instead of asking for the same data again.
+  if (items.length > PAGE_SIZE && !links.next) {
+    next = null;
+  }
+
+  return {
+    items,
+    next,
+    newestId: items[0]?.id ? String(items[0].id) : null,
+  };
+}
+
+export function mergePhotos(existing, incoming, { prepend = false } = {}) {
+  const seen = new Set(existing.map((photo) => photo.id));
+  const fresh = incoming.filter((photo) => !seen.has(photo.id));
+  return prepend ? [...fresh, ...existing] : [...existing, ...fresh];
+}
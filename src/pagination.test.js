@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { parseLinkHeader } from "./pagination";
+
+describe("parseLinkHeader", () => {
+  it("reads each rel", () => {
+    expect(
+      parseLinkHeader(
+        '<https://cloud.example/api/statuses?max_id=9>; rel="next", <https://cloud.example/api/statuses?since_id=40>; rel="prev"',
+      ),
+    ).toEqual({
+      next: "https://cloud.example/api/statuses?max_id=9",
+      prev: "https://cloud.example/api/statuses?since_id=40",
+    });
+  });
+
+  it("keeps commas inside a URL", () => {
+    expect(
+      parseLinkHeader(
+        '<https://cloud.example/api/statuses?tags=a,b&max_id=9>; rel="next"',
+      ),
+    ).toEqual({ next: "https://cloud.example/api/statuses?tags=a,b&max_id=9" });
+  });
+
+  it("ignores anything that is not a header value", () => {
+    expect(parseLinkHeader(undefined)).toEqual({});
+  });
+});
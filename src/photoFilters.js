@@ -0,0 +1,219 @@
+import { getPhotoFileName } from "./downloads";
+import { isInFolder } from "./folderTree";
+
+export const SORT_ORDERS = {
+  NEWEST: "newest",
+  OLDEST: "oldest",
+  SIZE: "size",
+  FOLDER: "folder",
+};
+
+export const DEFAULT_PHOTO_FILTERS = {
+  query: "",
+  folder: "",
+  from: "",
+  to: "",
+  minMb: "",
+  maxMb: "",
+  type: "",
+  sort: SORT_ORDERS.NEWEST,
+};
+
+// Filter field -> query string key. `folder` is already taken by the photo
+// route, so the folder filter lives under `in`.
+const QUERY_KEYS = {
+  query: "q",
+  folder: "in",
+  from: "from",
+  to: "to",
+  minMb: "min_mb",
+  maxMb: "max_mb",
+  type: "type",
+  sort: "sort",
+};
+
+const TYPE_ALIASES = {
+  jpg: "jpeg",
+  jpe: "jpeg",
+  tif: "tiff",
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+export function parsePhotoFilters(search) {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_PHOTO_FILTERS };
+
+  Object.entries(QUERY_KEYS).forEach(([field, key]) => {
+    const value = params.get(key);
+    if (value !== null) {
+      filters[field] = value;
+    }
+  });
+
+  if (!Object.values(SORT_ORDERS).includes(filters.sort)) {
+    filters.sort = DEFAULT_PHOTO_FILTERS.sort;
+  }
+  return filters;
+}
+
+// Only values that differ from the defaults end up in the URL.
+export function buildFilterParams(filters = DEFAULT_PHOTO_FILTERS) {
+  const params = new URLSearchParams();
+  Object.entries(QUERY_KEYS).forEach(([field, key]) => {
+    const value = String(filters[field] ?? "").trim();
+    if (value && value !== DEFAULT_PHOTO_FILTERS[field]) {
+      params.set(key, value);
+    }
+  });
+  return params;
+}
+
+export function hasActiveFilters(filters) {
+  return Object.keys(DEFAULT_PHOTO_FILTERS).some(
+    (field) =>
+      field !== "sort" &&
+      String(filters[field] ?? "").trim() !== DEFAULT_PHOTO_FILTERS[field],
+  );
+}
+
+export function getPhotoFileType(photo) {
+  const url = photo.originalUrl || photo.url || "";
+  const match = url.match(/\.([a-z0-9]{2,5})(?:$|[?#])/i);
+  const extension = match?.[1]?.toLowerCase() || "";
+  return TYPE_ALIASES[extension] || extension;
+}
+
+// `size` arrives as bytes, a numeric string or a label such as "1.2 MB", and
+// is null when the backend does not know it.
+export function getPhotoBytes(photo) {
+  if (typeof photo.size === "number") {
+    return Number.isFinite(photo.size) ? photo.size : null;
+  }
+
+  const match = String(photo.size ?? "")
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+  if (!match) {
+    return null;
+  }
+  return Number(match[1]) * SIZE_UNITS[(match[2] || "b").toLowerCase()];
+}
+
+export function getFileTypeOptions(photos) {
+  return Array.from(
+    new Set(photos.map(getPhotoFileType).filter(Boolean)),
+  ).sort();
+}
+
+function getTime(photo) {
+  const time = new Date(photo.uploadedAt).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+function stripHtml(value) {
+  return value.replace(/<[^>]*>/g, " ");
+}
+
+function getSearchText(photo) {
+  return [
+    photo.description || "",
+    stripHtml(photo.content || ""),
+    ...(photo.tags || []).map((tag) => `#${tag}`),
+    getPhotoFileName(photo),
+  ]
+    .join(" ")
+    .toLowerCase();
+}
+
+function parseDayBoundary(value, endOfDay) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00`);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  if (endOfDay) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date.getTime();
+}
+
+function parseMegabytes(value) {
+  const number = Number.parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number * SIZE_UNITS.mb : null;
+}
+
+function comparePhotos(sort) {
+  const byNewest = (a, b) =>
+    (getTime(b) ?? -Infinity) - (getTime(a) ?? -Infinity);
+
+  if (sort === SORT_ORDERS.OLDEST) {
+    return (a, b) => (getTime(a) ?? Infinity) - (getTime(b) ?? Infinity);
+  }
+  if (sort === SORT_ORDERS.SIZE) {
+    return (a, b) =>
+      (getPhotoBytes(b) ?? -1) - (getPhotoBytes(a) ?? -1) || byNewest(a, b);
+  }
+  if (sort === SORT_ORDERS.FOLDER) {
+    // Photos without a folder go last.
+    return (a, b) =>
+      Number(!a.folder) - Number(!b.folder) ||
+      (a.folder || "").localeCompare(b.folder || "") ||
+      byNewest(a, b);
+  }
+  return byNewest;
+}
+
+export function filterAndSortPhotos(photos, filters) {
+  if (!hasActiveFilters(filters) && filters.sort === SORT_ORDERS.NEWEST) {
+    return photos;
+  }
+
+  const terms = filters.query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const folder = filters.folder.trim();
+  const from = parseDayBoundary(filters.from, false);
+  const to = parseDayBoundary(filters.to, true);
+  const minBytes = parseMegabytes(filters.minMb);
+  const maxBytes = parseMegabytes(filters.maxMb);
+
+  const matches = photos.filter((photo) => {
+    if (folder && !isInFolder(photo.folder, folder)) {
+      return false;
+    }
+    if (filters.type && getPhotoFileType(photo) !== filters.type) {
+      return false;
+    }
+
+    if (from !== null || to !== null) {
+      const time = getTime(photo);
+      if (
+        time === null ||
+        (from !== null && time < from) ||
+        (to !== null && time >= to)
+      ) {
+        return false;
+      }
+    }
+
+    if (minBytes !== null || maxBytes !== null) {
+      const bytes = getPhotoBytes(photo);
+      if (
+        bytes === null ||
+        (minBytes !== null && bytes < minBytes) ||
+        (maxBytes !== null && bytes > maxBytes)
+      ) {
+        return false;
+      }
+    }
+
+    if (terms.length) {
+      const text = getSearchText(photo);
+      return terms.every((term) => text.includes(term));
+    }
+    return true;
+  });
+
+  return matches.sort(comparePhotos(filters.sort));
+}
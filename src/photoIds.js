@@ -0,0 +1,26 @@
+// 53-bit string hash (cyrb53); plenty for telling photos in one library apart.
+export function hashString(value) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let index = 0; index < value.length; index += 1) {
+    const code = value.charCodeAt(index);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+// Photo ids have to survive a refetch: React keys, the selection and the
+// open lightbox all hold on to them. The attachment id is preferred; without
+// one the URL and upload date are the most stable things we have.
+export function getPhotoId({ statusId, attachmentId, url, uploadedAt }) {
+  const owner = statusId || "photo";
+  if (attachmentId) {
+    return `${owner}-${attachmentId}`;
+  }
+  return `${owner}-${hashString(`${url || ""}|${uploadedAt || ""}`)}`;
+}
@@ -0,0 +1,159 @@
+import axios from "axios";
+import { readExifSummary } from "./exif";
+import { MEDIA_TYPES } from "./mediaTypes";
+import { getPhotoBytes, getPhotoFileType } from "./photoFilters";
+
+const infoCache = new Map();
+
+function readDimensions(meta) {
+  const width = Number(meta?.width);
+  const height = Number(meta?.height);
+  if (width > 0 && height > 0) {
+    return { width, height };
+  }
+
+  // Mastodon also reports "size" as "640x480".
+  const match = String(meta?.size || "").match(/^(\d+)x(\d+)$/);
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+}
+
+// Keeps only the parts of Mastodon's attachment `meta` the UI reads.
+export function normalizeAttachmentMeta(meta) {
+  if (!meta || typeof meta !== "object") {
+    return null;
+  }
+
+  const original = readDimensions(meta.original);
+  const small = readDimensions(meta.small);
+  const duration = Number(meta.original?.duration ?? meta.duration);
+  return original || small || Number.isFinite(duration)
+    ? {
+        original,
+        small,
+        duration: Number.isFinite(duration) ? duration : null,
+      }
+    : null;
+}
+
+function readMimeType(value) {
+  return (value || "").split(";")[0].trim();
+}
+
+// EXIF lives in the APP1 segment at the start of a JPEG, which is at most
+// 64 KB long.
+const EXIF_BYTES = 64 * 1024;
+
+function readTotalBytes(response) {
+  const range = (response.headers.get("content-range") || "").match(/\/(\d+)$/);
+  const bytes = range
+    ? Number(range[1])
+    : response.status === 200
+      ? Number(response.headers.get("content-length"))
+      : NaN;
+  return Number.isFinite(bytes) && bytes > 0 ? bytes : null;
+}
+
+// Reads no more than the first `length` bytes, even from a server that
+// ignores the Range header and starts sending the whole file.
+async function fetchLeadingBytes(url, length) {
+  const response = await fetch(url, {
+    headers: { Range: `bytes=0-${length - 1}` },
+  });
+  if (!response.ok) {
+    throw new Error(`Could not read ${url}`);
+  }
+
+  const bytes = new Uint8Array(length);
+  let received = 0;
+  const reader = response.body.getReader();
+  while (received < length) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    const chunk = value.subarray(0, length - received);
+    bytes.set(chunk, received);
+    received += chunk.length;
+  }
+  reader.cancel().catch(() => {});
+
+  return {
+    buffer: bytes.buffer.slice(0, received),
+    bytes: readTotalBytes(response),
+    mimeType: readMimeType(response.headers.get("content-type")),
+  };
+}
+
+function readExif(buffer) {
+  try {
+    return readExifSummary(buffer);
+  } catch (err) {
+    // The segment was cut off by the range.
+    return null;
+  }
+}
+
+// Video and audio files are too large to download just for their headers.
+async function fetchMediaInfo(url, photo) {
+  const response = await axios.head(url);
+  const bytes = Number(response.headers?.["content-length"]);
+  return {
+    bytes:
+      getPhotoBytes(photo) ??
+      (Number.isFinite(bytes) && bytes > 0 ? bytes : null),
+    mimeType: readMimeType(response.headers?.["content-type"]),
+    dimensions: photo.meta?.original || null,
+    exif: null,
+  };
+}
+
+// What the backend reports wins. Only JPEGs (for EXIF) and photos the backend
+// says little about are read, and then only their first bytes.
+async function fetchPhotoInfo(url, photo) {
+  const fileType = getPhotoFileType(photo);
+  const knownBytes = getPhotoBytes(photo);
+  const knownDimensions = photo.meta?.original || null;
+  if (fileType && fileType !== "jpeg" && knownBytes && knownDimensions) {
+    return {
+      bytes: knownBytes,
+      mimeType: `image/${fileType}`,
+      dimensions: knownDimensions,
+      exif: null,
+    };
+  }
+
+  const head = await fetchLeadingBytes(url, EXIF_BYTES);
+  const exif = /jpe?g/i.test(head.mimeType || fileType)
+    ? readExif(head.buffer)
+    : null;
+  const exifDimensions =
+    exif?.width && exif?.height
+      ? { width: exif.width, height: exif.height }
+      : null;
+
+  return {
+    bytes: knownBytes ?? head.bytes,
+    mimeType: head.mimeType || (fileType ? `image/${fileType}` : ""),
+    dimensions: knownDimensions || exifDimensions,
+    exif,
+  };
+}
+
+// Reads what the backend left out, once per URL. Requests are not aborted
+// when the lightbox moves on, so stepping back to a photo reuses the result
+// instead of fetching it again.
+export function loadPhotoInfo(photo) {
+  const url = photo.originalUrl || photo.url;
+  if (!infoCache.has(url)) {
+    const load =
+      photo.mediaType && photo.mediaType !== MEDIA_TYPES.IMAGE
+        ? fetchMediaInfo
+        : fetchPhotoInfo;
+    const request = load(url, photo).catch((err) => {
+      infoCache.delete(url);
+      throw err;
+    });
+    infoCache.set(url, request);
+  }
+  return infoCache.get(url);
+}
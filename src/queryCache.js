@@ -0,0 +1,107 @@
+// A small keyed cache for backend reads. Concurrent reads of one key share a
+// request, cached data is served right away and refreshed once it is stale,
+// and mutations invalidate keys so whoever is showing them refetches.
+
+export const DEFAULT_STALE_TIME = 30 * 1000;
+
+const entries = new Map();
+const listeners = new Map();
+
+function getEntry(key) {
+  if (!entries.has(key)) {
+    entries.set(key, { data: undefined, updatedAt: 0, promise: null });
+  }
+  return entries.get(key);
+}
+
+export function getQueryData(key) {
+  return entries.get(key)?.data;
+}
+
+export function isQueryStale(key, staleTime = DEFAULT_STALE_TIME) {
+  const entry = entries.get(key);
+  return !entry || Date.now() - entry.updatedAt > staleTime;
+}
+
+// Writes data without a request, e.g. an optimistic update; `updater` gets
+// the current data when it is a function. Freshness is left alone, since
+// the server has not confirmed the change.
+export function setQueryData(key, updater) {
+  const entry = getEntry(key);
+  entry.data = typeof updater === "function" ? updater(entry.data) : updater;
+  return entry.data;
+}
+
+export function fetchQuery(
+  key,
+  fetcher,
+  { force = false, staleTime = DEFAULT_STALE_TIME } = {},
+) {
+  const entry = getEntry(key);
+  if (entry.promise) {
+    return entry.promise;
+  }
+  if (!force && entry.data !== undefined && !isQueryStale(key, staleTime)) {
+    return Promise.resolve(entry.data);
+  }
+
+  const promise = fetcher()
+    .then((data) => {
+      if (entry.promise === promise) {
+        entry.data = data;
+        entry.updatedAt = Date.now();
+      }
+      return data;
+    })
+    .finally(() => {
+      if (entry.promise === promise) {
+        entry.promise = null;
+      }
+    });
+  entry.promise = promise;
+  return promise;
+}
+
+// `listener` runs when the key is invalidated; whatever it returns is
+// awaited by `invalidateQueries`.
+export function subscribeToQuery(key, listener) {
+  if (!listeners.has(key)) {
+    listeners.set(key, new Set());
+  }
+  listeners.get(key).add(listener);
+  return () => {
+    listeners.get(key)?.delete(listener);
+  };
+}
+
+// Marks every key matching `match` (a key prefix or a predicate) stale and
+// resolves once the subscribers showing those keys have refetched. Keys
+// nobody shows right now are refetched the next time they are read.
+export function invalidateQueries(match) {
+  const matches =
+    typeof match === "function" ? match : (key) => key.startsWith(match);
+  const keys = new Set([...entries.keys(), ...listeners.keys()]);
+  const refetches = [];
+
+  keys.forEach((key) => {
+    if (!matches(key)) {
+      return;
+    }
+    const entry = entries.get(key);
+    if (entry) {
+      entry.updatedAt = 0;
+      // A request started before the change may carry old data.
+      entry.promise = null;
+    }
+    listeners.get(key)?.forEach((listener) => {
+      refetches.push(listener());
+    });
+  });
+
+  return Promise.all(refetches);
+}
+
+// Drops everything, e.g. when another user signs in on this device.
+export function clearQueryCache() {
+  entries.clear();
+}
@@ -0,0 +1,147 @@
+import { buildFilterParams, parsePhotoFilters } from "./photoFilters";
+
+export const TABS = {
+  ALL_PHOTOS: "allPhotos",
+  FOLDERS: "folders",
+  TIMELINE: "timeline",
+  TRASH: "trash",
+  DUPLICATES: "duplicates",
+};
+
+function encodePath(value) {
+  return value.split("/").map(encodeURIComponent).join("/");
+}
+
+function decodePath(value) {
+  try {
+    return value.split("/").filter(Boolean).map(decodeURIComponent).join("/");
+  } catch (err) {
+    return "";
+  }
+}
+
+function getViewRoute(tab, filters, folder = null) {
+  return { tab, folder, photoStatusId: null, photoAttachmentId: null, filters };
+}
+
+// Routes:
+//   /                        All Photos
+//   /timeline                Timeline
+//   /trash                   Trash
+//   /duplicates              near-duplicate groups in the loaded photos
+//   /folders                 folder list
+//   /folders/:name           one folder (names may contain "/")
+//   /photo/:statusId[/:attachmentId]
+//                            lightbox, over All Photos, ?view=timeline or
+//                            ?folder=:name; without an attachment id the
+//                            status's first photo opens
+//   /shared/:token           read-only viewer for a share link (see
+//                            parseShareToken; works signed out)
+// Views that show photos also carry the search/filter/sort state in the query.
+export function parseLocation(location) {
+  const pathname = location.pathname.replace(/\/+$/, "") || "/";
+  const params = new URLSearchParams(location.search);
+  const photoMatch = pathname.match(/^\/photo\/([^/]+)(?:\/([^/]+))?$/);
+  const filters = parsePhotoFilters(location.search);
+
+  if (photoMatch) {
+    const folder = params.get("folder") || null;
+    const tab = folder
+      ? TABS.FOLDERS
+      : params.get("view") === TABS.TIMELINE
+        ? TABS.TIMELINE
+        : TABS.ALL_PHOTOS;
+    return {
+      tab,
+      folder,
+      photoStatusId: decodePath(photoMatch[1]) || null,
+      photoAttachmentId: decodePath(photoMatch[2] || "") || null,
+      filters,
+    };
+  }
+
+  if (pathname === "/timeline") {
+    return getViewRoute(TABS.TIMELINE, filters);
+  }
+
+  if (pathname === "/trash") {
+    return getViewRoute(TABS.TRASH, filters);
+  }
+
+  if (pathname === "/duplicates") {
+    return getViewRoute(TABS.DUPLICATES, filters);
+  }
+
+  if (pathname === "/folders" || pathname.startsWith("/folders/")) {
+    return getViewRoute(
+      TABS.FOLDERS,
+      filters,
+      decodePath(pathname.slice("/folders".length)) || null,
+    );
+  }
+
+  return getViewRoute(TABS.ALL_PHOTOS, filters);
+}
+
+function withQuery(path, params) {
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+}
+
+export function buildPath({
+  tab,
+  folder,
+  photoStatusId,
+  photoAttachmentId,
+  filters,
+}) {
+  const contextFolder = tab === TABS.FOLDERS && folder ? folder : null;
+  const params = buildFilterParams(filters);
+
+  if (photoStatusId) {
+    if (contextFolder) {
+      params.set("folder", contextFolder);
+    } else if (tab === TABS.TIMELINE) {
+      params.set("view", TABS.TIMELINE);
+    }
+    const photoPath = [photoStatusId, photoAttachmentId]
+      .filter(Boolean)
+      .map(encodeURIComponent)
+      .join("/");
+    return withQuery(`/photo/${photoPath}`, params);
+  }
+
+  if (tab === TABS.FOLDERS) {
+    return contextFolder
+      ? withQuery(`/folders/${encodePath(contextFolder)}`, params)
+      : "/folders";
+  }
+
+  if (tab === TABS.TIMELINE) {
+    return withQuery("/timeline", params);
+  }
+
+  if (tab === TABS.TRASH) {
+    return "/trash";
+  }
+
+  if (tab === TABS.DUPLICATES) {
+    return "/duplicates";
+  }
+
+  return withQuery("/", params);
+}
+
+export function getCurrentPath() {
+  return `${window.location.pathname}${window.location.search}`;
+}
+
+// Share links live outside the signed-in app, so they are matched first.
+export function parseShareToken(location) {
+  const match = location.pathname.match(/^\/shared\/([^/]+)\/?$/);
+  return match ? decodePath(match[1]) || null : null;
+}
+
+export function buildSharePath(token) {
+  return `/shared/${encodeURIComponent(token)}`;
+}
@@ -0,0 +1,71 @@
+// Talks to public/sw.js. The worker only runs in production builds, since the
+// dev server serves unbundled modules it would otherwise cache.
+
+const QUEUED_HEADER = "x-cloudit-queued";
+
+let accessTokenProvider = null;
+
+// The worker stores queued requests without their bearer token and asks for
+// a current one when it replays them; `provider` resolves to that token.
+export function setAccessTokenProvider(provider) {
+  accessTokenProvider = provider;
+}
+
+function answerTokenRequest(event) {
+  const [port] = event.ports;
+  if (event.data?.type !== "access-token" || !port) {
+    return;
+  }
+  Promise.resolve(accessTokenProvider ? accessTokenProvider() : null)
+    .catch(() => null)
+    .then((token) => port.postMessage({ token: token || null }));
+}
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) {
+    return;
+  }
+
+  navigator.serviceWorker.addEventListener("message", answerTokenRequest);
+
+  window.addEventListener("load", () => {
+    // Without the worker the app still works, just not offline.
+    navigator.serviceWorker.register("/sw.js").catch(() => {});
+  });
+}
+
+// The worker answers requests it had to keep for later with 202 and this header.
+export function isQueuedResponse(response) {
+  return response?.headers?.[QUEUED_HEADER] === "1";
+}
+
+// Calls `onChange({ pending, replayed, failed })` whenever the worker's queue
+// changes; returns an unsubscribe function.
+export function subscribeToOfflineQueue(onChange) {
+  if (!("serviceWorker" in navigator)) {
+    return () => {};
+  }
+
+  function handleMessage(event) {
+    if (event.data?.type === "offline-queue") {
+      onChange(event.data);
+    }
+  }
+
+  navigator.serviceWorker.addEventListener("message", handleMessage);
+  navigator.serviceWorker.ready.then((registration) => {
+    registration.active?.postMessage({ type: "status" });
+  });
+  return () =>
+    navigator.serviceWorker.removeEventListener("message", handleMessage);
+}
+
+// Browsers without Background Sync rely on this when they come back online.
+export function replayOfflineQueue() {
+  navigator.serviceWorker?.controller?.postMessage({ type: "replay" });
+}
+
+// Cached library data and queued work belong to whoever was signed in.
+export function clearOfflineData() {
+  navigator.serviceWorker?.controller?.postMessage({ type: "clear-user-data" });
+}
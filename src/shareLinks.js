@@ -0,0 +1,55 @@
+import { buildSharePath } from "./routes";
+
+export const SHARE_TYPES = {
+  FOLDER: "folder",
+  PHOTO: "photo",
+};
+
+const DEFAULT_EXPIRY_DAYS = 7;
+
+export function getShareUrl(token) {
+  return `${window.location.origin}${buildSharePath(token)}`;
+}
+
+// `YYYY-MM-DD` for a date input, a week out by default.
+export function getDefaultExpiryDate(days = DEFAULT_EXPIRY_DAYS) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Links expire at the end of the chosen day, local time.
+export function toExpiryTimestamp(dateValue) {
+  const [year, month, day] = dateValue.split("-").map(Number);
+  return new Date(year, month - 1, day, 23, 59, 59).toISOString();
+}
+
+export function isShareExpired(link, now = Date.now()) {
+  return Boolean(link.expiresAt) && new Date(link.expiresAt).getTime() <= now;
+}
+
+// Accepts camelCase or snake_case fields from the backend.
+export function normalizeShareLink(raw) {
+  const token = String(raw?.token || raw?.id || "");
+  return {
+    id: String(raw?.id || token),
+    token,
+    url: raw?.url || (token ? getShareUrl(token) : ""),
+    type:
+      raw?.type === SHARE_TYPES.PHOTO ? SHARE_TYPES.PHOTO : SHARE_TYPES.FOLDER,
+    folder: raw?.folder || raw?.folderName || "",
+    statusId: String(raw?.status_id || raw?.statusId || ""),
+    attachmentId: String(raw?.attachment_id || raw?.attachmentId || ""),
+    expiresAt: raw?.expires_at || raw?.expiresAt || null,
+    createdAt: raw?.created_at || raw?.createdAt || null,
+    hasPassword: Boolean(raw?.has_password ?? raw?.hasPassword),
+  };
+}
+
+export function describeShareTarget(link) {
+  return link.type === SHARE_TYPES.PHOTO
+    ? `Photo ${link.statusId || ""}`.trim()
+    : `Folder "${link.folder}"`;
+}
@@ -0,0 +1,214 @@
+import { createHash, randomBytes } from "node:crypto";
+import { createServer } from "node:http";
+
+// A Mastodon-shaped OAuth2 provider for tests: authorization code + PKCE
+// (S256 only), rotating refresh tokens, revocation, verify_credentials and
+// one protected /api/statuses resource. Listens on a random local port.
+
+function toBase64Url(buffer) {
+  return buffer
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function randomToken() {
+  return toBase64Url(randomBytes(24));
+}
+
+function readBody(request) {
+  return new Promise((resolve) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+    });
+    request.on("end", () => resolve(new URLSearchParams(body)));
+  });
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  response.end(JSON.stringify(body));
+}
+
+export async function startMockOAuthProvider({
+  clientId = "test-client",
+  accounts = [{ id: "1", username: "alice", display_name: "Alice" }],
+  expiresIn = 3600,
+} = {}) {
+  const codes = new Map();
+  const accessTokens = new Map();
+  const refreshTokens = new Map();
+  const requests = [];
+  let tokenEndpointMode = "ok";
+  let nextAccountIndex = 0;
+
+  function issueTokens(accountId) {
+    const accessToken = randomToken();
+    const refreshToken = randomToken();
+    accessTokens.set(accessToken, accountId);
+    refreshTokens.set(refreshToken, accountId);
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      token_type: "Bearer",
+      expires_in: expiresIn,
+    };
+  }
+
+  function authorize(url, response) {
+    const params = url.searchParams;
+    const redirectUri = params.get("redirect_uri");
+    if (
+      params.get("client_id") !== clientId ||
+      params.get("response_type") !== "code" ||
+      params.get("code_challenge_method") !== "S256" ||
+      !params.get("code_challenge") ||
+      !redirectUri
+    ) {
+      sendJson(response, 400, { error: "invalid_request" });
+      return;
+    }
+
+    const code = randomToken();
+    const account = accounts[nextAccountIndex % accounts.length];
+    codes.set(code, {
+      challenge: params.get("code_challenge"),
+      redirectUri,
+      accountId: account.id,
+    });
+    const location = new URL(redirectUri);
+    location.searchParams.set("code", code);
+    location.searchParams.set("state", params.get("state") || "");
+    response.writeHead(302, { Location: location.toString() });
+    response.end();
+  }
+
+  async function token(request, response) {
+    if (tokenEndpointMode === "unreachable") {
+      request.socket.destroy();
+      return;
+    }
+    if (tokenEndpointMode === "error") {
+      sendJson(response, 503, { error: "temporarily_unavailable" });
+      return;
+    }
+
+    const params = await readBody(request);
+    if (params.get("client_id") !== clientId) {
+      sendJson(response, 401, { error: "invalid_client" });
+      return;
+    }
+
+    if (params.get("grant_type") === "authorization_code") {
+      const grant = codes.get(params.get("code"));
+      codes.delete(params.get("code"));
+      const challenge = toBase64Url(
+        createHash("sha256")
+          .update(params.get("code_verifier") || "")
+          .digest(),
+      );
+      if (
+        !grant ||
+        grant.challenge !== challenge ||
+        grant.redirectUri !== params.get("redirect_uri")
+      ) {
+        sendJson(response, 400, {
+          error: "invalid_grant",
+          error_description: "The authorization code is invalid.",
+        });
+        return;
+      }
+      sendJson(response, 200, issueTokens(grant.accountId));
+      return;
+    }
+
+    if (params.get("grant_type") === "refresh_token") {
+      const accountId = refreshTokens.get(params.get("refresh_token"));
+      if (!accountId) {
+        sendJson(response, 400, { error: "invalid_grant" });
+        return;
+      }
+      refreshTokens.delete(params.get("refresh_token"));
+      sendJson(response, 200, issueTokens(accountId));
+      return;
+    }
+
+    sendJson(response, 400, { error: "unsupported_grant_type" });
+  }
+
+  function getAccount(request) {
+    const match = (request.headers.authorization || "").match(/^Bearer (.+)$/);
+    const accountId = match && accessTokens.get(match[1]);
+    return accounts.find((account) => account.id === accountId) || null;
+  }
+
+  const server = createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    requests.push({
+      method: request.method,
+      path: url.pathname,
+      authorization: request.headers.authorization || "",
+    });
+
+    if (url.pathname === "/oauth/authorize") {
+      authorize(url, response);
+    } else if (url.pathname === "/oauth/token" && request.method === "POST") {
+      await token(request, response);
+    } else if (url.pathname === "/oauth/revoke" && request.method === "POST") {
+      const params = await readBody(request);
+      accessTokens.delete(params.get("token"));
+      sendJson(response, 200, {});
+    } else if (url.pathname === "/api/v1/accounts/verify_credentials") {
+      const account = getAccount(request);
+      sendJson(
+        response,
+        account ? 200 : 401,
+        account || { error: "The access token is invalid" },
+      );
+    } else if (url.pathname === "/api/statuses") {
+      const account = getAccount(request);
+      sendJson(
+        response,
+        account ? 200 : 401,
+        account
+          ? [{ id: `${account.id}-status`, account }]
+          : { error: "The access token is invalid" },
+      );
+    } else {
+      sendJson(response, 404, { error: "Not found" });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    clientId,
+    requests,
+    // The next authorization signs in as `accounts[index]`.
+    signInAs(index) {
+      nextAccountIndex = index;
+    },
+    // Simulates tokens running out before their advertised expiry.
+    expireAccessTokens() {
+      accessTokens.clear();
+    },
+    revokeRefreshTokens() {
+      refreshTokens.clear();
+    },
+    // "ok", "error" (503) or "unreachable" (connection dropped).
+    setTokenEndpointMode(mode) {
+      tokenEndpointMode = mode;
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
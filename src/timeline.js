@@ -0,0 +1,131 @@
+export const TIMELINE_GROUPINGS = {
+  DAY: "day",
+  MONTH: "month",
+};
+
+const UNDATED_KEY = "undated";
+
+const dayFormatter = new Intl.DateTimeFormat(undefined, {
+  weekday: "long",
+  year: "numeric",
+  month: "long",
+  day: "numeric",
+});
+const monthFormatter = new Intl.DateTimeFormat(undefined, {
+  year: "numeric",
+  month: "long",
+});
+const shortMonthFormatter = new Intl.DateTimeFormat(undefined, {
+  month: "short",
+});
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+function getDate(photo) {
+  const date = new Date(photo.uploadedAt);
+  return photo.uploadedAt && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+// Newest first (or oldest first), with undated photos at the end either way.
+export function sortPhotosByDate(photos, { oldestFirst = false } = {}) {
+  const direction = oldestFirst ? 1 : -1;
+  return photos
+    .map((photo, index) => ({ photo, index, time: getDate(photo)?.getTime() }))
+    .sort((a, b) => {
+      if (a.time === undefined || b.time === undefined) {
+        return (
+          Number(a.time === undefined) - Number(b.time === undefined) ||
+          a.index - b.index
+        );
+      }
+      return (a.time - b.time) * direction || a.index - b.index;
+    })
+    .map(({ photo }) => photo);
+}
+
+// Groups already date-sorted photos into consecutive day or month buckets.
+export function groupPhotosByDate(photos, grouping) {
+  const groups = [];
+
+  photos.forEach((photo) => {
+    const date = getDate(photo);
+    const monthKey = date
+      ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}`
+      : UNDATED_KEY;
+    const key =
+      date && grouping === TIMELINE_GROUPINGS.DAY
+        ? `${monthKey}-${pad(date.getDate())}`
+        : monthKey;
+    const last = groups[groups.length - 1];
+
+    if (last?.key === key) {
+      last.photos.push(photo);
+      return;
+    }
+
+    groups.push({
+      key,
+      monthKey,
+      year: date ? date.getFullYear() : null,
+      label: !date
+        ? "No date"
+        : grouping === TIMELINE_GROUPINGS.DAY
+          ? dayFormatter.format(date)
+          : monthFormatter.format(date),
+      monthLabel: date ? shortMonthFormatter.format(date) : "",
+      photos: [photo],
+    });
+  });
+
+  return groups;
+}
+
+// Years with their months, each pointing at the first group to scroll to.
+export function getScrubberYears(groups) {
+  const years = [];
+
+  groups.forEach((group) => {
+    if (group.year === null) {
+      return;
+    }
+
+    let year = years[years.length - 1];
+    if (year?.year !== group.year) {
+      year = { year: group.year, groupKey: group.key, months: [] };
+      years.push(year);
+    }
+    if (year.months[year.months.length - 1]?.monthKey !== group.monthKey) {
+      year.months.push({
+        monthKey: group.monthKey,
+        label: group.monthLabel,
+        groupKey: group.key,
+      });
+    }
+  });
+
+  return years;
+}
+
+export const TIMELINE_ROW_TYPES = {
+  HEADING: "heading",
+  PHOTOS: "photos",
+};
+
+// Flattens groups into rows for one virtualized list: a heading row per
+// group, then its photos `columns` at a time.
+export function getTimelineRows(groups, columns) {
+  return groups.flatMap((group) => {
+    const rows = [{ type: TIMELINE_ROW_TYPES.HEADING, key: group.key, group }];
+    for (let index = 0; index < group.photos.length; index += columns) {
+      rows.push({
+        type: TIMELINE_ROW_TYPES.PHOTOS,
+        key: `${group.key}:${index}`,
+        group,
+        photos: group.photos.slice(index, index + columns),
+      });
+    }
+    return rows;
+  });
+}
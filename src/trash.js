@@ -0,0 +1,64 @@
+// Deleted photos wait here before the backend deletes them for real, so a
+// delete can be undone or restored from the Trash tab. Entries are
+// `{ photo, deletedAt }`, stored per account on this device.
+//
+// The backend knows nothing about the trash: other devices keep showing the
+// photos, and expired entries are only purged when the app next runs on the
+// device that trashed them. Downloads and share links leave them out.
+
+const TRASH_KEY_PREFIX = "trash:";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TRASH_RETENTION_DAYS =
+  Number(import.meta.env.VITE_TRASH_RETENTION_DAYS) || 30;
+
+function getTrashKey(ownerId) {
+  return `${TRASH_KEY_PREFIX}${ownerId || "local"}`;
+}
+
+export function loadTrash(ownerId) {
+  try {
+    const stored = JSON.parse(
+      window.localStorage.getItem(getTrashKey(ownerId)),
+    );
+    return Array.isArray(stored)
+      ? stored.filter((entry) => entry?.photo?.id)
+      : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+export function saveTrash(ownerId, entries) {
+  if (entries.length) {
+    window.localStorage.setItem(getTrashKey(ownerId), JSON.stringify(entries));
+  } else {
+    window.localStorage.removeItem(getTrashKey(ownerId));
+  }
+}
+
+// Newest first; a photo trashed twice keeps its first date.
+export function addToTrash(entries, photos, now = Date.now()) {
+  const trashedIds = new Set(entries.map((entry) => entry.photo.id));
+  const added = photos
+    .filter((photo) => !trashedIds.has(photo.id))
+    .map((photo) => ({ photo, deletedAt: now }));
+  return [...added, ...entries];
+}
+
+export function removeFromTrash(entries, photoIds) {
+  const ids = new Set(photoIds);
+  return entries.filter((entry) => !ids.has(entry.photo.id));
+}
+
+export function getPurgeTime(entry) {
+  return entry.deletedAt + TRASH_RETENTION_DAYS * DAY_MS;
+}
+
+export function getExpiredTrash(entries, now = Date.now()) {
+  return entries.filter((entry) => getPurgeTime(entry) <= now);
+}
+
+export function getDaysUntilPurge(entry, now = Date.now()) {
+  return Math.max(0, Math.ceil((getPurgeTime(entry) - now) / DAY_MS));
+}
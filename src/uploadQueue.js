@@ -0,0 +1,283 @@
+import axios from "axios";
+import { isQueuedResponse } from "./serviceWorker";
+
+export const UPLOAD_STATUS = {
+  QUEUED: "queued",
+  PROCESSING: "processing",
+  UPLOADING: "uploading",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+const DEFAULT_CONCURRENCY = 3;
+
+export function getUploadConcurrency() {
+  const configured = Number(import.meta.env.VITE_UPLOAD_CONCURRENCY);
+  return Number.isInteger(configured) && configured > 0
+    ? configured
+    : DEFAULT_CONCURRENCY;
+}
+
+function isCancelError(err) {
+  return axios.isCancel(err) || err?.code === "ERR_CANCELED";
+}
+
+export function getUploadErrorMessage(err) {
+  return (
+    err?.response?.data?.message ||
+    err?.response?.data?.error ||
+    err?.message ||
+    "Upload failed."
+  );
+}
+
+function buildFormData(file, fields) {
+  const formData = new FormData();
+  formData.append("file", file);
+  Object.entries(fields).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach((entry) => formData.append(`${key}[]`, entry));
+    } else {
+      formData.append(key, value);
+    }
+  });
+  return formData;
+}
+
+// Tries each endpoint in order, same fallback chain uploadFiles always used.
+async function uploadToEndpoints(
+  file,
+  endpoints,
+  { fields = {}, signal, onProgress },
+) {
+  let uploadError = null;
+
+  for (const endpoint of endpoints) {
+    const formData = buildFormData(file, fields);
+    onProgress(0);
+
+    try {
+      const response = await axios.post(endpoint, formData, {
+        signal,
+        onUploadProgress: (event) => {
+          const total = event.total || file.size;
+          if (total) {
+            onProgress(Math.min(1, event.loaded / total));
+          }
+        },
+      });
+      return { queuedOffline: isQueuedResponse(response) };
+    } catch (err) {
+      if (isCancelError(err)) {
+        throw err;
+      }
+      uploadError = err;
+    }
+  }
+
+  throw uploadError;
+}
+
+export function summarizeUploads(items) {
+  const succeeded = items.filter(
+    (item) => item.status === UPLOAD_STATUS.SUCCEEDED,
+  );
+
+  return {
+    total: items.length,
+    savedBytes: succeeded.reduce(
+      (total, item) => total + Math.max(0, item.originalSize - item.size),
+      0,
+    ),
+    succeeded,
+    // Kept by the service worker until the connection is back.
+    queuedOffline: succeeded.filter((item) => item.queuedOffline),
+    failed: items.filter((item) => item.status === UPLOAD_STATUS.FAILED),
+    cancelled: items.filter((item) => item.status === UPLOAD_STATUS.CANCELLED),
+  };
+}
+
+export function createUploadQueue({
+  concurrency = DEFAULT_CONCURRENCY,
+  prepareFile,
+  onChange,
+} = {}) {
+  let items = [];
+  let activeCount = 0;
+  const controllers = new Map();
+  const waiters = new Map();
+
+  function emit() {
+    if (onChange) {
+      onChange(items);
+    }
+  }
+
+  function update(id, patch) {
+    items = items.map((item) =>
+      item.id === id ? { ...item, ...patch } : item,
+    );
+    emit();
+  }
+
+  function findItem(id) {
+    return items.find((item) => item.id === id);
+  }
+
+  function settle(id) {
+    const resolve = waiters.get(id);
+    waiters.delete(id);
+    if (resolve) {
+      resolve(findItem(id));
+    }
+  }
+
+  function waitFor(id) {
+    return new Promise((resolve) => {
+      waiters.set(id, resolve);
+    });
+  }
+
+  async function run(item) {
+    const controller = new AbortController();
+    controllers.set(item.id, controller);
+    activeCount += 1;
+    update(item.id, {
+      status:
+        prepareFile && !item.prepared
+          ? UPLOAD_STATUS.PROCESSING
+          : UPLOAD_STATUS.UPLOADING,
+      progress: 0,
+      error: "",
+    });
+
+    try {
+      let file = item.file;
+      if (prepareFile && !item.prepared) {
+        file = await prepareFile(item.file);
+        if (controller.signal.aborted) {
+          throw new axios.CanceledError();
+        }
+        update(item.id, {
+          file,
+          size: file.size,
+          prepared: true,
+          status: UPLOAD_STATUS.UPLOADING,
+        });
+      }
+
+      const { queuedOffline } = await uploadToEndpoints(file, item.endpoints, {
+        fields: item.fields,
+        signal: controller.signal,
+        onProgress: (progress) => update(item.id, { progress }),
+      });
+      update(item.id, {
+        status: UPLOAD_STATUS.SUCCEEDED,
+        progress: 1,
+        queuedOffline,
+      });
+    } catch (err) {
+      update(
+        item.id,
+        isCancelError(err)
+          ? { status: UPLOAD_STATUS.CANCELLED }
+          : {
+              status: UPLOAD_STATUS.FAILED,
+              error: getUploadErrorMessage(err),
+              canRetry: err?.retryable !== false,
+            },
+      );
+    } finally {
+      controllers.delete(item.id);
+      activeCount -= 1;
+      settle(item.id);
+      pump();
+    }
+  }
+
+  function pump() {
+    while (activeCount < concurrency) {
+      const next = items.find((item) => item.status === UPLOAD_STATUS.QUEUED);
+      if (!next) {
+        return;
+      }
+      run(next);
+    }
+  }
+
+  // `fields` are extra form fields (caption, alt text, tags) for every file.
+  function enqueue(files, endpoints, fields = {}) {
+    const endpointList = Array.isArray(endpoints) ? endpoints : [endpoints];
+    const added = files.map((file) => ({
+      id: crypto.randomUUID(),
+      file,
+      name: file.name,
+      size: file.size,
+      originalSize: file.size,
+      prepared: false,
+      endpoints: endpointList,
+      fields,
+      status: UPLOAD_STATUS.QUEUED,
+      progress: 0,
+      error: "",
+      canRetry: true,
+    }));
+
+    items = [...items, ...added];
+    emit();
+
+    const settled = Promise.all(added.map((item) => waitFor(item.id)));
+    pump();
+    return settled;
+  }
+
+  function retry(id) {
+    const item = findItem(id);
+    if (
+      !item ||
+      !item.canRetry ||
+      (item.status !== UPLOAD_STATUS.FAILED &&
+        item.status !== UPLOAD_STATUS.CANCELLED)
+    ) {
+      return Promise.resolve(item);
+    }
+
+    update(id, { status: UPLOAD_STATUS.QUEUED, progress: 0, error: "" });
+    const settled = waitFor(id);
+    pump();
+    return settled;
+  }
+
+  function cancel(id) {
+    const item = findItem(id);
+    if (!item) {
+      return;
+    }
+
+    if (
+      item.status === UPLOAD_STATUS.PROCESSING ||
+      item.status === UPLOAD_STATUS.UPLOADING
+    ) {
+      controllers.get(id)?.abort();
+      return;
+    }
+
+    if (item.status === UPLOAD_STATUS.QUEUED) {
+      update(id, { status: UPLOAD_STATUS.CANCELLED });
+      settle(id);
+    }
+  }
+
+  function clearFinished() {
+    items = items.filter(
+      (item) =>
+        item.status === UPLOAD_STATUS.QUEUED ||
+        item.status === UPLOAD_STATUS.PROCESSING ||
+        item.status === UPLOAD_STATUS.UPLOADING,
+    );
+    emit();
+  }
+
+  return { enqueue, retry, cancel, clearFinished };
+}
@@ -0,0 +1,144 @@
+// Minimal ZIP writer using the "stored" method: photos are already compressed,
+// so deflating them again would cost time for almost no size gain.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let index = 0; index < 256; index += 1) {
+    let value = index;
+    for (let bit = 0; bit < 8; bit += 1) {
+      value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+    }
+    table[index] = value >>> 0;
+  }
+  return table;
+})();
+
+const MAX_ZIP32_SIZE = 0xffffffff;
+const UTF8_FLAG = 0x0800;
+
+async function crc32(blob) {
+  let crc = 0xffffffff;
+  const reader = blob.stream().getReader();
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return (crc ^ 0xffffffff) >>> 0;
+    }
+    for (let index = 0; index < value.length; index += 1) {
+      crc = CRC_TABLE[(crc ^ value[index]) & 0xff] ^ (crc >>> 8);
+    }
+  }
+}
+
+function toDosDateTime(date) {
+  const value =
+    date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+  const year = Math.max(1980, value.getFullYear());
+
+  return {
+    time:
+      (value.getHours() << 11) |
+      (value.getMinutes() << 5) |
+      Math.floor(value.getSeconds() / 2),
+    date:
+      ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate(),
+  };
+}
+
+function localHeader(nameBytes, entry) {
+  const header = new DataView(new ArrayBuffer(30));
+  header.setUint32(0, 0x04034b50, true);
+  header.setUint16(4, 20, true);
+  header.setUint16(6, UTF8_FLAG, true);
+  header.setUint16(8, 0, true);
+  header.setUint16(10, entry.dosTime, true);
+  header.setUint16(12, entry.dosDate, true);
+  header.setUint32(14, entry.crc, true);
+  header.setUint32(18, entry.size, true);
+  header.setUint32(22, entry.size, true);
+  header.setUint16(26, nameBytes.length, true);
+  header.setUint16(28, 0, true);
+  return header.buffer;
+}
+
+function centralHeader(entry) {
+  const header = new DataView(new ArrayBuffer(46));
+  header.setUint32(0, 0x02014b50, true);
+  header.setUint16(4, 20, true);
+  header.setUint16(6, 20, true);
+  header.setUint16(8, UTF8_FLAG, true);
+  header.setUint16(10, 0, true);
+  header.setUint16(12, entry.dosTime, true);
+  header.setUint16(14, entry.dosDate, true);
+  header.setUint32(16, entry.crc, true);
+  header.setUint32(20, entry.size, true);
+  header.setUint32(24, entry.size, true);
+  header.setUint16(28, entry.nameBytes.length, true);
+  header.setUint32(42, entry.offset, true);
+  return header.buffer;
+}
+
+function endOfCentralDirectory(count, size, offset) {
+  const record = new DataView(new ArrayBuffer(22));
+  record.setUint32(0, 0x06054b50, true);
+  record.setUint16(8, count, true);
+  record.setUint16(10, count, true);
+  record.setUint32(12, size, true);
+  record.setUint32(16, offset, true);
+  return record.buffer;
+}
+
+// `write` receives ArrayBuffers and Blobs in order; it may return a promise.
+export function createZipWriter(write) {
+  const encoder = new TextEncoder();
+  const entries = [];
+  let offset = 0;
+
+  async function emit(chunk) {
+    await write(chunk);
+    offset += chunk instanceof Blob ? chunk.size : chunk.byteLength;
+  }
+
+  async function addFile(name, blob, modifiedAt) {
+    if (entries.length >= 0xffff) {
+      throw new Error("ZIP archives are limited to 65535 files.");
+    }
+    if (offset + blob.size + 30 > MAX_ZIP32_SIZE) {
+      throw new Error("ZIP archive would exceed 4 GB.");
+    }
+
+    const { time, date } = toDosDateTime(modifiedAt);
+    const nameBytes = encoder.encode(name);
+    const entry = {
+      nameBytes,
+      size: blob.size,
+      crc: await crc32(blob),
+      dosTime: time,
+      dosDate: date,
+      offset,
+    };
+
+    await emit(localHeader(nameBytes, entry));
+    await emit(nameBytes.buffer);
+    await emit(blob);
+    entries.push(entry);
+  }
+
+  async function close() {
+    const centralOffset = offset;
+    for (const entry of entries) {
+      await emit(centralHeader(entry));
+      await emit(entry.nameBytes.buffer);
+    }
+    await emit(
+      endOfCentralDirectory(
+        entries.length,
+        offset - centralOffset,
+        centralOffset,
+      ),
+    );
+  }
+
+  return { addFile, close };
+}
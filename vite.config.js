@@ -9,7 +9,8 @@ export default defineConfig({
         target: "https://cloudit-m0tx.onrender.com/",
         changeOrigin: true,
       },
-      "/folder": {
+      // Anchored so the app's own /folders routes are not proxied.
+      "^/folder(?=$|[/?])": {
         target: "https://cloudit-m0tx.onrender.com/",
         changeOrigin: true,
       },
@@ -21,6 +22,23 @@ export default defineConfig({
         target: "https://cloudit-m0tx.onrender.com/",
         changeOrigin: true,
       },
+      "/move": {
+        target: "https://cloudit-m0tx.onrender.com/",
+        changeOrigin: true,
+      },
+      "/copy": {
+        target: "https://cloudit-m0tx.onrender.com/",
+        changeOrigin: true,
+      },
+      // Anchored so the app's own /shared viewer routes are not proxied.
+      "^/shares(?=$|[/?])": {
+        target: "https://cloudit-m0tx.onrender.com/",
+        changeOrigin: true,
+      },
+      "/oauth": {
+        target: "https://cloudit-m0tx.onrender.com/",
+        changeOrigin: true,
+      },
       "/api": {
         target: "https://cloudit-m0tx.onrender.com/",
         changeOrigin: true,